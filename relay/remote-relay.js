@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+/**
+ * Remote relay - Minimal WebSocket relay for remote.html on another device
+ * Forwards every text message to the other clients that joined the same session code.
+ * No dependencies: run with `node relay/remote-relay.js` (PORT defaults to 8787).
+ */
+const http = require('http');
+const crypto = require('crypto');
+
+const CONSTANTS = {
+    PORT: parseInt(process.env.PORT, 10) || 8787,
+    HOST: process.env.HOST || '0.0.0.0',
+    WEBSOCKET_GUID: '258EAFA5-E914-47DA-95CA-C5AB0DC85B11',
+    MAX_MESSAGE_BYTES: 64 * 1024,
+    MAX_CLIENTS_PER_SESSION: 8,
+    SESSION_PATTERN: /^[A-Z0-9]{4,12}$/,
+    PING_INTERVAL_MS: 30000,
+    OPCODES: {
+        TEXT: 0x1,
+        CLOSE: 0x8,
+        PING: 0x9,
+        PONG: 0xA
+    }
+};
+
+// Session code -> Set of sockets
+const sessions = new Map();
+
+/**
+ * Encode a single unmasked frame (servers never mask)
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
+ * @returns {Buffer} The frame
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Create a decoding error that carries the close code to send
+ * @param {string} message - Error message
+ * @param {number} status - WebSocket close code
+ * @returns {Error} The error
+ */
+function frameError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Decode the next complete frame in a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @returns {Object|null} { fin, opcode, payload, length } or null if incomplete
+ * @throws {Error} If the frame is too large or not masked, with the close code as error.status
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let payloadLength = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if (payloadLength === 126) {
+        if (buffer.length < 4) return null;
+        payloadLength = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (payloadLength === 127) {
+        if (buffer.length < 10) return null;
+        const length = buffer.readBigUInt64BE(2);
+        if (length > BigInt(CONSTANTS.MAX_MESSAGE_BYTES)) {
+            throw frameError('Message too large', 1009);
+        }
+        payloadLength = Number(length);
+        offset = 10;
+    }
+
+    if (payloadLength > CONSTANTS.MAX_MESSAGE_BYTES) {
+        throw frameError('Message too large', 1009);
+    }
+    if (!masked) {
+        throw frameError('Client frames must be masked', 1002);
+    }
+    if (buffer.length < offset + 4 + payloadLength) return null;
+
+    const mask = buffer.subarray(offset, offset + 4);
+    offset += 4;
+    const payload = Buffer.alloc(payloadLength);
+    for (let i = 0; i < payloadLength; i++) {
+        payload[i] = buffer[offset + i] ^ mask[i % 4];
+    }
+
+    return { fin, opcode, payload, length: offset + payloadLength };
+}
+
+/**
+ * Send a text message to every other client in the session
+ * @param {string} code - Session code
+ * @param {net.Socket} sender - Client that sent it
+ * @param {Buffer} payload - UTF-8 message
+ */
+function relay(code, sender, payload) {
+    const clients = sessions.get(code);
+    if (!clients) return;
+
+    const frame = encodeFrame(CONSTANTS.OPCODES.TEXT, payload);
+    clients.forEach(client => {
+        if (client !== sender && !client.destroyed) {
+            client.write(frame);
+        }
+    });
+}
+
+/**
+ * Remove a client from its session
+ * @param {string} code - Session code
+ * @param {net.Socket} socket - Client socket
+ */
+function leave(code, socket) {
+    const clients = sessions.get(code);
+    if (!clients) return;
+
+    clients.delete(socket);
+    if (clients.size === 0) {
+        sessions.delete(code);
+    }
+}
+
+/**
+ * Close a connection with a status code
+ * @param {net.Socket} socket - Client socket
+ * @param {number} status - WebSocket close code
+ */
+function closeSocket(socket, status) {
+    if (socket.destroyed || socket.isClosing) return;
+
+    // Frames still arriving after the close are ignored
+    socket.isClosing = true;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(status, 0);
+    socket.end(encodeFrame(CONSTANTS.OPCODES.CLOSE, payload));
+}
+
+/**
+ * Complete the handshake and start relaying for one client
+ * @param {http.IncomingMessage} request - Upgrade request
+ * @param {net.Socket} socket - Client socket
+ */
+function handleUpgrade(request, socket) {
+    const url = new URL(request.url, 'http://relay');
+    const code = String(url.searchParams.get('session') || '').toUpperCase();
+    const key = request.headers['sec-websocket-key'];
+
+    if (!key || !CONSTANTS.SESSION_PATTERN.test(code)) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const clients = sessions.get(code) || new Set();
+    if (clients.size >= CONSTANTS.MAX_CLIENTS_PER_SESSION) {
+        socket.end('HTTP/1.1 429 Too Many Requests\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + CONSTANTS.WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    clients.add(socket);
+    sessions.set(code, clients);
+    socket.isAlive = true;
+    console.log(`Client joined session ${code} (${clients.size} connected)`);
+
+    let buffered = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+        if (socket.isClosing) return;
+        buffered = Buffer.concat([buffered, chunk]);
+
+        try {
+            let frame;
+            while ((frame = decodeFrame(buffered))) {
+                buffered = buffered.subarray(frame.length);
+
+                switch (frame.opcode) {
+                    case CONSTANTS.OPCODES.TEXT:
+                        // Messages are small JSON commands; fragmented messages are not supported
+                        if (!frame.fin) {
+                            closeSocket(socket, 1003);
+                            return;
+                        }
+                        relay(code, socket, frame.payload);
+                        break;
+                    case CONSTANTS.OPCODES.PING:
+                        socket.write(encodeFrame(CONSTANTS.OPCODES.PONG, frame.payload));
+                        break;
+                    case CONSTANTS.OPCODES.PONG:
+                        socket.isAlive = true;
+                        break;
+                    case CONSTANTS.OPCODES.CLOSE:
+                        closeSocket(socket, 1000);
+                        return;
+                    default:
+                        closeSocket(socket, 1003);
+                        return;
+                }
+            }
+        } catch (error) {
+            console.error(`Dropping client in session ${code}:`, error.message);
+            closeSocket(socket, error.status || 1002);
+        }
+    });
+
+    socket.on('close', () => {
+        leave(code, socket);
+        console.log(`Client left session ${code}`);
+    });
+    socket.on('error', () => leave(code, socket));
+}
+
+const server = http.createServer((request, response) => {
+    response.writeHead(200, { 'Content-Type': 'text/plain' });
+    response.end('Teleprompter remote relay is running. Connect with a WebSocket and ?session=CODE\n');
+});
+
+server.on('upgrade', (request, socket) => {
+    if ((request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    handleUpgrade(request, socket);
+});
+
+// Drop clients that vanished without closing (e.g. a phone going to sleep)
+setInterval(() => {
+    sessions.forEach(clients => {
+        clients.forEach(socket => {
+            if (!socket.isAlive) {
+                socket.destroy();
+                return;
+            }
+            socket.isAlive = false;
+            socket.write(encodeFrame(CONSTANTS.OPCODES.PING, Buffer.alloc(0)));
+        });
+    });
+}, CONSTANTS.PING_INTERVAL_MS).unref();
+
+server.listen(CONSTANTS.PORT, CONSTANTS.HOST, () => {
+    console.log(`Remote relay listening on ws://${CONSTANTS.HOST}:${CONSTANTS.PORT}`);
+});
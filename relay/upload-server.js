@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+/**
+ * Upload server - Minimal stand-in endpoint for the app's upload queue
+ * Accepts resumable chunked uploads and writes finished takes to a folder.
+ * No dependencies: run with `node relay/upload-server.js` (PORT defaults to 8788,
+ * UPLOAD_DIR to ./uploads). The endpoint to enter in the app is http://host:PORT/uploads
+ *
+ * Protocol:
+ *   POST   /uploads       JSON { filename, size, mimeType } -> 201 { id, offset }
+ *   GET    /uploads/:id   -> { offset, size, complete }
+ *   PATCH  /uploads/:id   Upload-Offset header + bytes -> { offset, complete }, 409 { offset } on a mismatch
+ *   DELETE /uploads/:id   -> 204, discards the partial file
+ */
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CONSTANTS = {
+    PORT: parseInt(process.env.PORT, 10) || 8788,
+    HOST: process.env.HOST || '0.0.0.0',
+    UPLOAD_DIR: path.resolve(process.env.UPLOAD_DIR || 'uploads'),
+    MAX_UPLOAD_BYTES: 8 * 1024 * 1024 * 1024,
+    MAX_CHUNK_BYTES: 16 * 1024 * 1024,
+    MAX_JSON_BYTES: 16 * 1024,
+    ID_PATTERN: /^[a-f0-9]{24}$/,
+    CORS_HEADERS: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Upload-Offset',
+        'Access-Control-Max-Age': '600'
+    }
+};
+
+/**
+ * Send a JSON response (or an empty one for 204)
+ * @param {http.ServerResponse} response - Response
+ * @param {number} status - HTTP status
+ * @param {Object} [body] - JSON body
+ */
+function send(response, status, body) {
+    const headers = { ...CONSTANTS.CORS_HEADERS };
+    if (body === undefined) {
+        response.writeHead(status, headers);
+        response.end();
+        return;
+    }
+    headers['Content-Type'] = 'application/json';
+    response.writeHead(status, headers);
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Paths of an upload's metadata and partial data
+ * @param {string} id - Upload id
+ * @returns {Object} { meta, part }
+ */
+function uploadPaths(id) {
+    return {
+        meta: path.join(CONSTANTS.UPLOAD_DIR, `${id}.json`),
+        part: path.join(CONSTANTS.UPLOAD_DIR, `${id}.part`)
+    };
+}
+
+/**
+ * Load an upload; the partial file's size is the resume offset, so restarts lose nothing
+ * @param {string} id - Upload id
+ * @returns {Object|null} { filename, size, mimeType, offset, complete } or null if unknown
+ */
+function loadUpload(id) {
+    if (!CONSTANTS.ID_PATTERN.test(id)) return null;
+
+    const paths = uploadPaths(id);
+    try {
+        const meta = JSON.parse(fs.readFileSync(paths.meta, 'utf8'));
+        const offset = meta.complete ? meta.size : fs.statSync(paths.part).size;
+        return { ...meta, offset: offset };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Pick a file name for a finished upload that does not overwrite an earlier one
+ * @param {string} filename - Name sent by the app
+ * @returns {string} Absolute path
+ */
+function finalPath(filename) {
+    const safe = path.basename(String(filename)).replace(/[^\w.\- ()]+/g, '_') || 'take';
+    const extension = path.extname(safe);
+    const base = safe.slice(0, safe.length - extension.length);
+
+    let candidate = path.join(CONSTANTS.UPLOAD_DIR, safe);
+    for (let n = 2; fs.existsSync(candidate); n++) {
+        candidate = path.join(CONSTANTS.UPLOAD_DIR, `${base} (${n})${extension}`);
+    }
+    return candidate;
+}
+
+/**
+ * Read a small JSON request body
+ * @param {http.IncomingMessage} request - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJson(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', (chunk) => {
+            body += chunk;
+            if (body.length > CONSTANTS.MAX_JSON_BYTES) {
+                reject(new Error('Request body too large'));
+                request.destroy();
+            }
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(body || '{}'));
+            } catch (error) {
+                reject(new Error('Request body is not JSON'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Start an upload
+ * @param {http.IncomingMessage} request - Request
+ * @param {http.ServerResponse} response - Response
+ */
+async function createUpload(request, response) {
+    let body;
+    try {
+        body = await readJson(request);
+    } catch (error) {
+        send(response, 400, { error: error.message });
+        return;
+    }
+
+    const size = Number(body.size);
+    if (!Number.isInteger(size) || size <= 0 || size > CONSTANTS.MAX_UPLOAD_BYTES) {
+        send(response, 413, { error: 'Invalid or too large upload size' });
+        return;
+    }
+
+    const id = crypto.randomBytes(12).toString('hex');
+    const paths = uploadPaths(id);
+    const meta = {
+        filename: String(body.filename || 'take'),
+        size: size,
+        mimeType: String(body.mimeType || 'application/octet-stream'),
+        complete: false
+    };
+    fs.writeFileSync(paths.meta, JSON.stringify(meta));
+    fs.writeFileSync(paths.part, Buffer.alloc(0));
+
+    console.log(`Upload ${id} started: ${meta.filename} (${size} bytes)`);
+    send(response, 201, { id: id, offset: 0 });
+}
+
+/**
+ * Append a chunk at the offset the client says it is at
+ * @param {string} id - Upload id
+ * @param {http.IncomingMessage} request - Request
+ * @param {http.ServerResponse} response - Response
+ */
+function appendChunk(id, request, response) {
+    const upload = loadUpload(id);
+    if (!upload) {
+        send(response, 404, { error: 'Unknown upload' });
+        return;
+    }
+
+    const clientOffset = parseInt(request.headers['upload-offset'], 10);
+    if (upload.complete || clientOffset !== upload.offset) {
+        // Tell the client where to continue from
+        request.resume();
+        send(response, 409, { offset: upload.offset, complete: Boolean(upload.complete) });
+        return;
+    }
+
+    const paths = uploadPaths(id);
+    const chunks = [];
+    let received = 0;
+
+    request.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > CONSTANTS.MAX_CHUNK_BYTES || upload.offset + received > upload.size) {
+            send(response, 413, { error: 'Chunk too large', offset: upload.offset });
+            request.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+
+    request.on('end', async () => {
+        if (response.writableEnded) return;
+
+        try {
+            // Only whole chunks are written, so an interrupted request never leaves a torn offset
+            await fs.promises.appendFile(paths.part, Buffer.concat(chunks));
+            const offset = upload.offset + received;
+
+            if (offset === upload.size) {
+                const target = finalPath(upload.filename);
+                await fs.promises.rename(paths.part, target);
+                await fs.promises.writeFile(paths.meta, JSON.stringify({ ...upload, offset: undefined, complete: true, path: target }));
+                console.log(`Upload ${id} finished: ${target}`);
+            }
+
+            send(response, 200, { offset: offset, complete: offset === upload.size });
+        } catch (error) {
+            // Disk full, permissions, or the upload deleted meanwhile: fail this request, not the server
+            console.error(`Upload ${id} failed to write:`, error);
+            send(response, 500, { error: 'Could not store the chunk on the server' });
+        }
+    });
+}
+
+/**
+ * Discard an upload
+ * @param {string} id - Upload id
+ * @param {http.ServerResponse} response - Response
+ */
+function deleteUpload(id, response) {
+    const upload = loadUpload(id);
+    if (!upload) {
+        send(response, 404, { error: 'Unknown upload' });
+        return;
+    }
+
+    const paths = uploadPaths(id);
+    fs.rmSync(paths.part, { force: true });
+    fs.rmSync(paths.meta, { force: true });
+    console.log(`Upload ${id} cancelled`);
+    send(response, 204);
+}
+
+const server = http.createServer((request, response) => {
+    const url = new URL(request.url, 'http://uploads');
+    const match = url.pathname.match(/^\/uploads(?:\/([^/]+))?\/?$/);
+
+    if (request.method === 'OPTIONS') {
+        send(response, 204);
+        return;
+    }
+    if (!match) {
+        send(response, 404, { error: 'Not found. The upload endpoint is /uploads' });
+        return;
+    }
+
+    const id = match[1];
+    if (!id) {
+        if (request.method === 'POST') {
+            createUpload(request, response).catch(error => {
+                console.error('Failed to start upload:', error);
+                send(response, 500, { error: 'Could not start the upload' });
+            });
+            return;
+        }
+        send(response, 405, { error: 'Use POST to start an upload' });
+        return;
+    }
+
+    try {
+        switch (request.method) {
+            case 'GET':
+            case 'HEAD': {
+                const upload = loadUpload(id);
+                if (!upload) {
+                    send(response, 404, { error: 'Unknown upload' });
+                    return;
+                }
+                send(response, 200, { offset: upload.offset, size: upload.size, complete: Boolean(upload.complete) });
+                return;
+            }
+            case 'PATCH':
+                appendChunk(id, request, response);
+                return;
+            case 'DELETE':
+                deleteUpload(id, response);
+                return;
+            default:
+                send(response, 405, { error: 'Method not allowed' });
+        }
+    } catch (error) {
+        console.error(`Upload ${id} failed:`, error);
+        send(response, 500, { error: 'Upload failed on the server' });
+    }
+});
+
+fs.mkdirSync(CONSTANTS.UPLOAD_DIR, { recursive: true });
+server.listen(CONSTANTS.PORT, CONSTANTS.HOST, () => {
+    console.log(`Upload server listening on http://${CONSTANTS.HOST}:${CONSTANTS.PORT}/uploads, saving to ${CONSTANTS.UPLOAD_DIR}`);
+});
@@ -6,6 +6,22 @@ class VideoTeleprompterApp {
         this.videoComponent = null;
         this.scriptComponent = null;
         this.controlsComponent = null;
+        this.countdownComponent = null;
+        this.scriptLibraryComponent = null;
+        this.takeManagerComponent = null;
+        this.recordingRecoveryComponent = null;
+        this.uploadComponent = null;
+        this.updateComponent = null;
+        this.shareTargetComponent = null;
+        this.saveFolderComponent = null;
+        this.reviewComponent = null;
+        this.devicePickerComponent = null;
+        this.recordingQualityComponent = null;
+        this.audioMeterComponent = null;
+        this.voiceScrollComponent = null;
+        this.overlayComponent = null;
+        this.remoteControlComponent = null;
+        this.keybindingsComponent = null;
         
         this.init();
     }
@@ -29,11 +45,53 @@ class VideoTeleprompterApp {
             // 1. Video component (handles camera and recording)
             this.videoComponent = new VideoComponent();
             
+            // 1b. Stream tools (device and quality pickers, microphone level meter, recording overlays)
+            this.devicePickerComponent = new DevicePickerComponent(this.videoComponent);
+            this.recordingQualityComponent = new RecordingQualityComponent(this.videoComponent);
+            this.audioMeterComponent = new AudioMeterComponent(this.videoComponent);
+            this.overlayComponent = new OverlayComponent(this.videoComponent);
+            
             // 2. Script component (handles text display and interaction)
             this.scriptComponent = new ScriptComponent();
             
-            // 3. Controls component (coordinates the other two)
-            this.controlsComponent = new ControlsComponent(this.videoComponent, this.scriptComponent);
+            // 2b. Voice-driven scrolling (follows the microphone level)
+            this.voiceScrollComponent = new VoiceScrollComponent(this.audioMeterComponent, this.scriptComponent);
+            
+            // 3. Countdown component (pre-roll countdown and lead-in delay)
+            this.countdownComponent = new CountdownComponent();
+            
+            // 4. Controls component (coordinates the other components)
+            this.controlsComponent = new ControlsComponent(this.videoComponent, this.scriptComponent, this.countdownComponent, this.audioMeterComponent);
+            
+            // 4a. Keyboard shortcuts (user-configurable)
+            this.keybindingsComponent = new KeybindingsComponent(this.controlsComponent);
+            
+            // 4b. Remote control (remote.html in another tab or on another device)
+            this.remoteControlComponent = new RemoteControlComponent(this.controlsComponent);
+            
+            // 5. Script library (loads the active script into the script component)
+            this.scriptLibraryComponent = new ScriptLibraryComponent(this.scriptComponent, this.controlsComponent);
+            
+            // 6. Review screen (play and trim a take before it is kept)
+            this.reviewComponent = new ReviewComponent();
+            
+            // 7. Take manager (keeps finished recordings instead of downloading them, with captions from the scroll timeline)
+            this.takeManagerComponent = new TakeManagerComponent(this.videoComponent, this.scriptLibraryComponent, this.reviewComponent, this.scriptComponent);
+            
+            // 8. Recording recovery (backs up chunks while recording, offers to recover them after a crash)
+            this.recordingRecoveryComponent = new RecordingRecoveryComponent(this.videoComponent, this.takeManagerComponent);
+            
+            // 9. Uploads (outbox of takes sent to a configured endpoint, retried by background sync)
+            this.uploadComponent = new UploadComponent(this.takeManagerComponent);
+            
+            // 10. Service worker registration and the "new version available" banner
+            this.updateComponent = new UpdateComponent(this.controlsComponent);
+
+            // 11. Scripts shared from other apps or opened from .txt/.md files in the installed app
+            this.shareTargetComponent = new ShareTargetComponent(this.scriptLibraryComponent);
+
+            // 12. Save folder (takes written to a folder picked with the File System Access API)
+            this.saveFolderComponent = new SaveFolderComponent(this.takeManagerComponent);
             
             console.log('All components initialized successfully');
             
@@ -84,51 +142,19 @@ class VideoTeleprompterApp {
 
         // Handle keyboard shortcuts
         document.addEventListener('keydown', (e) => {
-            // Only handle shortcuts when not typing in the script
-            if (e.target === this.scriptComponent.scriptInput) return;
-            
-            switch (e.key) {
-                case ' ': // Spacebar - toggle recording
-                    e.preventDefault();
-                    this.controlsComponent.triggerAction('toggleRecording');
-                    break;
-                case 'r': // R key - rotate text
-                case 'R':
-                    e.preventDefault();
-                    this.controlsComponent.triggerAction('toggleRotation');
-                    break;
-                case 'c': // C key - switch camera
-                case 'C':
-                    e.preventDefault();
-                    this.controlsComponent.triggerAction('switchCamera');
-                    break;
-                case '1': // Number keys for speed
-                    e.preventDefault();
-                    this.controlsComponent.triggerAction('setSpeed', 'slow');
-                    break;
-                case '2':
-                    e.preventDefault();
-                    this.controlsComponent.triggerAction('setSpeed', 'normal');
-                    break;
-                case '3':
-                    e.preventDefault();
-                    this.controlsComponent.triggerAction('setSpeed', 'fast');
-                    break;
-            }
+            // Only handle shortcuts when not typing in the script or another field
+            if (this.isEditableTarget(e.target)) return;
+            
+            // The review screen has its own controls
+            if (this.reviewComponent && this.reviewComponent.isOpen()) return;
+            
+            // Keys are user-configurable in Settings → Keyboard shortcuts
+            this.keybindingsComponent.handleKeydown(e);
         });
     }
 
     setupPWA() {
-        // Service Worker registration
-        if ('serviceWorker' in navigator) {
-            navigator.serviceWorker.register('service-worker.js')
-                .then(registration => {
-                    console.log('Service Worker registered successfully:', registration);
-                })
-                .catch(error => {
-                    console.log('Service Worker registration failed:', error);
-                });
-        }
+        // Service Worker registration and updates are handled by UpdateComponent
 
         // Handle PWA install prompt
         let deferredPrompt;
@@ -157,10 +183,22 @@ class VideoTeleprompterApp {
         }
     }
 
+    togglePause() {
+        this.controlsComponent.triggerAction('togglePause');
+    }
+
     toggleTextRotation() {
         this.controlsComponent.triggerAction('toggleRotation');
     }
 
+    toggleMirror() {
+        this.controlsComponent.triggerAction('toggleMirror');
+    }
+
+    toggleFlip() {
+        this.controlsComponent.triggerAction('toggleFlip');
+    }
+
     async switchCamera() {
         await this.controlsComponent.triggerAction('switchCamera');
     }
@@ -178,6 +216,15 @@ class VideoTeleprompterApp {
     }
 
     // Utility methods
+    isEditableTarget(target) {
+        // Sliders keep focus after a drag, so shortcuts still apply to them
+        if (target.tagName === 'INPUT' && target.type === 'range') return false;
+        
+        return target === this.scriptComponent.scriptInput ||
+            ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) ||
+            target.isContentEditable;
+    }
+
     showError(message) {
         // Create a simple error notification
         const errorDiv = document.createElement('div');
@@ -216,11 +263,50 @@ class VideoTeleprompterApp {
             this.videoComponent.destroy();
         }
         
+        if (this.countdownComponent) {
+            this.countdownComponent.destroy();
+        }
+        
+        if (this.audioMeterComponent) {
+            this.audioMeterComponent.destroy();
+        }
+        
+        if (this.voiceScrollComponent) {
+            this.voiceScrollComponent.destroy();
+        }
+        
+        if (this.overlayComponent) {
+            this.overlayComponent.destroy();
+        }
+        
+        if (this.remoteControlComponent) {
+            this.remoteControlComponent.destroy();
+        }
+        if (this.updateComponent) {
+            this.updateComponent.destroy();
+        }
+        
         // Components don't need explicit destruction as they don't have resources to clean up
         // But we can null the references
         this.videoComponent = null;
         this.scriptComponent = null;
         this.controlsComponent = null;
+        this.countdownComponent = null;
+        this.scriptLibraryComponent = null;
+        this.takeManagerComponent = null;
+        this.recordingRecoveryComponent = null;
+        this.uploadComponent = null;
+        this.updateComponent = null;
+        this.shareTargetComponent = null;
+        this.saveFolderComponent = null;
+        this.reviewComponent = null;
+        this.devicePickerComponent = null;
+        this.recordingQualityComponent = null;
+        this.audioMeterComponent = null;
+        this.voiceScrollComponent = null;
+        this.overlayComponent = null;
+        this.remoteControlComponent = null;
+        this.keybindingsComponent = null;
     }
 }
 
@@ -0,0 +1,272 @@
+/**
+ * AudioMeterComponent - Live microphone level meter with peak-hold and clipping indicators
+ * Analyses the audio track of the camera stream with WebAudio and tracks when signal was last heard
+ */
+class AudioMeterComponent {
+    static CONSTANTS = {
+        FFT_SIZE: 2048,
+        MIN_DB: -60, // Bottom of the meter scale
+        SIGNAL_THRESHOLD_DB: -50, // Quieter than this counts as no signal
+        CLIP_LEVEL: 0.99, // Sample magnitude treated as clipping
+        PEAK_HOLD_MS: 1500,
+        PEAK_DECAY_DB_PER_SECOND: 20,
+        CLIP_HOLD_MS: 2000,
+        NO_SIGNAL_WARNING_MS: 5000,
+        CSS_CLASSES: {
+            CLIPPING: 'clipping',
+            SILENT: 'silent',
+            UNAVAILABLE: 'unavailable'
+        }
+    };
+
+    /**
+     * @constructor
+     * @param {VideoComponent} videoComponent - Owner of the camera stream
+     */
+    constructor(videoComponent) {
+        this.videoComponent = videoComponent;
+
+        // DOM elements
+        this.meter = document.getElementById('audioMeter');
+        this.fill = document.getElementById('audioMeterFill');
+        this.peakMarker = document.getElementById('audioMeterPeak');
+
+        // Audio graph
+        this.audioContext = null;
+        this.source = null;
+        this.analyser = null;
+        this.samples = null;
+        this.animationFrame = null;
+
+        // State
+        this.levelDb = AudioMeterComponent.CONSTANTS.MIN_DB;
+        this.peakDb = AudioMeterComponent.CONSTANTS.MIN_DB;
+        this.peakTime = 0;
+        this.clipTime = 0;
+        this.lastFrameTime = 0;
+        this.lastSignalTime = 0;
+        this.monitorStartTime = 0;
+
+        this.init();
+    }
+
+    init() {
+        console.log('Initializing AudioMeterComponent...');
+
+        this.videoComponent.addStreamListener((stream) => this.attachStream(stream));
+        if (this.videoComponent.stream) {
+            this.attachStream(this.videoComponent.stream);
+        }
+
+        // Browsers keep a new AudioContext suspended until the user interacts with the page
+        const resume = () => {
+            if (this.audioContext && this.audioContext.state === 'suspended') {
+                this.audioContext.resume().then(() => this._resetSignalWindow());
+            }
+        };
+        document.addEventListener('pointerdown', resume);
+        document.addEventListener('keydown', resume);
+    }
+
+    // === PUBLIC API METHODS ===
+
+    /**
+     * Start metering the audio track of a stream
+     * @param {MediaStream} stream - Camera stream
+     */
+    attachStream(stream) {
+        this._disconnect();
+
+        const audioTrack = stream ? stream.getAudioTracks()[0] : null;
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!audioTrack || !AudioContextClass) {
+            console.warn('Audio meter unavailable: no audio track or WebAudio support');
+            this.meter.classList.add(AudioMeterComponent.CONSTANTS.CSS_CLASSES.UNAVAILABLE);
+            return;
+        }
+
+        try {
+            if (!this.audioContext) {
+                this.audioContext = new AudioContextClass();
+                // Metering only starts once the context runs, so judge the signal from then on
+                this.audioContext.addEventListener('statechange', () => {
+                    if (this.audioContext && this.audioContext.state === 'running') {
+                        this._resetSignalWindow();
+                    }
+                });
+            }
+
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = AudioMeterComponent.CONSTANTS.FFT_SIZE;
+            this.samples = new Float32Array(this.analyser.fftSize);
+
+            // Only the audio track is needed; a separate stream keeps the video out of the graph
+            this.source = this.audioContext.createMediaStreamSource(new MediaStream([audioTrack]));
+            this.source.connect(this.analyser);
+
+            this.meter.classList.remove(AudioMeterComponent.CONSTANTS.CSS_CLASSES.UNAVAILABLE);
+            this._resetSignalWindow();
+            this._startMetering();
+            console.log('Audio meter attached to:', audioTrack.label);
+        } catch (error) {
+            console.error('Failed to start audio meter:', error);
+            this.meter.classList.add(AudioMeterComponent.CONSTANTS.CSS_CLASSES.UNAVAILABLE);
+        }
+    }
+
+    /**
+     * Get the current RMS level
+     * @returns {number} Level in dBFS (MIN_DB when silent or unavailable)
+     */
+    getLevel() {
+        return this.levelDb;
+    }
+
+    /**
+     * Check whether the microphone has picked up signal recently
+     * @param {number} [windowMs=NO_SIGNAL_WARNING_MS] - How far back to look
+     * @returns {boolean} False once metering has run this long without any signal
+     */
+    hasRecentSignal(windowMs = AudioMeterComponent.CONSTANTS.NO_SIGNAL_WARNING_MS) {
+        if (!this.analyser) {
+            return false;
+        }
+
+        const now = performance.now();
+        // Not enough time to judge yet (e.g. the context is still waiting for a user gesture)
+        if (this.audioContext.state !== 'running' || now - this.monitorStartTime < windowMs) {
+            return true;
+        }
+        return now - this.lastSignalTime < windowMs;
+    }
+
+    /**
+     * Check whether a level meter could be attached to the stream
+     * @returns {boolean} True if metering
+     */
+    isAvailable() {
+        return !!this.analyser;
+    }
+
+    // === METERING ===
+
+    /**
+     * Start a fresh grace period before a silent microphone is reported
+     * @private
+     */
+    _resetSignalWindow() {
+        this.monitorStartTime = performance.now();
+        this.lastSignalTime = 0;
+    }
+
+    /**
+     * Run the metering loop
+     * @private
+     */
+    _startMetering() {
+        cancelAnimationFrame(this.animationFrame);
+        this.lastFrameTime = performance.now();
+
+        const measure = (now) => {
+            if (!this.analyser) return;
+
+            this._measure(now);
+            this._render(now);
+            this.animationFrame = requestAnimationFrame(measure);
+        };
+
+        this.animationFrame = requestAnimationFrame(measure);
+    }
+
+    /**
+     * Read one block of samples and update level, peak and clipping state
+     * @private
+     * @param {number} now - Frame timestamp
+     */
+    _measure(now) {
+        const { MIN_DB, SIGNAL_THRESHOLD_DB, CLIP_LEVEL, PEAK_HOLD_MS, PEAK_DECAY_DB_PER_SECOND } = AudioMeterComponent.CONSTANTS;
+        const elapsed = Math.min(now - this.lastFrameTime, 1000);
+        this.lastFrameTime = now;
+
+        this.analyser.getFloatTimeDomainData(this.samples);
+
+        let sumOfSquares = 0;
+        let maxSample = 0;
+        for (let i = 0; i < this.samples.length; i++) {
+            const sample = Math.abs(this.samples[i]);
+            sumOfSquares += sample * sample;
+            maxSample = Math.max(maxSample, sample);
+        }
+
+        const rms = Math.sqrt(sumOfSquares / this.samples.length);
+        this.levelDb = rms > 0 ? Math.max(MIN_DB, 20 * Math.log10(rms)) : MIN_DB;
+
+        if (this.levelDb > SIGNAL_THRESHOLD_DB) {
+            this.lastSignalTime = now;
+        }
+
+        if (maxSample >= CLIP_LEVEL) {
+            this.clipTime = now;
+        }
+
+        // Hold the peak, then let it fall back towards the current level
+        if (this.levelDb >= this.peakDb) {
+            this.peakDb = this.levelDb;
+            this.peakTime = now;
+        } else if (now - this.peakTime > PEAK_HOLD_MS) {
+            this.peakDb = Math.max(this.levelDb, this.peakDb - PEAK_DECAY_DB_PER_SECOND * elapsed / 1000);
+        }
+    }
+
+    /**
+     * Draw the meter
+     * @private
+     * @param {number} now - Frame timestamp
+     */
+    _render(now) {
+        const { CLIP_HOLD_MS, CSS_CLASSES } = AudioMeterComponent.CONSTANTS;
+
+        this.fill.style.width = `${this._toPercent(this.levelDb)}%`;
+        this.peakMarker.style.left = `${this._toPercent(this.peakDb)}%`;
+
+        this.meter.classList.toggle(CSS_CLASSES.CLIPPING, this.clipTime > 0 && now - this.clipTime < CLIP_HOLD_MS);
+        this.meter.classList.toggle(CSS_CLASSES.SILENT, !this.hasRecentSignal());
+        this.meter.title = `Microphone: ${Math.round(this.levelDb)} dBFS (peak ${Math.round(this.peakDb)})`;
+    }
+
+    /**
+     * Map a level to a meter position
+     * @private
+     * @param {number} db - Level in dBFS
+     * @returns {number} Position from 0 to 100
+     */
+    _toPercent(db) {
+        const minDb = AudioMeterComponent.CONSTANTS.MIN_DB;
+        return Math.max(0, Math.min(100, (db - minDb) / -minDb * 100));
+    }
+
+    /**
+     * Stop metering the current stream
+     * @private
+     */
+    _disconnect() {
+        cancelAnimationFrame(this.animationFrame);
+        this.animationFrame = null;
+
+        if (this.source) {
+            this.source.disconnect();
+            this.source = null;
+        }
+        this.analyser = null;
+        this.levelDb = AudioMeterComponent.CONSTANTS.MIN_DB;
+        this.peakDb = AudioMeterComponent.CONSTANTS.MIN_DB;
+    }
+
+    destroy() {
+        this._disconnect();
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+    }
+}
@@ -0,0 +1,248 @@
+/**
+ * CaptionBuilder - Turns the scroll timeline of a take into SRT/WebVTT captions
+ * The text crossing the reading line is what is being read, so each sentence is
+ * timed from when it reaches the reading line until its end does
+ */
+class CaptionBuilder {
+    static CONSTANTS = {
+        MAX_LINE_LENGTH: 42, // Characters per caption line
+        MAX_LINES: 2, // Lines per caption
+        MIN_CUE_DURATION: 1, // Seconds a caption stays up at least
+        MAX_CUE_DURATION: 7,
+        SENTENCE_PATTERN: /[^.!?…]+(?:[.!?…]+["'”’)\]]*|$)/g
+    };
+
+    /**
+     * Build timed captions
+     * @param {Object} timeline - { lines: string[], samples: [{ time, line, progress }] }
+     *   time in seconds of recording, progress 0-1 through the line at the reading line
+     * @param {Object} [options] - Options
+     * @param {number} [options.offset=0] - Seconds cut from the start of the take (trimming)
+     * @param {number} [options.duration=Infinity] - Length of the (trimmed) take in seconds
+     * @returns {Object[]} Cues: { start, end, text } with text wrapped into lines
+     */
+    static buildCues(timeline, { offset = 0, duration = Infinity } = {}) {
+        if (!timeline || !Array.isArray(timeline.lines) || !Array.isArray(timeline.samples)) return [];
+
+        const { lines, samples } = timeline;
+        const lineStarts = [];
+        let total = 0;
+        lines.forEach(line => {
+            lineStarts.push(total);
+            total += line.length + 1; // Count the line break so lines never share a position
+        });
+
+        // Reading position as a character offset into the whole script, never moving backwards
+        let furthest = -1;
+        const points = [];
+        samples.forEach(sample => {
+            if (lineStarts[sample.line] === undefined) return;
+            const position = lineStarts[sample.line] + sample.progress * lines[sample.line].length;
+            if (position > furthest) {
+                furthest = position;
+                points.push({ time: sample.time, position: position });
+            }
+        });
+        if (points.length === 0) return [];
+
+        const cues = [];
+        CaptionBuilder._splitIntoChunks(lines, lineStarts).forEach(chunk => {
+            const start = CaptionBuilder._timeAt(points, chunk.start);
+            if (start === null) return; // Never reached the reading line
+
+            const reachedEnd = CaptionBuilder._timeAt(points, chunk.end);
+            cues.push({
+                start: start,
+                end: reachedEnd === null ? points[points.length - 1].time : reachedEnd,
+                text: chunk.text
+            });
+        });
+
+        return CaptionBuilder._fitCues(cues, offset, duration);
+    }
+
+    /**
+     * Split the script into sentences short enough for one caption
+     * @private
+     * @param {string[]} lines - Plain script lines
+     * @param {number[]} lineStarts - Character offset of each line
+     * @returns {Object[]} Chunks: { start, end, text } with character offsets
+     */
+    static _splitIntoChunks(lines, lineStarts) {
+        const maxLength = CaptionBuilder.CONSTANTS.MAX_LINE_LENGTH * CaptionBuilder.CONSTANTS.MAX_LINES;
+        const chunks = [];
+
+        lines.forEach((line, index) => {
+            const pattern = new RegExp(CaptionBuilder.CONSTANTS.SENTENCE_PATTERN.source, 'g');
+            let match;
+            while ((match = pattern.exec(line)) !== null) {
+                if (match[0].length === 0) {
+                    pattern.lastIndex++;
+                    continue;
+                }
+
+                const sentenceStart = lineStarts[index] + match.index;
+                CaptionBuilder._splitSentence(match[0], maxLength).forEach(part => {
+                    const text = part.text.trim().replace(/\s+/g, ' ');
+                    if (!text) return;
+                    chunks.push({
+                        start: sentenceStart + part.start,
+                        end: sentenceStart + part.start + part.text.length,
+                        text: text
+                    });
+                });
+            }
+        });
+
+        return chunks;
+    }
+
+    /**
+     * Break a long sentence at word boundaries, preferring clause punctuation
+     * @private
+     * @param {string} sentence - Sentence text
+     * @param {number} maxLength - Maximum characters per part
+     * @returns {Object[]} Parts: { start, text }
+     */
+    static _splitSentence(sentence, maxLength) {
+        const parts = [];
+        let start = 0;
+
+        while (sentence.length - start > maxLength) {
+            const window = sentence.slice(start, start + maxLength + 1);
+            // Prefer a comma, semicolon or dash in the second half, then any space
+            let cut = Math.max(
+                window.lastIndexOf(', '),
+                window.lastIndexOf('; '),
+                window.lastIndexOf(' – '),
+                window.lastIndexOf(' - ')
+            );
+            cut = cut > maxLength / 2 ? cut + 1 : window.lastIndexOf(' ');
+            if (cut <= 0) {
+                cut = maxLength; // A single very long word
+            }
+
+            parts.push({ start: start, text: sentence.slice(start, start + cut) });
+            start += cut;
+        }
+
+        parts.push({ start: start, text: sentence.slice(start) });
+        return parts;
+    }
+
+    /**
+     * Find when the reading position reached a character offset
+     * @private
+     * @param {Object[]} points - Increasing { time, position } points
+     * @param {number} position - Character offset
+     * @returns {number|null} Seconds, or null if never reached
+     */
+    static _timeAt(points, position) {
+        const index = points.findIndex(point => point.position >= position);
+        if (index === -1) return null;
+        if (index === 0) return points[0].time;
+
+        const before = points[index - 1];
+        const after = points[index];
+        const ratio = (position - before.position) / (after.position - before.position);
+        return before.time + ratio * (after.time - before.time);
+    }
+
+    /**
+     * Shift cues for trimming, keep them readable and stop them overlapping
+     * @private
+     * @param {Object[]} cues - Untrimmed cues in order
+     * @param {number} offset - Seconds cut from the start
+     * @param {number} duration - Length of the trimmed take
+     * @returns {Object[]} Final cues
+     */
+    static _fitCues(cues, offset, duration) {
+        const { MIN_CUE_DURATION, MAX_CUE_DURATION } = CaptionBuilder.CONSTANTS;
+        const fitted = [];
+
+        cues.forEach((cue, index) => {
+            const next = cues[index + 1];
+            let start = cue.start - offset;
+            let end = Math.min(cue.end - offset, start + MAX_CUE_DURATION);
+
+            // Hold short cues longer, but never past the next one
+            end = Math.max(end, start + MIN_CUE_DURATION);
+            if (next) {
+                end = Math.min(end, next.start - offset);
+            }
+
+            start = Math.max(0, start);
+            end = Math.min(duration, end);
+            if (end - start < 0.1) return;
+
+            fitted.push({ start: start, end: end, text: CaptionBuilder.wrapText(cue.text) });
+        });
+
+        return fitted;
+    }
+
+    /**
+     * Wrap caption text into balanced lines
+     * @param {string} text - Caption text
+     * @returns {string} Text with line breaks
+     */
+    static wrapText(text) {
+        const maxLength = CaptionBuilder.CONSTANTS.MAX_LINE_LENGTH;
+        if (text.length <= maxLength) return text;
+
+        // Break at the space nearest the middle so both lines are similar in length
+        const middle = text.length / 2;
+        let best = -1;
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === ' ' && (best === -1 || Math.abs(i - middle) < Math.abs(best - middle))) {
+                best = i;
+            }
+        }
+        if (best === -1) return text;
+
+        return `${text.slice(0, best)}\n${text.slice(best + 1)}`;
+    }
+
+    /**
+     * Format cues as SubRip (.srt)
+     * @param {Object[]} cues - Cues from buildCues()
+     * @returns {string} SRT file contents
+     */
+    static toSrt(cues) {
+        return cues.map((cue, index) => [
+            index + 1,
+            `${CaptionBuilder._formatTime(cue.start, ',')} --> ${CaptionBuilder._formatTime(cue.end, ',')}`,
+            cue.text
+        ].join('\n')).join('\n\n') + '\n';
+    }
+
+    /**
+     * Format cues as WebVTT (.vtt)
+     * @param {Object[]} cues - Cues from buildCues()
+     * @returns {string} WebVTT file contents
+     */
+    static toVtt(cues) {
+        const body = cues.map(cue => [
+            `${CaptionBuilder._formatTime(cue.start, '.')} --> ${CaptionBuilder._formatTime(cue.end, '.')}`,
+            cue.text
+        ].join('\n')).join('\n\n');
+        return `WEBVTT\n\n${body}\n`;
+    }
+
+    /**
+     * Format seconds as hh:mm:ss,mmm
+     * @private
+     * @param {number} seconds - Time in seconds
+     * @param {string} separator - ',' for SRT or '.' for WebVTT
+     * @returns {string} Timestamp
+     */
+    static _formatTime(seconds, separator) {
+        const totalMs = Math.max(0, Math.round(seconds * 1000));
+        const hours = Math.floor(totalMs / 3600000);
+        const minutes = Math.floor(totalMs / 60000) % 60;
+        const secs = Math.floor(totalMs / 1000) % 60;
+        const ms = totalMs % 1000;
+
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}${separator}${String(ms).padStart(3, '0')}`;
+    }
+}
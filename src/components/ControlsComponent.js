@@ -2,26 +2,43 @@
  * ControlsComponent - Handles all the control buttons and user interface
  */
 class ControlsComponent {
-    constructor(videoComponent, scriptComponent) {
+    constructor(videoComponent, scriptComponent, countdownComponent, audioMeterComponent) {
         this.videoComponent = videoComponent;
         this.scriptComponent = scriptComponent;
+        this.countdownComponent = countdownComponent;
+        this.audioMeterComponent = audioMeterComponent;
         
         // Control elements
         this.recordButton = document.getElementById('recordButton');
+        this.pauseButton = document.getElementById('pauseButton');
         this.rotateButton = document.getElementById('rotateButton');
+        this.mirrorButton = document.getElementById('mirrorButton');
+        this.flipButton = document.getElementById('flipButton');
         this.cameraButton = document.getElementById('cameraButton');
         
-        // Speed control buttons
+        // Settings panel
+        this.settingsButton = document.getElementById('settingsButton');
+        this.settingsPanel = document.getElementById('settingsPanel');
+        this.settingsClose = document.getElementById('settingsClose');
+        
+        // Speed slider, readout and quick slot buttons
+        this.speedSlider = document.getElementById('speedSlider');
+        this.speedValue = document.getElementById('speedValue');
         this.speedSlow = document.getElementById('speedSlow');
         this.speedNormal = document.getElementById('speedNormal');
         this.speedFast = document.getElementById('speedFast');
         
-        // Size control buttons
+        // Duration target input ("finish in")
+        this.durationInput = document.getElementById('durationInput');
+        
+        // Size slider, readout and quick slot buttons
+        this.sizeSlider = document.getElementById('sizeSlider');
+        this.sizeValue = document.getElementById('sizeValue');
         this.sizeSmall = document.getElementById('sizeSmall');
         this.sizeMedium = document.getElementById('sizeMedium');
         this.sizeLarge = document.getElementById('sizeLarge');
         
-        // Speed and size mappings
+        // Quick slot values (defaults, replaced by saved slots in loadQuickSlots)
         this.speedMap = {
             slow: 60,
             normal: 120,
@@ -34,11 +51,24 @@ class ControlsComponent {
             large: 32
         };
         
+        // Step and bounds for raising/lowering the speed and size from shortcuts and the wheel
+        this.speedStep = 10;
+        this.speedLimits = { min: 10, max: 600 };
+        this.sizeStep = 2;
+        this.sizeLimits = { min: ScriptComponent.CONSTANTS.MIN_TEXT_SIZE, max: ScriptComponent.CONSTANTS.MAX_TEXT_SIZE };
+        
+        // Holding a quick slot this long stores the current value in it
+        this.slotHoldDelay = 600;
+        
+        // Pixels moved by one scroll nudge
+        this.nudgeDistance = 120;
+        
         this.init();
     }
 
     init() {
         console.log('Initializing ControlsComponent...');
+        this.loadQuickSlots();
         this.setupEventListeners();
         this.updateButtonStates();
     }
@@ -49,28 +79,165 @@ class ControlsComponent {
             this.toggleRecording();
         });
 
+        // Pause button
+        this.pauseButton.addEventListener('click', () => {
+            this.togglePause();
+        });
+
         // Rotate button
         this.rotateButton.addEventListener('click', () => {
             this.toggleTextRotation();
         });
 
+        // Mirror and flip buttons
+        this.mirrorButton.addEventListener('click', () => {
+            this.toggleMirror();
+        });
+        this.flipButton.addEventListener('click', () => {
+            this.toggleFlip();
+        });
+
         // Camera switch button
         this.cameraButton.addEventListener('click', () => {
             this.switchCamera();
         });
 
-        // Speed control buttons
-        this.speedSlow.addEventListener('click', () => this.setSpeed('slow'));
-        this.speedNormal.addEventListener('click', () => this.setSpeed('normal'));
-        this.speedFast.addEventListener('click', () => this.setSpeed('fast'));
+        // Settings panel
+        this.settingsButton.addEventListener('click', () => {
+            this.settingsPanel.classList.toggle('open');
+        });
+        this.settingsClose.addEventListener('click', () => {
+            this.settingsPanel.classList.remove('open');
+        });
+
+        // Speed slider and quick slots
+        this.speedSlider.addEventListener('input', () => {
+            this.setSpeedValue(Number(this.speedSlider.value));
+        });
+        this.setupWheelAdjust(this.speedSlider, (direction) => this.adjustSpeed(direction * this.speedStep));
+        this.setupQuickSlot(this.speedSlow, () => this.setSpeed('slow'), () => this.storeSpeedSlot('slow'));
+        this.setupQuickSlot(this.speedNormal, () => this.setSpeed('normal'), () => this.storeSpeedSlot('normal'));
+        this.setupQuickSlot(this.speedFast, () => this.setSpeed('fast'), () => this.storeSpeedSlot('fast'));
+
+        // Duration target input
+        this.durationInput.addEventListener('change', () => {
+            this.setTargetDuration(this.durationInput.value);
+        });
+
+        // Size slider and quick slots (a pinch on the script box also changes the size)
+        this.scriptComponent.addChangeListener(() => this.updateSizeControls());
+        this.sizeSlider.addEventListener('input', () => {
+            this.setTextSizeValue(Number(this.sizeSlider.value));
+        });
+        this.setupWheelAdjust(this.sizeSlider, (direction) => this.adjustTextSize(direction * this.sizeStep));
+        this.setupQuickSlot(this.sizeSmall, () => this.setTextSize('small'), () => this.storeSizeSlot('small'));
+        this.setupQuickSlot(this.sizeMedium, () => this.setTextSize('medium'), () => this.storeSizeSlot('medium'));
+        this.setupQuickSlot(this.sizeLarge, () => this.setTextSize('large'), () => this.storeSizeSlot('large'));
+    }
+
+    // Click applies a quick slot; Shift-click or a long press stores the current value in it
+    setupQuickSlot(button, apply, store) {
+        let holdTimer = null;
+        let stored = false;
+        
+        const cancelHold = () => {
+            clearTimeout(holdTimer);
+            holdTimer = null;
+        };
+        
+        button.addEventListener('pointerdown', () => {
+            stored = false;
+            cancelHold();
+            holdTimer = setTimeout(() => {
+                holdTimer = null;
+                stored = true;
+                store();
+                if (navigator.vibrate) {
+                    navigator.vibrate(30);
+                }
+            }, this.slotHoldDelay);
+        });
+        button.addEventListener('pointerup', cancelHold);
+        button.addEventListener('pointerleave', cancelHold);
+        button.addEventListener('pointercancel', cancelHold);
+        // Keep the long-press menu from opening on touch screens
+        button.addEventListener('contextmenu', (e) => e.preventDefault());
+        
+        button.addEventListener('click', (e) => {
+            if (stored) {
+                stored = false; // The long press already stored the value
+                return;
+            }
+            if (e.shiftKey) {
+                store();
+            } else {
+                apply();
+            }
+        });
+    }
+
+    // Step a value with the mouse wheel while hovering the slider
+    setupWheelAdjust(slider, adjust) {
+        slider.addEventListener('wheel', (e) => {
+            if (slider.disabled || e.deltaY === 0) return;
+            e.preventDefault();
+            adjust(e.deltaY < 0 ? 1 : -1);
+        }, { passive: false });
+    }
+
+    // Quick slot values are saved with the other settings
+    loadQuickSlots() {
+        const settings = SettingsStore.load();
+        const isValid = (value, limits) => Number.isFinite(value) && value >= limits.min && value <= limits.max;
+        
+        Object.keys(this.speedMap).forEach(slot => {
+            const value = settings.speedSlots ? settings.speedSlots[slot] : undefined;
+            if (isValid(value, this.speedLimits)) {
+                this.speedMap[slot] = value;
+            }
+        });
+        Object.keys(this.sizeMap).forEach(slot => {
+            const value = settings.sizeSlots ? settings.sizeSlots[slot] : undefined;
+            if (isValid(value, this.sizeLimits)) {
+                this.sizeMap[slot] = value;
+            }
+        });
+    }
+
+    saveQuickSlots() {
+        SettingsStore.update({
+            speedSlots: { ...this.speedMap },
+            sizeSlots: { ...this.sizeMap }
+        });
+    }
+
+    storeSpeedSlot(speedType) {
+        if (!(speedType in this.speedMap)) return;
+        
+        this.speedMap[speedType] = this.scriptComponent.getSpeed();
+        this.saveQuickSlots();
+        this.updateSpeedControls();
+        console.log(`Speed slot ${speedType} set to ${this.speedMap[speedType]} px/s`);
+    }
 
-        // Size control buttons
-        this.sizeSmall.addEventListener('click', () => this.setTextSize('small'));
-        this.sizeMedium.addEventListener('click', () => this.setTextSize('medium'));
-        this.sizeLarge.addEventListener('click', () => this.setTextSize('large'));
+    storeSizeSlot(sizeType) {
+        if (!(sizeType in this.sizeMap)) return;
+        
+        this.sizeMap[sizeType] = this.scriptComponent.getTextSize();
+        this.saveQuickSlots();
+        this.updateSizeControls();
+        console.log(`Size slot ${sizeType} set to ${this.sizeMap[sizeType]}px`);
     }
 
     async toggleRecording() {
+        // Pressing record during the countdown cancels it
+        if (this.countdownComponent.isCountingDown()) {
+            this.countdownComponent.cancel();
+            this.updateRecordButton(false);
+            console.log('Countdown cancelled by user');
+            return;
+        }
+        
         const videoState = this.videoComponent.getRecordingState();
         
         if (!videoState.hasStream) {
@@ -79,7 +246,8 @@ class ControlsComponent {
         }
 
         if (videoState.isRecording) {
-            // Stop recording
+            // Stop recording (and a pending scroll start)
+            this.countdownComponent.cancel();
             const success = this.videoComponent.stopRecording();
             if (success) {
                 this.scriptComponent.stopScrolling();
@@ -87,14 +255,92 @@ class ControlsComponent {
                 console.log('Recording stopped by user');
             }
         } else {
+            // A muted or wrong microphone would ruin the whole take
+            if (!this.confirmMicrophoneSignal()) {
+                console.log('Recording cancelled: no microphone signal');
+                return;
+            }
+            
+            // Count down before starting
+            this.updateRecordButton(false, true);
+            const completed = await this.countdownComponent.run();
+            if (!completed) return;
+            
             // Start recording
             const success = await this.videoComponent.startRecording();
+            this.updateRecordButton(success);
             if (success) {
-                this.scriptComponent.startScrolling();
-                this.updateRecordButton(true);
                 console.log('Recording started by user');
+                
+                // Give the presenter a moment on camera before the script moves
+                const leadInCompleted = await this.countdownComponent.waitForLeadIn();
+                const recordingState = this.videoComponent.getRecordingState();
+                if (leadInCompleted && recordingState.isRecording) {
+                    this.scriptComponent.startScrolling();
+                    // Paused during the lead-in - keep the script still until resumed
+                    if (recordingState.isPaused) {
+                        this.scriptComponent.pauseScrolling();
+                    }
+                }
+            }
+        }
+        
+        this.updatePauseButton();
+    }
+
+    confirmMicrophoneSignal() {
+        if (!this.audioMeterComponent || !this.audioMeterComponent.isAvailable()) {
+            return true;
+        }
+        
+        if (this.audioMeterComponent.hasRecentSignal()) {
+            return true;
+        }
+        
+        const seconds = Math.round(AudioMeterComponent.CONSTANTS.NO_SIGNAL_WARNING_MS / 1000);
+        return confirm(`No microphone signal detected in the last ${seconds} seconds. Check that the microphone is connected, selected in Settings and not muted.\n\nRecord anyway?`);
+    }
+
+    togglePause() {
+        const videoState = this.videoComponent.getRecordingState();
+        if (!videoState.isRecording) return;
+        
+        if (videoState.isPaused) {
+            if (this.videoComponent.resumeRecording()) {
+                this.scriptComponent.resumeScrolling();
+                console.log('Recording resumed by user');
+            }
+        } else {
+            if (this.videoComponent.pauseRecording()) {
+                this.scriptComponent.pauseScrolling();
+                console.log('Recording paused by user');
             }
         }
+        
+        this.updateRecordButton(true);
+        this.updatePauseButton();
+    }
+
+    // Pause or resume only the script scroll, leaving the recording running
+    toggleScrollPause() {
+        const scriptState = this.scriptComponent.getScrollState();
+        if (!scriptState.isScrolling) return;
+        
+        if (scriptState.isScrollPaused) {
+            this.scriptComponent.resumeScrolling();
+            console.log('Scroll resumed by user');
+        } else {
+            this.scriptComponent.pauseScrolling();
+            console.log('Scroll paused by user');
+        }
+    }
+
+    adjustSpeed(delta) {
+        this.setSpeedValue(this.scriptComponent.getSpeed() + delta);
+    }
+
+    adjustTextSize(delta) {
+        this.setTextSizeValue(this.scriptComponent.getTextSize() + delta);
     }
 
     toggleTextRotation() {
@@ -102,6 +348,21 @@ class ControlsComponent {
         this.updateRotateButton();
     }
 
+    setRotation(degrees) {
+        this.scriptComponent.setRotation(degrees);
+        this.updateRotateButton();
+    }
+
+    toggleMirror() {
+        this.scriptComponent.toggleMirror();
+        this.updateRotateButton();
+    }
+
+    toggleFlip() {
+        this.scriptComponent.toggleFlip();
+        this.updateRotateButton();
+    }
+
     async switchCamera() {
         console.log('Camera switch requested');
         this.updateCameraButton(true); // Show loading state
@@ -119,63 +380,110 @@ class ControlsComponent {
     setSpeed(speedType) {
         const speed = this.speedMap[speedType];
         this.scriptComponent.setSpeed(speed);
-        this.updateSpeedButtons(speedType);
+        this.updateSpeedControls();
         console.log(`Speed set to ${speedType}: ${speed} px/s`);
     }
 
+    // Set an exact speed, clamped to the slider range
+    setSpeedValue(value) {
+        if (!Number.isFinite(value)) return;
+        
+        const speed = Math.round(Math.max(this.speedLimits.min, Math.min(this.speedLimits.max, value)));
+        this.scriptComponent.setSpeed(speed);
+        this.updateSpeedControls();
+        console.log(`Speed set to ${speed} px/s`);
+    }
+
+    setTargetDuration(text) {
+        const seconds = this.parseDuration(text);
+        this.scriptComponent.setTargetDuration(seconds);
+        this.updateDurationInput();
+        console.log(seconds ? `Scroll will finish in ${seconds}s` : 'Duration target cleared');
+    }
+
     setTextSize(sizeType) {
         const size = this.sizeMap[sizeType];
         this.scriptComponent.setTextSize(size);
-        this.updateSizeButtons(sizeType);
+        this.updateSizeControls();
         console.log(`Text size set to ${sizeType}: ${size}px`);
     }
 
+    // Set an exact text size, clamped to the slider range
+    setTextSizeValue(value) {
+        if (!Number.isFinite(value)) return;
+        
+        const size = Math.round(Math.max(this.sizeLimits.min, Math.min(this.sizeLimits.max, value)));
+        this.scriptComponent.setTextSize(size);
+        this.updateSizeControls();
+        console.log(`Text size set to ${size}px`);
+    }
+
     // UI Update Methods
     updateButtonStates() {
         const videoState = this.videoComponent.getRecordingState();
-        const scriptState = this.scriptComponent.getScrollState();
         
         this.updateRecordButton(videoState.isRecording);
+        this.updatePauseButton();
         this.updateRotateButton();
         this.updateCameraButton(false);
-        
-        // Update speed buttons based on current speed
-        const currentSpeedType = this.getSpeedTypeFromValue(scriptState.currentSpeed);
-        this.updateSpeedButtons(currentSpeedType);
-        
-        // Update size buttons based on current size
-        const currentSizeType = this.getSizeTypeFromValue(scriptState.currentTextSize);
-        this.updateSizeButtons(currentSizeType);
+        this.updateSpeedControls();
+        this.updateSizeControls();
+        this.updateDurationInput();
     }
 
-    updateRecordButton(isRecording) {
+    updateRecordButton(isRecording, isCountingDown = false) {
         const recordIcon = this.recordButton.querySelector('.record-icon');
         
-        if (isRecording) {
+        this.recordButton.classList.toggle('counting-down', isCountingDown);
+        
+        if (isCountingDown) {
+            this.recordButton.setAttribute('title', 'Cancel Countdown');
+        } else if (isRecording) {
             this.recordButton.classList.add('recording');
+            this.recordButton.classList.toggle('paused', this.videoComponent.getRecordingState().isPaused);
             recordIcon.style.backgroundColor = '#ff4444';
             recordIcon.style.borderRadius = '4px';
             this.recordButton.setAttribute('title', 'Stop Recording');
         } else {
-            this.recordButton.classList.remove('recording');
+            this.recordButton.classList.remove('recording', 'paused');
             recordIcon.style.backgroundColor = '#ff4444';
             recordIcon.style.borderRadius = '50%';
             this.recordButton.setAttribute('title', 'Start Recording');
         }
     }
 
-    updateRotateButton() {
-        const scriptState = this.scriptComponent.getScrollState();
+    updatePauseButton() {
+        const videoState = this.videoComponent.getRecordingState();
+        const pauseIcon = this.pauseButton.querySelector('.pause-icon');
         
-        if (scriptState.isTextRotated) {
-            this.rotateButton.classList.add('active');
-            this.rotateButton.setAttribute('title', 'Disable Text Rotation');
+        this.pauseButton.disabled = !videoState.isRecording;
+        this.pauseButton.classList.toggle('active', videoState.isPaused);
+        
+        if (videoState.isPaused) {
+            pauseIcon.textContent = '▶';
+            this.pauseButton.setAttribute('title', 'Resume Recording');
         } else {
-            this.rotateButton.classList.remove('active');
-            this.rotateButton.setAttribute('title', 'Rotate Text 90°');
+            pauseIcon.textContent = '⏸';
+            this.pauseButton.setAttribute('title', 'Pause Recording');
         }
     }
 
+    // Updates the rotate, mirror and flip buttons together
+    updateRotateButton() {
+        const scriptState = this.scriptComponent.getScrollState();
+        const rotateLabel = this.rotateButton.querySelector('.rotate-label');
+        
+        this.rotateButton.classList.toggle('active', scriptState.rotation !== 0);
+        rotateLabel.textContent = scriptState.rotation !== 0 ? `${scriptState.rotation}°` : '';
+        this.rotateButton.setAttribute('title', `Rotate Text (currently ${scriptState.rotation}°)`);
+        
+        this.mirrorButton.classList.toggle('active', scriptState.isMirrored);
+        this.mirrorButton.setAttribute('title', scriptState.isMirrored ? 'Disable Mirror' : 'Mirror Text Horizontally');
+        
+        this.flipButton.classList.toggle('active', scriptState.isFlipped);
+        this.flipButton.setAttribute('title', scriptState.isFlipped ? 'Disable Flip' : 'Flip Text Vertically');
+    }
+
     updateCameraButton(isLoading) {
         const cameraIcon = this.cameraButton.querySelector('.camera-icon');
         
@@ -190,57 +498,82 @@ class ControlsComponent {
         }
     }
 
-    updateSpeedButtons(activeType) {
-        // Remove active class from all speed buttons
-        [this.speedSlow, this.speedNormal, this.speedFast].forEach(btn => {
-            btn.classList.remove('active');
-        });
+    // Sync the speed slider, readout and quick slots with the current speed
+    updateSpeedControls() {
+        const speed = this.scriptComponent.getSpeed();
+        const activeType = this.getSpeedTypeFromValue(speed);
         
-        // Add active class to selected button
-        switch (activeType) {
-            case 'slow':
-                this.speedSlow.classList.add('active');
-                break;
-            case 'normal':
-                this.speedNormal.classList.add('active');
-                break;
-            case 'fast':
-                this.speedFast.classList.add('active');
-                break;
-        }
+        this.speedSlider.value = speed;
+        this.speedValue.textContent = `${speed} px/s`;
+        
+        const slots = { slow: this.speedSlow, normal: this.speedNormal, fast: this.speedFast };
+        Object.entries(slots).forEach(([type, btn]) => {
+            btn.textContent = this.speedMap[type];
+            btn.classList.toggle('active', type === activeType);
+            btn.setAttribute('title', `${this.speedMap[type]} px/s (Shift-click or hold to store the current speed)`);
+        });
     }
 
-    updateSizeButtons(activeType) {
-        // Remove active class from all size buttons
-        [this.sizeSmall, this.sizeMedium, this.sizeLarge].forEach(btn => {
-            btn.classList.remove('active');
+    updateDurationInput() {
+        const seconds = this.scriptComponent.getTargetDuration();
+        this.durationInput.value = seconds ? this.formatDuration(seconds) : '';
+        this.durationInput.classList.toggle('active', !!seconds);
+        
+        // The set speed has no effect while a duration target is set
+        [this.speedSlider, this.speedSlow, this.speedNormal, this.speedFast].forEach(control => {
+            control.disabled = !!seconds;
         });
+    }
+
+    // Sync the size slider, readout and quick slots with the current text size
+    updateSizeControls() {
+        const size = this.scriptComponent.getTextSize();
+        const activeType = this.getSizeTypeFromValue(size);
         
-        // Add active class to selected button
-        switch (activeType) {
-            case 'small':
-                this.sizeSmall.classList.add('active');
-                break;
-            case 'medium':
-                this.sizeMedium.classList.add('active');
-                break;
-            case 'large':
-                this.sizeLarge.classList.add('active');
-                break;
-        }
+        this.sizeSlider.value = size;
+        this.sizeValue.textContent = `${size} px`;
+        
+        const slots = { small: this.sizeSmall, medium: this.sizeMedium, large: this.sizeLarge };
+        Object.entries(slots).forEach(([type, btn]) => {
+            btn.textContent = this.sizeMap[type];
+            btn.classList.toggle('active', type === activeType);
+            btn.setAttribute('title', `${this.sizeMap[type]} px (Shift-click or hold to store the current size)`);
+        });
     }
 
-    // Helper methods to determine current state
+    // Helper methods to find the quick slot holding a value (null when none does)
     getSpeedTypeFromValue(speed) {
-        if (speed <= 60) return 'slow';
-        if (speed <= 120) return 'normal';
-        return 'fast';
+        return Object.keys(this.speedMap).find(type => this.speedMap[type] === speed) || null;
     }
 
     getSizeTypeFromValue(size) {
-        if (size <= 18) return 'small';
-        if (size <= 24) return 'medium';
-        return 'large';
+        return Object.keys(this.sizeMap).find(type => this.sizeMap[type] === size) || null;
+    }
+
+    // Parse "2:30", "90", "90s" or "3m" into seconds (null when empty or invalid)
+    parseDuration(text) {
+        const value = String(text || '').trim().toLowerCase();
+        if (!value) return null;
+        
+        const clockMatch = value.match(/^(\d+):([0-5]?\d)$/);
+        if (clockMatch) {
+            return parseInt(clockMatch[1], 10) * 60 + parseInt(clockMatch[2], 10) || null;
+        }
+        
+        const unitMatch = value.match(/^(\d+(?:\.\d+)?)\s*(s|m|min)?$/);
+        if (unitMatch) {
+            const amount = parseFloat(unitMatch[1]);
+            const seconds = unitMatch[2] === 'm' || unitMatch[2] === 'min' ? amount * 60 : amount;
+            return seconds > 0 ? Math.round(seconds) : null;
+        }
+        
+        return null;
+    }
+
+    formatDuration(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const remainder = Math.round(seconds % 60);
+        return `${minutes}:${String(remainder).padStart(2, '0')}`;
     }
 
     // Public methods for external control
@@ -250,12 +583,18 @@ class ControlsComponent {
         
         return {
             isRecording: videoState.isRecording,
+            isPaused: videoState.isPaused,
+            isCountingDown: this.countdownComponent.isCountingDown(),
             currentCamera: videoState.currentCamera,
             hasStream: videoState.hasStream,
             isScrolling: scriptState.isScrolling,
             currentSpeed: scriptState.currentSpeed,
             currentTextSize: scriptState.currentTextSize,
-            isTextRotated: scriptState.isTextRotated
+            targetDuration: scriptState.targetDuration,
+            isTextRotated: scriptState.isTextRotated,
+            rotation: scriptState.rotation,
+            isMirrored: scriptState.isMirrored,
+            isFlipped: scriptState.isFlipped
         };
     }
 
@@ -265,9 +604,21 @@ class ControlsComponent {
             case 'toggleRecording':
                 await this.toggleRecording();
                 break;
+            case 'togglePause':
+                this.togglePause();
+                break;
             case 'toggleRotation':
                 this.toggleTextRotation();
                 break;
+            case 'setRotation':
+                this.setRotation(Number(value));
+                break;
+            case 'toggleMirror':
+                this.toggleMirror();
+                break;
+            case 'toggleFlip':
+                this.toggleFlip();
+                break;
             case 'switchCamera':
                 await this.switchCamera();
                 break;
@@ -276,11 +627,47 @@ class ControlsComponent {
                     this.setSpeed(value);
                 }
                 break;
+            case 'setSpeedValue':
+                this.setSpeedValue(Number(value));
+                break;
+            case 'setTargetDuration':
+                this.setTargetDuration(value);
+                break;
             case 'setTextSize':
                 if (value && this.sizeMap[value]) {
                     this.setTextSize(value);
                 }
                 break;
+            case 'setTextSizeValue':
+                this.setTextSizeValue(Number(value));
+                break;
+            case 'nudgeScroll':
+                // Value in pixels, negative moves back
+                if (Number.isFinite(Number(value))) {
+                    this.scriptComponent.nudgeScroll(Number(value));
+                }
+                break;
+            case 'nudgeForward':
+                this.scriptComponent.nudgeScroll(this.nudgeDistance);
+                break;
+            case 'nudgeBack':
+                this.scriptComponent.nudgeScroll(-this.nudgeDistance);
+                break;
+            case 'toggleScrollPause':
+                this.toggleScrollPause();
+                break;
+            case 'speedUp':
+                this.adjustSpeed(this.speedStep);
+                break;
+            case 'speedDown':
+                this.adjustSpeed(-this.speedStep);
+                break;
+            case 'sizeUp':
+                this.adjustTextSize(this.sizeStep);
+                break;
+            case 'sizeDown':
+                this.adjustTextSize(-this.sizeStep);
+                break;
             default:
                 console.warn('Unknown action:', action);
         }
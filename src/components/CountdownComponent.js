@@ -0,0 +1,315 @@
+/**
+ * CountdownComponent - Pre-roll countdown drawn over the video preview
+ * Also provides the lead-in delay between recording start and scroll start
+ */
+class CountdownComponent {
+    static CONSTANTS = {
+        DEFAULT_COUNTDOWN_SECONDS: 3,
+        DEFAULT_LEAD_IN_SECONDS: 0,
+        DEFAULT_BEEP_ENABLED: true,
+        MAX_SECONDS: 10,
+        BEEP: {
+            FREQUENCY: 880,
+            FINAL_FREQUENCY: 1320,
+            DURATION: 0.12,
+            VOLUME: 0.2
+        },
+        CSS_CLASSES: {
+            VISIBLE: 'visible',
+            TICK: 'tick'
+        }
+    };
+
+    /**
+     * @constructor
+     * Initializes the countdown overlay and loads saved settings
+     */
+    constructor() {
+        this.overlay = document.getElementById('countdownOverlay');
+        this.countdownInput = document.getElementById('countdownSecondsInput');
+        this.leadInInput = document.getElementById('leadInSecondsInput');
+        this.beepInput = document.getElementById('countdownBeepInput');
+
+        this.settings = {
+            countdownSeconds: CountdownComponent.CONSTANTS.DEFAULT_COUNTDOWN_SECONDS,
+            leadInSeconds: CountdownComponent.CONSTANTS.DEFAULT_LEAD_IN_SECONDS,
+            countdownBeep: CountdownComponent.CONSTANTS.DEFAULT_BEEP_ENABLED
+        };
+
+        // Active phase: 'countdown', 'leadIn' or null
+        this.phase = null;
+        this.timer = null;
+        this.resolvePhase = null;
+        this.audioContext = null;
+
+        this.init();
+    }
+
+    init() {
+        console.log('Initializing CountdownComponent...');
+        this._loadSettings();
+        this._setupEventListeners();
+        this._updateInputs();
+    }
+
+    // === SETTINGS MANAGEMENT ===
+
+    /**
+     * Load countdown settings
+     * @private
+     */
+    _loadSettings() {
+        const settings = SettingsStore.load();
+
+        if (settings.countdownSeconds !== undefined) {
+            this.settings.countdownSeconds = this._clampSeconds(settings.countdownSeconds);
+        }
+        if (settings.leadInSeconds !== undefined) {
+            this.settings.leadInSeconds = this._clampSeconds(settings.leadInSeconds);
+        }
+        if (settings.countdownBeep !== undefined) {
+            this.settings.countdownBeep = !!settings.countdownBeep;
+        }
+    }
+
+    /**
+     * Save countdown settings
+     * @private
+     */
+    _saveSettings() {
+        SettingsStore.update(this.settings);
+    }
+
+    /**
+     * Clamp a seconds value to the allowed range
+     * @private
+     * @param {*} value - Raw value
+     * @returns {number} Whole seconds between 0 and MAX_SECONDS
+     */
+    _clampSeconds(value) {
+        const seconds = parseInt(value, 10);
+        if (isNaN(seconds)) return 0;
+        return Math.max(0, Math.min(CountdownComponent.CONSTANTS.MAX_SECONDS, seconds));
+    }
+
+    /**
+     * Bind the settings panel inputs
+     * @private
+     */
+    _setupEventListeners() {
+        this.countdownInput.addEventListener('change', () => {
+            this.setCountdownSeconds(this.countdownInput.value);
+        });
+        this.leadInInput.addEventListener('change', () => {
+            this.setLeadInSeconds(this.leadInInput.value);
+        });
+        this.beepInput.addEventListener('change', () => {
+            this.setBeepEnabled(this.beepInput.checked);
+        });
+    }
+
+    /**
+     * Reflect settings in the settings panel inputs
+     * @private
+     */
+    _updateInputs() {
+        this.countdownInput.value = this.settings.countdownSeconds;
+        this.leadInInput.value = this.settings.leadInSeconds;
+        this.beepInput.checked = this.settings.countdownBeep;
+    }
+
+    // === COUNTDOWN ===
+
+    /**
+     * Show the countdown over the video preview
+     * @returns {Promise<boolean>} True if it completed, false if cancelled
+     */
+    run() {
+        const total = this.settings.countdownSeconds;
+        if (total === 0) {
+            return Promise.resolve(true);
+        }
+
+        return this._startPhase('countdown', (finish) => {
+            let remaining = total;
+            this.overlay.classList.add(CountdownComponent.CONSTANTS.CSS_CLASSES.VISIBLE);
+
+            const tick = () => {
+                if (remaining === 0) {
+                    finish(true);
+                    return;
+                }
+
+                this._showNumber(remaining);
+                this._beep(remaining === 1);
+                remaining--;
+                this.timer = setTimeout(tick, 1000);
+            };
+
+            tick();
+        });
+    }
+
+    /**
+     * Wait for the configured lead-in delay
+     * @returns {Promise<boolean>} True if it completed, false if cancelled
+     */
+    waitForLeadIn() {
+        const seconds = this.settings.leadInSeconds;
+        if (seconds === 0) {
+            return Promise.resolve(true);
+        }
+
+        return this._startPhase('leadIn', (finish) => {
+            this.timer = setTimeout(() => finish(true), seconds * 1000);
+        });
+    }
+
+    /**
+     * Cancel the running countdown or lead-in
+     */
+    cancel() {
+        if (this.resolvePhase) {
+            console.log(`Countdown phase '${this.phase}' cancelled`);
+            this.resolvePhase(false);
+        }
+    }
+
+    /**
+     * Check whether the pre-recording countdown is running
+     * @returns {boolean} True during the countdown
+     */
+    isCountingDown() {
+        return this.phase === 'countdown';
+    }
+
+    /**
+     * Check whether the lead-in delay is running
+     * @returns {boolean} True during the lead-in
+     */
+    isInLeadIn() {
+        return this.phase === 'leadIn';
+    }
+
+    /**
+     * Run a cancellable phase
+     * @private
+     * @param {string} phase - Phase name
+     * @param {Function} start - Receives a finish(completed) callback
+     * @returns {Promise<boolean>} True if completed, false if cancelled
+     */
+    _startPhase(phase, start) {
+        // Only one phase at a time
+        this.cancel();
+
+        return new Promise((resolve) => {
+            this.phase = phase;
+            this.resolvePhase = (completed) => {
+                clearTimeout(this.timer);
+                this.timer = null;
+                this.phase = null;
+                this.resolvePhase = null;
+                this.overlay.classList.remove(CountdownComponent.CONSTANTS.CSS_CLASSES.VISIBLE);
+                this.overlay.textContent = '';
+                resolve(completed);
+            };
+
+            start(this.resolvePhase);
+        });
+    }
+
+    /**
+     * Display a number in the overlay and restart its animation
+     * @private
+     * @param {number} value - Number to show
+     */
+    _showNumber(value) {
+        this.overlay.textContent = value;
+        this.overlay.classList.remove(CountdownComponent.CONSTANTS.CSS_CLASSES.TICK);
+        // Force reflow so the animation plays again
+        void this.overlay.offsetWidth;
+        this.overlay.classList.add(CountdownComponent.CONSTANTS.CSS_CLASSES.TICK);
+    }
+
+    /**
+     * Play a short beep if enabled
+     * @private
+     * @param {boolean} isFinal - Use the higher final tone
+     */
+    _beep(isFinal) {
+        if (!this.settings.countdownBeep) return;
+
+        try {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) return;
+
+            if (!this.audioContext) {
+                this.audioContext = new AudioContextClass();
+            }
+
+            const beep = CountdownComponent.CONSTANTS.BEEP;
+            const now = this.audioContext.currentTime;
+            const oscillator = this.audioContext.createOscillator();
+            const gain = this.audioContext.createGain();
+
+            oscillator.frequency.value = isFinal ? beep.FINAL_FREQUENCY : beep.FREQUENCY;
+            gain.gain.setValueAtTime(beep.VOLUME, now);
+            gain.gain.exponentialRampToValueAtTime(0.001, now + beep.DURATION);
+
+            oscillator.connect(gain);
+            gain.connect(this.audioContext.destination);
+            oscillator.start(now);
+            oscillator.stop(now + beep.DURATION);
+        } catch (error) {
+            console.error('Failed to play countdown beep:', error);
+        }
+    }
+
+    // === PUBLIC API METHODS ===
+
+    /**
+     * Set the countdown length
+     * @param {number|string} seconds - 0 to 10 seconds (0 disables the countdown)
+     */
+    setCountdownSeconds(seconds) {
+        this.settings.countdownSeconds = this._clampSeconds(seconds);
+        this._updateInputs();
+        this._saveSettings();
+    }
+
+    /**
+     * Set the delay between recording start and scroll start
+     * @param {number|string} seconds - 0 to 10 seconds
+     */
+    setLeadInSeconds(seconds) {
+        this.settings.leadInSeconds = this._clampSeconds(seconds);
+        this._updateInputs();
+        this._saveSettings();
+    }
+
+    /**
+     * Enable or disable the countdown beep
+     * @param {boolean} enabled - Whether to beep
+     */
+    setBeepEnabled(enabled) {
+        this.settings.countdownBeep = !!enabled;
+        this._updateInputs();
+        this._saveSettings();
+    }
+
+    /**
+     * Get the countdown settings
+     * @returns {Object} Countdown settings
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    destroy() {
+        this.cancel();
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+    }
+}
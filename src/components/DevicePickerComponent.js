@@ -0,0 +1,119 @@
+/**
+ * DevicePickerComponent - Camera and microphone selection in the settings panel
+ * Lists devices from enumerateDevices() and refreshes when devices are plugged in or removed
+ */
+class DevicePickerComponent {
+    static CONSTANTS = {
+        DEFAULT_OPTION_LABEL: 'Default'
+    };
+
+    /**
+     * @constructor
+     * @param {VideoComponent} videoComponent - Owner of the camera stream
+     */
+    constructor(videoComponent) {
+        this.videoComponent = videoComponent;
+
+        // DOM elements
+        this.cameraSelect = document.getElementById('cameraSelect');
+        this.microphoneSelect = document.getElementById('microphoneSelect');
+
+        this.init();
+    }
+
+    async init() {
+        console.log('Initializing DevicePickerComponent...');
+
+        this._setupEventListeners();
+        await this.refreshDevices();
+    }
+
+    /**
+     * Setup select and device change listeners
+     * @private
+     */
+    _setupEventListeners() {
+        this.cameraSelect.addEventListener('change', () => this._selectCamera());
+        this.microphoneSelect.addEventListener('change', () => this._selectMicrophone());
+
+        // Labels only become available once permission is granted, so refresh on every new stream
+        this.videoComponent.addStreamListener(() => this.refreshDevices());
+
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => {
+                console.log('Media devices changed');
+                this.refreshDevices();
+            });
+        }
+    }
+
+    /**
+     * Re-read the device list and update both selects
+     */
+    async refreshDevices() {
+        try {
+            const { cameras, microphones } = await this.videoComponent.getDevices();
+            const state = this.videoComponent.getRecordingState();
+            const active = this.videoComponent.getActiveDeviceIds();
+
+            this._renderOptions(this.cameraSelect, cameras, state.videoDeviceId || active.videoDeviceId, 'Camera');
+            this._renderOptions(this.microphoneSelect, microphones, state.audioDeviceId || active.audioDeviceId, 'Microphone');
+        } catch (error) {
+            console.error('Failed to list media devices:', error);
+        }
+    }
+
+    /**
+     * Fill a select with devices
+     * @private
+     * @param {HTMLSelectElement} select - Select element
+     * @param {MediaDeviceInfo[]} devices - Devices to list
+     * @param {string|null} selectedId - Device to mark as selected
+     * @param {string} fallbackLabel - Label prefix when the browser hides device names
+     */
+    _renderOptions(select, devices, selectedId, fallbackLabel) {
+        select.innerHTML = '';
+
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = DevicePickerComponent.CONSTANTS.DEFAULT_OPTION_LABEL;
+        select.appendChild(defaultOption);
+
+        devices
+            .filter(device => device.deviceId)
+            .forEach((device, index) => {
+                const option = document.createElement('option');
+                option.value = device.deviceId;
+                option.textContent = device.label || `${fallbackLabel} ${index + 1}`;
+                select.appendChild(option);
+            });
+
+        const hasSelected = Array.from(select.options).some(option => option.value === selectedId);
+        select.value = hasSelected ? selectedId : '';
+    }
+
+    /**
+     * Apply the selected camera
+     * @private
+     */
+    async _selectCamera() {
+        const success = await this.videoComponent.setVideoDevice(this.cameraSelect.value);
+        if (!success) {
+            // Refused while recording, or the device failed - the refresh restores the real selection
+            console.error('Failed to switch camera');
+        }
+        await this.refreshDevices();
+    }
+
+    /**
+     * Apply the selected microphone
+     * @private
+     */
+    async _selectMicrophone() {
+        const success = await this.videoComponent.setAudioDevice(this.microphoneSelect.value);
+        if (!success) {
+            console.error('Failed to switch microphone');
+        }
+        await this.refreshDevices();
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * DragHandler - Tracks a single-pointer drag on an element with Pointer Events
+ * Mouse, pen and touch behave the same; the pointer is captured so the drag
+ * keeps going when it leaves the element
+ */
+class DragHandler {
+    static CONSTANTS = {
+        ACTIVE_CLASS: 'dragging'
+    };
+
+    /**
+     * @constructor
+     * @param {HTMLElement} element - Element the drag starts on
+     * @param {Object} callbacks - Drag callbacks
+     * @param {Function} [callbacks.onStart] - (event) called on press, return false to ignore it
+     * @param {Function} callbacks.onMove - (deltaX, deltaY, event) screen movement since the press
+     * @param {Function} [callbacks.onEnd] - (event, cancelled) called on release
+     */
+    constructor(element, { onStart = null, onMove, onEnd = null }) {
+        this.element = element;
+        this.onStart = onStart;
+        this.onMove = onMove;
+        this.onEnd = onEnd;
+
+        this.pointerId = null;
+        this.startX = 0;
+        this.startY = 0;
+
+        this._handlePointerDown = this._handlePointerDown.bind(this);
+        this._handlePointerMove = this._handlePointerMove.bind(this);
+        this._handlePointerEnd = this._handlePointerEnd.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        this.element.addEventListener('pointerdown', this._handlePointerDown);
+        this.element.addEventListener('pointermove', this._handlePointerMove);
+        this.element.addEventListener('pointerup', this._handlePointerEnd);
+        this.element.addEventListener('pointercancel', this._handlePointerEnd);
+        this.element.addEventListener('lostpointercapture', this._handlePointerEnd);
+    }
+
+    /**
+     * Whether a drag is in progress
+     * @returns {boolean} True while dragging
+     */
+    isDragging() {
+        return this.pointerId !== null;
+    }
+
+    /**
+     * Start a drag
+     * @private
+     * @param {PointerEvent} e - Pointer event
+     */
+    _handlePointerDown(e) {
+        // One pointer at a time, and only the primary mouse button
+        if (this.pointerId !== null) return;
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+        if (this.onStart && this.onStart(e) === false) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        this.pointerId = e.pointerId;
+        this.startX = e.clientX;
+        this.startY = e.clientY;
+        this.element.setPointerCapture(e.pointerId);
+        this.element.classList.add(DragHandler.CONSTANTS.ACTIVE_CLASS);
+        document.body.style.userSelect = 'none';
+    }
+
+    /**
+     * Report movement of the dragging pointer
+     * @private
+     * @param {PointerEvent} e - Pointer event
+     */
+    _handlePointerMove(e) {
+        if (e.pointerId !== this.pointerId) return;
+
+        e.preventDefault();
+        this.onMove(e.clientX - this.startX, e.clientY - this.startY, e);
+    }
+
+    /**
+     * Finish the drag on release, cancel or lost capture
+     * @private
+     * @param {PointerEvent} e - Pointer event
+     */
+    _handlePointerEnd(e) {
+        if (e.pointerId !== this.pointerId) return;
+
+        this.pointerId = null;
+        if (this.element.hasPointerCapture(e.pointerId)) {
+            this.element.releasePointerCapture(e.pointerId);
+        }
+        this.element.classList.remove(DragHandler.CONSTANTS.ACTIVE_CLASS);
+        document.body.style.userSelect = '';
+
+        if (this.onEnd) {
+            this.onEnd(e, e.type === 'pointercancel');
+        }
+    }
+
+    destroy() {
+        this.element.removeEventListener('pointerdown', this._handlePointerDown);
+        this.element.removeEventListener('pointermove', this._handlePointerMove);
+        this.element.removeEventListener('pointerup', this._handlePointerEnd);
+        this.element.removeEventListener('pointercancel', this._handlePointerEnd);
+        this.element.removeEventListener('lostpointercapture', this._handlePointerEnd);
+    }
+}
@@ -0,0 +1,191 @@
+/**
+ * FileSaver - Gets files out of the app: the system share sheet (Web Share), a folder
+ * picked with the File System Access API, or a plain download as the fallback
+ */
+class FileSaver {
+    static CONSTANTS = {
+        DOWNLOAD_REVOKE_DELAY: 5000 // ms before a download's object URL is released
+    };
+
+    /**
+     * Check if a file can be handed to the share sheet (e.g. to Photos or Messages)
+     * Browsers decide by extension and type, so both are checked without the data
+     * @param {string} filename - Name of the file to share
+     * @param {string} [mimeType] - Type of the file to share
+     * @returns {boolean} True if navigator.share() accepts such a file
+     */
+    static canShareFiles(filename, mimeType = '') {
+        if (!navigator.canShare || typeof File === 'undefined') return false;
+
+        try {
+            return navigator.canShare({ files: [new File([], filename, { type: FileSaver._baseType(mimeType) })] });
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Open the share sheet for a file. Must be called from a user gesture.
+     * @param {Blob} blob - File data
+     * @param {string} filename - File name
+     * @param {string} [title] - Title shown by the receiving app
+     * @returns {Promise<boolean>} False if the user closed the share sheet
+     */
+    static async shareFile(blob, filename, title) {
+        const file = new File([blob], filename, { type: FileSaver._baseType(blob.type), lastModified: Date.now() });
+
+        try {
+            await navigator.share({ files: [file], title: title || filename });
+            console.log('Shared file:', filename);
+            return true;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Drop codec parameters, which share targets do not understand
+     * @private
+     * @param {string} mimeType - e.g. video/webm;codecs=vp9,opus
+     * @returns {string} e.g. video/webm
+     */
+    static _baseType(mimeType) {
+        return (mimeType || '').split(';')[0].trim();
+    }
+
+    /**
+     * Check if the browser can write to a folder the user picks
+     * @returns {boolean} True if the File System Access API is available
+     */
+    static isFolderSupported() {
+        return typeof window !== 'undefined' && 'showDirectoryPicker' in window;
+    }
+
+    /**
+     * Ask the user for a folder to save into. Must be called from a user gesture.
+     * @returns {Promise<FileSystemDirectoryHandle|null>} The folder, or null if the picker was closed
+     */
+    static async pickFolder() {
+        try {
+            return await window.showDirectoryPicker({ id: 'teleprompter-takes', mode: 'readwrite', startIn: 'videos' });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Make sure the app may still write to a folder; permissions granted earlier lapse between visits
+     * @param {FileSystemDirectoryHandle} folder - Folder handle
+     * @param {boolean} [request=true] - Ask the user if needed (requires a user gesture)
+     * @returns {Promise<boolean>} True if writing is allowed
+     */
+    static async hasFolderPermission(folder, request = true) {
+        const options = { mode: 'readwrite' };
+        if (await folder.queryPermission(options) === 'granted') {
+            return true;
+        }
+        if (!request) {
+            return false;
+        }
+
+        try {
+            return await folder.requestPermission(options) === 'granted';
+        } catch (error) {
+            // No user gesture to attach the prompt to
+            console.warn('Could not ask for folder access:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Write a file into a folder without replacing an existing one
+     * @param {FileSystemDirectoryHandle} folder - Folder handle with write permission
+     * @param {Blob} blob - File data
+     * @param {string} filename - Preferred file name
+     * @returns {Promise<string>} The name the file was written as
+     */
+    static async writeToFolder(folder, blob, filename) {
+        const name = await FileSaver._getUnusedName(folder, filename);
+        const fileHandle = await folder.getFileHandle(name, { create: true });
+        const writable = await fileHandle.createWritable();
+
+        try {
+            await writable.write(blob);
+            await writable.close();
+        } catch (error) {
+            await writable.abort();
+            throw error;
+        }
+
+        console.log(`Saved ${name} to folder ${folder.name}`);
+        return name;
+    }
+
+    /**
+     * Find a name that is not taken in a folder, adding (2), (3), ... before the extension
+     * @private
+     * @param {FileSystemDirectoryHandle} folder - Folder handle
+     * @param {string} filename - Preferred file name
+     * @returns {Promise<string>} An unused name
+     */
+    static async _getUnusedName(folder, filename) {
+        const dot = filename.lastIndexOf('.');
+        const base = dot > 0 ? filename.slice(0, dot) : filename;
+        const extension = dot > 0 ? filename.slice(dot) : '';
+
+        let candidate = filename;
+        for (let n = 2; await FileSaver._exists(folder, candidate); n++) {
+            candidate = `${base} (${n})${extension}`;
+        }
+        return candidate;
+    }
+
+    /**
+     * Check if a file exists in a folder
+     * @private
+     * @param {FileSystemDirectoryHandle} folder - Folder handle
+     * @param {string} name - File name
+     * @returns {Promise<boolean>} True if the name is taken
+     */
+    static async _exists(folder, name) {
+        try {
+            await folder.getFileHandle(name);
+            return true;
+        } catch (error) {
+            if (error.name === 'NotFoundError') {
+                return false;
+            }
+            // A folder of that name also blocks the file
+            if (error.name === 'TypeMismatchError') {
+                return true;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Download a file through a temporary link
+     * @param {Blob} blob - File data
+     * @param {string} filename - File name
+     */
+    static download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        console.log('Download initiated:', filename);
+
+        setTimeout(() => {
+            URL.revokeObjectURL(url);
+        }, FileSaver.CONSTANTS.DOWNLOAD_REVOKE_DELAY);
+    }
+}
@@ -0,0 +1,236 @@
+/**
+ * IndexedDBStore - Thin promise wrapper around the app's IndexedDB database
+ * All components share a single connection and schema defined in CONSTANTS
+ */
+class IndexedDBStore {
+    static CONSTANTS = {
+        DB_NAME: 'teleprompter',
+        DB_VERSION: 7,
+        STORES: {
+            scripts: {
+                keyPath: 'id',
+                indexes: [
+                    { name: 'updatedAt', keyPath: 'updatedAt' }
+                ]
+            },
+            // Take metadata, kept apart from the video data so listing takes stays cheap
+            takes: {
+                keyPath: 'id',
+                indexes: [
+                    { name: 'createdAt', keyPath: 'createdAt' },
+                    { name: 'scriptId', keyPath: 'scriptId' }
+                ]
+            },
+            takeBlobs: {
+                keyPath: 'id'
+            },
+            overlayPresets: {
+                keyPath: 'id'
+            },
+            // Recordings in progress, backed up chunk by chunk so a crash does not lose the take
+            recordingSessions: {
+                keyPath: 'id'
+            },
+            recordingChunks: {
+                keyPath: ['sessionId', 'index']
+            },
+            // Upload outbox, shared with the service worker's background sync
+            uploads: {
+                keyPath: 'id'
+            },
+            // Content shared to the installed app, held by the service worker until the page opens it
+            sharedItems: {
+                keyPath: 'id'
+            },
+            // File System Access handles, such as the folder takes are saved to
+            fileHandles: {
+                keyPath: 'id'
+            }
+        }
+    };
+
+    // Shared connection promise so every caller reuses the same database handle
+    static _dbPromise = null;
+
+    /**
+     * Check whether IndexedDB is available in this context
+     * @returns {boolean} True if IndexedDB can be used
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and upgrade if needed) the shared database
+     * @returns {Promise<IDBDatabase>} The open database
+     */
+    static open() {
+        if (IndexedDBStore._dbPromise) {
+            return IndexedDBStore._dbPromise;
+        }
+
+        IndexedDBStore._dbPromise = new Promise((resolve, reject) => {
+            if (!IndexedDBStore.isSupported()) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(
+                IndexedDBStore.CONSTANTS.DB_NAME,
+                IndexedDBStore.CONSTANTS.DB_VERSION
+            );
+
+            request.onupgradeneeded = () => {
+                IndexedDBStore._upgradeSchema(request.result, request.transaction);
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+                // Another tab upgraded the schema - drop our handle so the next call reopens
+                db.onversionchange = () => {
+                    db.close();
+                    IndexedDBStore._dbPromise = null;
+                };
+                resolve(db);
+            };
+
+            request.onerror = () => {
+                IndexedDBStore._dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return IndexedDBStore._dbPromise;
+    }
+
+    /**
+     * Create any missing object stores and indexes
+     * @private
+     * @param {IDBDatabase} db - Database being upgraded
+     * @param {IDBTransaction} transaction - The version change transaction
+     */
+    static _upgradeSchema(db, transaction) {
+        Object.entries(IndexedDBStore.CONSTANTS.STORES).forEach(([name, definition]) => {
+            const store = db.objectStoreNames.contains(name)
+                ? transaction.objectStore(name)
+                : db.createObjectStore(name, { keyPath: definition.keyPath });
+
+            (definition.indexes || []).forEach(index => {
+                if (!store.indexNames.contains(index.name)) {
+                    store.createIndex(index.name, index.keyPath, index.options || {});
+                }
+            });
+        });
+    }
+
+    /**
+     * Run a single request inside a transaction and resolve with its result
+     * @private
+     * @param {string} storeName - Object store name
+     * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the object store, returns an IDBRequest
+     * @returns {Promise<*>} The request result
+     */
+    static async _run(storeName, mode, operation) {
+        const db = await IndexedDBStore.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get a single record by key
+     * @param {string} storeName - Object store name
+     * @param {*} key - Record key
+     * @returns {Promise<Object|undefined>} The record, if found
+     */
+    static get(storeName, key) {
+        return IndexedDBStore._run(storeName, 'readonly', store => store.get(key));
+    }
+
+    /**
+     * Get all records in a store
+     * @param {string} storeName - Object store name
+     * @param {IDBKeyRange} [query] - Only return records with keys in this range
+     * @returns {Promise<Object[]>} All (matching) records
+     */
+    static getAll(storeName, query) {
+        return IndexedDBStore._run(storeName, 'readonly', store => store.getAll(query));
+    }
+
+    /**
+     * Insert or replace a record
+     * @param {string} storeName - Object store name
+     * @param {Object} value - Record to store
+     * @returns {Promise<*>} The record key
+     */
+    static put(storeName, value) {
+        return IndexedDBStore._run(storeName, 'readwrite', store => store.put(value));
+    }
+
+    /**
+     * Delete a record by key
+     * @param {string} storeName - Object store name
+     * @param {*|IDBKeyRange} key - Record key, or a range to delete every record in it
+     * @returns {Promise<void>}
+     */
+    static delete(storeName, key) {
+        return IndexedDBStore._run(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Write records to several stores in one transaction
+     * @param {Object[]} records - Entries: { storeName, value }
+     * @returns {Promise<void>}
+     */
+    static putRecords(records) {
+        return IndexedDBStore._runBatch(records, (store, record) => store.put(record.value));
+    }
+
+    /**
+     * Delete records from several stores in one transaction
+     * @param {Object[]} records - Entries: { storeName, key } where key may be an IDBKeyRange
+     * @returns {Promise<void>}
+     */
+    static deleteRecords(records) {
+        return IndexedDBStore._runBatch(records, (store, record) => store.delete(record.key));
+    }
+
+    /**
+     * Apply an operation to several records in a single readwrite transaction
+     * @private
+     * @param {Object[]} records - Entries with a storeName
+     * @param {Function} operation - Receives (store, record)
+     * @returns {Promise<void>}
+     */
+    static async _runBatch(records, operation) {
+        const db = await IndexedDBStore.open();
+        const storeNames = [...new Set(records.map(record => record.storeName))];
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, 'readwrite');
+            records.forEach(record => operation(transaction.objectStore(record.storeName), record));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Generate a unique record id
+     * @returns {string} A random id
+     */
+    static generateId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+}
@@ -0,0 +1,436 @@
+/**
+ * KeybindingsComponent - User-configurable keyboard shortcuts
+ * Maps keys (including what presentation clickers and foot pedals send) to ControlsComponent actions,
+ * with an editor in the settings panel offering learn mode, conflict detection and import/export
+ */
+class KeybindingsComponent {
+    static CONSTANTS = {
+        SETTINGS_KEY: 'keybindings',
+        EXPORT_FILENAME: 'teleprompter-keybindings.json',
+        EXPORT_VERSION: 1,
+        MODIFIER_KEYS: ['Shift', 'Control', 'Alt', 'Meta', 'AltGraph', 'CapsLock'],
+        // Every action a key can be bound to, in editor order
+        ACTIONS: [
+            { action: 'toggleRecording', label: 'Record / stop' },
+            { action: 'togglePause', label: 'Pause / resume recording' },
+            { action: 'toggleScrollPause', label: 'Pause / resume scroll only' },
+            { action: 'nudgeForward', label: 'Nudge script forward' },
+            { action: 'nudgeBack', label: 'Nudge script back' },
+            { action: 'speedUp', label: 'Speed up' },
+            { action: 'speedDown', label: 'Slow down' },
+            { action: 'setSpeed', value: 'slow', label: 'Speed: quick slot 1' },
+            { action: 'setSpeed', value: 'normal', label: 'Speed: quick slot 2' },
+            { action: 'setSpeed', value: 'fast', label: 'Speed: quick slot 3' },
+            { action: 'sizeUp', label: 'Larger text' },
+            { action: 'sizeDown', label: 'Smaller text' },
+            { action: 'setTextSize', value: 'small', label: 'Text: quick slot 1' },
+            { action: 'setTextSize', value: 'medium', label: 'Text: quick slot 2' },
+            { action: 'setTextSize', value: 'large', label: 'Text: quick slot 3' },
+            { action: 'toggleRotation', label: 'Rotate text' },
+            { action: 'toggleMirror', label: 'Mirror text' },
+            { action: 'toggleFlip', label: 'Flip text' },
+            { action: 'switchCamera', label: 'Switch camera' }
+        ],
+        DEFAULT_BINDINGS: [
+            { key: 'Space', action: 'toggleRecording' },
+            { key: 'P', action: 'togglePause' },
+            { key: 'B', action: 'toggleScrollPause' },
+            { key: 'PageDown', action: 'nudgeForward' },
+            { key: 'PageUp', action: 'nudgeBack' },
+            { key: 'ArrowUp', action: 'speedUp' },
+            { key: 'ArrowDown', action: 'speedDown' },
+            { key: '1', action: 'setSpeed', value: 'slow' },
+            { key: '2', action: 'setSpeed', value: 'normal' },
+            { key: '3', action: 'setSpeed', value: 'fast' },
+            { key: ']', action: 'sizeUp' },
+            { key: '[', action: 'sizeDown' },
+            { key: 'R', action: 'toggleRotation' },
+            { key: 'M', action: 'toggleMirror' },
+            { key: 'F', action: 'toggleFlip' },
+            { key: 'C', action: 'switchCamera' }
+        ],
+        CSS_CLASSES: {
+            LEARNING: 'learning'
+        }
+    };
+
+    /**
+     * Turn a keyboard event into a binding key such as "Ctrl+Shift+ArrowUp"
+     * @param {KeyboardEvent} event - Keyboard event
+     * @returns {string|null} Binding key, or null for a lone modifier
+     */
+    static keyFromEvent(event) {
+        let key = event.key;
+        if (!key || KeybindingsComponent.CONSTANTS.MODIFIER_KEYS.includes(key)) {
+            return null;
+        }
+
+        if (key === ' ') {
+            key = 'Space';
+        } else if (key.length === 1) {
+            key = key.toUpperCase();
+        }
+
+        const modifiers = [];
+        if (event.ctrlKey) modifiers.push('Ctrl');
+        if (event.altKey) modifiers.push('Alt');
+        if (event.metaKey) modifiers.push('Meta');
+        // Shift is already part of printable keys ("!" rather than "1")
+        if (event.shiftKey && key.length > 1) modifiers.push('Shift');
+
+        return [...modifiers, key].join('+');
+    }
+
+    /**
+     * Identify an action entry (action plus optional value)
+     * @param {Object} entry - { action, value }
+     * @returns {string} Id such as "setSpeed:slow"
+     */
+    static actionId(entry) {
+        return entry.value !== undefined && entry.value !== null ? `${entry.action}:${entry.value}` : entry.action;
+    }
+
+    /**
+     * @constructor
+     * @param {ControlsComponent} controlsComponent - Receiver of triggered actions
+     */
+    constructor(controlsComponent) {
+        this.controlsComponent = controlsComponent;
+
+        // DOM elements
+        this.list = document.getElementById('keybindingsList');
+        this.resetButton = document.getElementById('keybindingsReset');
+        this.exportButton = document.getElementById('keybindingsExport');
+        this.importButton = document.getElementById('keybindingsImport');
+        this.importInput = document.getElementById('keybindingsImportInput');
+
+        // State
+        this.bindings = [];
+        this.learningActionId = null; // Action waiting for a key in learn mode
+
+        this.init();
+    }
+
+    init() {
+        console.log('Initializing KeybindingsComponent...');
+        this._loadSettings();
+        this._setupEventListeners();
+        this._renderList();
+    }
+
+    // === SETTINGS MANAGEMENT ===
+
+    /**
+     * Load saved bindings, falling back to the defaults
+     * @private
+     */
+    _loadSettings() {
+        const saved = SettingsStore.load()[KeybindingsComponent.CONSTANTS.SETTINGS_KEY];
+        const bindings = Array.isArray(saved) ? this._validateBindings(saved) : null;
+        this.bindings = bindings || this._copyBindings(KeybindingsComponent.CONSTANTS.DEFAULT_BINDINGS);
+    }
+
+    /**
+     * Save the bindings
+     * @private
+     */
+    _saveSettings() {
+        SettingsStore.update({ [KeybindingsComponent.CONSTANTS.SETTINGS_KEY]: this.bindings });
+    }
+
+    /**
+     * Copy a list of bindings
+     * @private
+     * @param {Object[]} bindings - Bindings
+     * @returns {Object[]} Copy
+     */
+    _copyBindings(bindings) {
+        return bindings.map(binding => ({ ...binding }));
+    }
+
+    /**
+     * Keep only bindings for known actions, one action per key
+     * @private
+     * @param {Object[]} bindings - Untrusted bindings (saved or imported)
+     * @returns {Object[]|null} Valid bindings, or null when none are valid
+     */
+    _validateBindings(bindings) {
+        const knownIds = KeybindingsComponent.CONSTANTS.ACTIONS.map(KeybindingsComponent.actionId);
+        const seenKeys = new Set();
+
+        const valid = bindings.filter(binding => {
+            if (!binding || typeof binding.key !== 'string' || !binding.key) return false;
+            if (!knownIds.includes(KeybindingsComponent.actionId(binding))) return false;
+            if (seenKeys.has(binding.key)) return false;
+            seenKeys.add(binding.key);
+            return true;
+        }).map(binding => {
+            const copy = { key: binding.key, action: binding.action };
+            if (binding.value !== undefined && binding.value !== null) {
+                copy.value = binding.value;
+            }
+            return copy;
+        });
+
+        return valid.length > 0 ? valid : null;
+    }
+
+    /**
+     * Setup editor and learn mode listeners
+     * @private
+     */
+    _setupEventListeners() {
+        this.resetButton.addEventListener('click', () => {
+            if (confirm('Reset all keyboard shortcuts to the defaults?')) {
+                this.resetToDefaults();
+            }
+        });
+        this.exportButton.addEventListener('click', () => this.exportBindings());
+        this.importButton.addEventListener('click', () => this.importInput.click());
+        this.importInput.addEventListener('change', () => {
+            const file = this.importInput.files[0];
+            this.importInput.value = '';
+            if (file) {
+                this.importBindings(file);
+            }
+        });
+
+        // Learn mode grabs the next key before any shortcut handler sees it
+        window.addEventListener('keydown', (e) => this._handleLearnKey(e), true);
+    }
+
+    // === PUBLIC API METHODS ===
+
+    /**
+     * Find the binding for a keyboard event
+     * @param {KeyboardEvent} event - Keyboard event
+     * @returns {Object|null} { action, value } or null when the key is not bound
+     */
+    getBinding(event) {
+        if (this.learningActionId) return null;
+
+        const key = KeybindingsComponent.keyFromEvent(event);
+        const binding = key ? this.bindings.find(entry => entry.key === key) : null;
+        return binding ? { action: binding.action, value: binding.value === undefined ? null : binding.value } : null;
+    }
+
+    /**
+     * Run the action bound to a keyboard event
+     * @param {KeyboardEvent} event - Keyboard event
+     * @returns {boolean} True if the key was bound
+     */
+    handleKeydown(event) {
+        const binding = this.getBinding(event);
+        if (!binding) return false;
+
+        event.preventDefault();
+        this.controlsComponent.triggerAction(binding.action, binding.value);
+        return true;
+    }
+
+    /**
+     * Bind a key to an action, replacing any existing use of the key
+     * @param {string} key - Binding key
+     * @param {Object} entry - { action, value }
+     */
+    bindKey(key, entry) {
+        this.bindings = this.bindings.filter(binding => binding.key !== key);
+
+        const binding = { key: key, action: entry.action };
+        if (entry.value !== undefined && entry.value !== null) {
+            binding.value = entry.value;
+        }
+        this.bindings.push(binding);
+
+        this._saveSettings();
+        this._renderList();
+    }
+
+    /**
+     * Remove a key binding
+     * @param {string} key - Binding key
+     */
+    unbindKey(key) {
+        this.bindings = this.bindings.filter(binding => binding.key !== key);
+        this._saveSettings();
+        this._renderList();
+    }
+
+    /**
+     * Restore the default shortcuts
+     */
+    resetToDefaults() {
+        this.bindings = this._copyBindings(KeybindingsComponent.CONSTANTS.DEFAULT_BINDINGS);
+        this._saveSettings();
+        this._renderList();
+    }
+
+    /**
+     * Get the current bindings
+     * @returns {Object[]} Copy of the bindings
+     */
+    getBindings() {
+        return this._copyBindings(this.bindings);
+    }
+
+    /**
+     * Download the bindings as JSON
+     */
+    exportBindings() {
+        const data = {
+            version: KeybindingsComponent.CONSTANTS.EXPORT_VERSION,
+            bindings: this.bindings
+        };
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = KeybindingsComponent.CONSTANTS.EXPORT_FILENAME;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        setTimeout(() => URL.revokeObjectURL(url), 5000);
+    }
+
+    /**
+     * Replace the bindings with ones from an exported file
+     * @param {File} file - JSON file from exportBindings()
+     */
+    async importBindings(file) {
+        let bindings = null;
+        try {
+            const data = JSON.parse(await file.text());
+            bindings = this._validateBindings(Array.isArray(data) ? data : data.bindings || []);
+        } catch (error) {
+            console.error('Failed to read keybindings file:', error);
+        }
+
+        if (!bindings) {
+            alert('This file does not contain any usable keyboard shortcuts.');
+            return;
+        }
+
+        this.bindings = bindings;
+        this._saveSettings();
+        this._renderList();
+        console.log(`Imported ${bindings.length} keyboard shortcuts`);
+    }
+
+    // === LEARN MODE ===
+
+    /**
+     * Wait for the next key press and bind it to an action
+     * @param {string} actionId - Action id from actionId()
+     */
+    startLearning(actionId) {
+        this.learningActionId = actionId;
+        this._renderList();
+    }
+
+    /**
+     * Leave learn mode without binding anything
+     */
+    cancelLearning() {
+        this.learningActionId = null;
+        this._renderList();
+    }
+
+    /**
+     * Capture a key while in learn mode
+     * @private
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    _handleLearnKey(event) {
+        if (!this.learningActionId) return;
+
+        const key = KeybindingsComponent.keyFromEvent(event);
+        if (!key) return; // Wait for the key that goes with the modifiers
+
+        event.preventDefault();
+        event.stopImmediatePropagation();
+
+        if (key === 'Escape') {
+            this.cancelLearning();
+            return;
+        }
+
+        const entry = KeybindingsComponent.CONSTANTS.ACTIONS.find(
+            action => KeybindingsComponent.actionId(action) === this.learningActionId
+        );
+        this.learningActionId = null;
+
+        const conflict = this.bindings.find(binding => binding.key === key);
+        if (conflict && KeybindingsComponent.actionId(conflict) !== KeybindingsComponent.actionId(entry)) {
+            const conflictLabel = this._getLabel(conflict);
+            if (!confirm(`${key} is already used for "${conflictLabel}". Use it for "${entry.label}" instead?`)) {
+                this._renderList();
+                return;
+            }
+        }
+
+        this.bindKey(key, entry);
+    }
+
+    // === UI ===
+
+    /**
+     * Get the label of a binding's action
+     * @private
+     * @param {Object} binding - Binding
+     * @returns {string} Action label
+     */
+    _getLabel(binding) {
+        const id = KeybindingsComponent.actionId(binding);
+        const entry = KeybindingsComponent.CONSTANTS.ACTIONS.find(action => KeybindingsComponent.actionId(action) === id);
+        return entry ? entry.label : id;
+    }
+
+    /**
+     * Render one row per action with its keys
+     * @private
+     */
+    _renderList() {
+        this.list.innerHTML = '';
+
+        KeybindingsComponent.CONSTANTS.ACTIONS.forEach(entry => {
+            const id = KeybindingsComponent.actionId(entry);
+            const row = document.createElement('li');
+            row.className = 'keybinding-row';
+
+            const label = document.createElement('span');
+            label.className = 'keybinding-label';
+            label.textContent = entry.label;
+            row.appendChild(label);
+
+            const keys = document.createElement('span');
+            keys.className = 'keybinding-keys';
+            this.bindings
+                .filter(binding => KeybindingsComponent.actionId(binding) === id)
+                .forEach(binding => {
+                    const chip = document.createElement('button');
+                    chip.className = 'keybinding-key';
+                    chip.textContent = binding.key;
+                    chip.title = `Remove ${binding.key}`;
+                    chip.addEventListener('click', () => this.unbindKey(binding.key));
+                    keys.appendChild(chip);
+                });
+
+            const learnButton = document.createElement('button');
+            learnButton.className = 'keybinding-learn';
+            if (this.learningActionId === id) {
+                learnButton.classList.add(KeybindingsComponent.CONSTANTS.CSS_CLASSES.LEARNING);
+                learnButton.textContent = 'Press a key… (Esc to cancel)';
+                learnButton.addEventListener('click', () => this.cancelLearning());
+            } else {
+                learnButton.textContent = '+';
+                learnButton.title = 'Add a key: press it after clicking';
+                learnButton.addEventListener('click', () => this.startLearning(id));
+            }
+            keys.appendChild(learnButton);
+
+            row.appendChild(keys);
+            this.list.appendChild(row);
+        });
+    }
+}
@@ -0,0 +1,539 @@
+/**
+ * OverlayComponent - Overlay layouts (logo, lower-third, watermark) burned into recordings
+ * Layouts are kept as named presets in IndexedDB; when enabled, recordings go through a VideoCompositor
+ */
+class OverlayComponent {
+    static CONSTANTS = {
+        STORE_NAME: 'overlayPresets',
+        DEFAULT_PRESET_NAME: 'Default',
+        SAVE_DELAY_MS: 500,
+        PREVIEW_WIDTH: 320,
+        MAX_LOGO_BYTES: 5 * 1024 * 1024,
+        POSITIONS: ['top-left', 'top-right', 'bottom-left', 'bottom-right']
+    };
+
+    /**
+     * Create an empty overlay layout
+     * @returns {Object} Layout with every overlay disabled
+     */
+    static createDefaultLayout() {
+        return {
+            logo: { enabled: false, blob: null, position: 'top-right', size: 15, opacity: 100 },
+            lowerThird: { enabled: false, name: '', title: '' },
+            watermark: { enabled: false, text: '', position: 'bottom-right', opacity: 50 }
+        };
+    }
+
+    /**
+     * @constructor
+     * @param {VideoComponent} videoComponent - Recorder whose stream gets composited
+     */
+    constructor(videoComponent) {
+        this.videoComponent = videoComponent;
+
+        // DOM elements
+        this.settingsPanel = document.getElementById('settingsPanel');
+        this.enabledInput = document.getElementById('overlaysEnabledInput');
+        this.presetSelect = document.getElementById('overlayPresetSelect');
+        this.presetNewButton = document.getElementById('overlayPresetNew');
+        this.presetDeleteButton = document.getElementById('overlayPresetDelete');
+        this.logoEnabledInput = document.getElementById('overlayLogoEnabled');
+        this.logoFileInput = document.getElementById('overlayLogoFile');
+        this.logoPositionSelect = document.getElementById('overlayLogoPosition');
+        this.logoSizeInput = document.getElementById('overlayLogoSize');
+        this.logoOpacityInput = document.getElementById('overlayLogoOpacity');
+        this.lowerThirdEnabledInput = document.getElementById('overlayLowerThirdEnabled');
+        this.lowerThirdNameInput = document.getElementById('overlayLowerThirdName');
+        this.lowerThirdTitleInput = document.getElementById('overlayLowerThirdTitle');
+        this.watermarkEnabledInput = document.getElementById('overlayWatermarkEnabled');
+        this.watermarkTextInput = document.getElementById('overlayWatermarkText');
+        this.watermarkPositionSelect = document.getElementById('overlayWatermarkPosition');
+        this.watermarkOpacityInput = document.getElementById('overlayWatermarkOpacity');
+        this.previewCanvas = document.getElementById('overlayPreview');
+
+        // State
+        this.enabled = false;
+        this.presets = [];
+        this.activePresetId = null;
+        this.saveTimeout = null;
+        this.previewLogo = null;
+        this.previewVideo = null;
+        this.previewFrame = null;
+        this.compositor = null;
+
+        this.init();
+    }
+
+    async init() {
+        try {
+            console.log('Initializing OverlayComponent...');
+
+            this._loadSettings();
+            this._renderPositionOptions();
+            this._setupEventListeners();
+            await this._loadPresets();
+            this._renderPresetList();
+            await this._applyPresetToInputs();
+
+            // Overlays only touch the recording when enabled at the moment it starts
+            this.videoComponent.setRecordingStreamProvider((stream) => this._provideRecordingStream(stream));
+
+            console.log('OverlayComponent initialized successfully');
+        } catch (error) {
+            console.error('Failed to initialize OverlayComponent:', error);
+            // Recordings keep using the plain camera stream
+        }
+    }
+
+    // === SETTINGS MANAGEMENT ===
+
+    /**
+     * Load the overlay switch and active preset
+     * @private
+     */
+    _loadSettings() {
+        const settings = SettingsStore.load();
+        this.enabled = !!settings.overlaysEnabled;
+        this.activePresetId = settings.activeOverlayPreset || null;
+        this.enabledInput.checked = this.enabled;
+    }
+
+    /**
+     * Save the overlay switch and active preset
+     * @private
+     */
+    _saveSettings() {
+        SettingsStore.update({
+            overlaysEnabled: this.enabled,
+            activeOverlayPreset: this.activePresetId
+        });
+    }
+
+    /**
+     * Fill the corner pickers
+     * @private
+     */
+    _renderPositionOptions() {
+        [this.logoPositionSelect, this.watermarkPositionSelect].forEach(select => {
+            select.innerHTML = '';
+            OverlayComponent.CONSTANTS.POSITIONS.forEach(position => {
+                const option = document.createElement('option');
+                option.value = position;
+                option.textContent = position.replace('-', ' ');
+                select.appendChild(option);
+            });
+        });
+    }
+
+    /**
+     * Setup overlay input listeners
+     * @private
+     */
+    _setupEventListeners() {
+        this.enabledInput.addEventListener('change', () => this.setEnabled(this.enabledInput.checked));
+
+        this.presetSelect.addEventListener('change', () => this.switchPreset(this.presetSelect.value));
+        this.presetNewButton.addEventListener('click', () => this._promptCreatePreset());
+        this.presetDeleteButton.addEventListener('click', () => this._confirmDeletePreset());
+
+        this.logoFileInput.addEventListener('change', () => {
+            const file = this.logoFileInput.files[0];
+            this.logoFileInput.value = '';
+            if (file) {
+                this.setLogo(file);
+            }
+        });
+
+        // Every other field maps straight onto the layout
+        const fields = [
+            [this.logoEnabledInput, 'logo', 'enabled', input => input.checked],
+            [this.logoPositionSelect, 'logo', 'position', input => input.value],
+            [this.logoSizeInput, 'logo', 'size', input => this._clampPercent(input.value, 1)],
+            [this.logoOpacityInput, 'logo', 'opacity', input => this._clampPercent(input.value, 0)],
+            [this.lowerThirdEnabledInput, 'lowerThird', 'enabled', input => input.checked],
+            [this.lowerThirdNameInput, 'lowerThird', 'name', input => input.value],
+            [this.lowerThirdTitleInput, 'lowerThird', 'title', input => input.value],
+            [this.watermarkEnabledInput, 'watermark', 'enabled', input => input.checked],
+            [this.watermarkTextInput, 'watermark', 'text', input => input.value],
+            [this.watermarkPositionSelect, 'watermark', 'position', input => input.value],
+            [this.watermarkOpacityInput, 'watermark', 'opacity', input => this._clampPercent(input.value, 0)]
+        ];
+        fields.forEach(([input, overlay, key, read]) => {
+            const eventName = input.type === 'text' ? 'input' : 'change';
+            input.addEventListener(eventName, () => this.updateLayout(overlay, { [key]: read(input) }));
+        });
+
+        // Only run the live preview while the settings panel is visible
+        new MutationObserver(() => this._updatePreviewLoop()).observe(this.settingsPanel, {
+            attributes: true,
+            attributeFilter: ['class']
+        });
+        this.videoComponent.addStreamListener(() => this._updatePreviewLoop());
+    }
+
+    /**
+     * Clamp a percentage input
+     * @private
+     * @param {*} value - Raw value
+     * @param {number} min - Lowest allowed value
+     * @returns {number} Whole percent between min and 100
+     */
+    _clampPercent(value, min) {
+        const percent = parseInt(value, 10);
+        if (isNaN(percent)) return min;
+        return Math.max(min, Math.min(100, percent));
+    }
+
+    // === PRESETS ===
+
+    /**
+     * Load presets, creating the default one on first run
+     * @private
+     */
+    async _loadPresets() {
+        try {
+            this.presets = await IndexedDBStore.getAll(OverlayComponent.CONSTANTS.STORE_NAME);
+        } catch (error) {
+            console.error('Failed to load overlay presets:', error);
+            this.presets = [];
+        }
+        this.presets.sort((a, b) => a.createdAt - b.createdAt);
+
+        if (this.presets.length === 0) {
+            await this.createPreset(OverlayComponent.CONSTANTS.DEFAULT_PRESET_NAME);
+        } else if (!this.getActivePreset()) {
+            this.activePresetId = this.presets[0].id;
+            this._saveSettings();
+        }
+    }
+
+    /**
+     * Persist a preset, keeping it in memory if storage fails
+     * @private
+     * @param {Object} preset - Preset record
+     */
+    async _persistPreset(preset) {
+        try {
+            await IndexedDBStore.put(OverlayComponent.CONSTANTS.STORE_NAME, preset);
+        } catch (error) {
+            console.error('Failed to save overlay preset:', error);
+        }
+    }
+
+    /**
+     * Save the active preset after edits settle
+     * @private
+     */
+    _scheduleSave() {
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = setTimeout(() => {
+            this.saveTimeout = null;
+            const preset = this.getActivePreset();
+            if (preset) {
+                this._persistPreset(preset);
+            }
+        }, OverlayComponent.CONSTANTS.SAVE_DELAY_MS);
+    }
+
+    /**
+     * Create a preset from the current layout and make it active
+     * @param {string} name - Preset name
+     * @returns {Promise<Object>} The new preset
+     */
+    async createPreset(name) {
+        const active = this.getActivePreset();
+        const layout = active ? this._copyLayout(active.layout) : OverlayComponent.createDefaultLayout();
+        const preset = {
+            id: IndexedDBStore.generateId(),
+            name: name.trim() || OverlayComponent.CONSTANTS.DEFAULT_PRESET_NAME,
+            layout: layout,
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
+
+        this.presets.push(preset);
+        await this._persistPreset(preset);
+        this.activePresetId = preset.id;
+        this._saveSettings();
+        this._renderPresetList();
+        await this._applyPresetToInputs();
+        console.log('Overlay preset created:', preset.name);
+        return preset;
+    }
+
+    /**
+     * Delete a preset; the last one cannot be deleted
+     * @param {string} id - Preset id
+     */
+    async deletePreset(id) {
+        if (this.presets.length <= 1) {
+            alert('At least one overlay preset is needed.');
+            return;
+        }
+
+        try {
+            await IndexedDBStore.delete(OverlayComponent.CONSTANTS.STORE_NAME, id);
+        } catch (error) {
+            console.error('Failed to delete overlay preset:', error);
+            alert('Failed to delete the preset. Please try again.');
+            return;
+        }
+
+        this.presets = this.presets.filter(preset => preset.id !== id);
+        if (this.activePresetId === id) {
+            this.activePresetId = this.presets[0].id;
+            this._saveSettings();
+        }
+        this._renderPresetList();
+        await this._applyPresetToInputs();
+    }
+
+    /**
+     * Make another preset active
+     * @param {string} id - Preset id
+     */
+    async switchPreset(id) {
+        if (!this.presets.some(preset => preset.id === id)) return;
+
+        this.activePresetId = id;
+        this._saveSettings();
+        this._renderPresetList();
+        await this._applyPresetToInputs();
+    }
+
+    /**
+     * Get the active preset
+     * @returns {Object|undefined} Preset record
+     */
+    getActivePreset() {
+        return this.presets.find(preset => preset.id === this.activePresetId);
+    }
+
+    /**
+     * Copy a layout so presets do not share nested objects (the logo blob itself is immutable)
+     * @private
+     * @param {Object} layout - Layout to copy
+     * @returns {Object} Copy
+     */
+    _copyLayout(layout) {
+        return {
+            logo: { ...layout.logo },
+            lowerThird: { ...layout.lowerThird },
+            watermark: { ...layout.watermark }
+        };
+    }
+
+    /**
+     * Ask for a name and create a preset
+     * @private
+     */
+    _promptCreatePreset() {
+        const name = prompt('Name for the new overlay preset:', '');
+        if (name === null) return;
+        this.createPreset(name);
+    }
+
+    /**
+     * Confirm and delete the active preset
+     * @private
+     */
+    _confirmDeletePreset() {
+        const preset = this.getActivePreset();
+        if (preset && confirm(`Delete overlay preset "${preset.name}"?`)) {
+            this.deletePreset(preset.id);
+        }
+    }
+
+    // === PUBLIC API METHODS ===
+
+    /**
+     * Turn burning overlays into recordings on or off
+     * @param {boolean} enabled - Whether overlays are recorded
+     */
+    setEnabled(enabled) {
+        if (enabled && !VideoCompositor.isSupported()) {
+            alert('Recording overlays is not supported in this browser.');
+            enabled = false;
+        }
+
+        this.enabled = !!enabled;
+        this.enabledInput.checked = this.enabled;
+        this._saveSettings();
+    }
+
+    /**
+     * Change part of the active layout
+     * @param {string} overlay - 'logo', 'lowerThird' or 'watermark'
+     * @param {Object} values - Values to merge into that overlay
+     */
+    updateLayout(overlay, values) {
+        const preset = this.getActivePreset();
+        if (!preset) return;
+
+        preset.layout[overlay] = { ...preset.layout[overlay], ...values };
+        preset.updatedAt = Date.now();
+        this._scheduleSave();
+    }
+
+    /**
+     * Set the logo image of the active layout
+     * @param {File} file - Image file
+     */
+    async setLogo(file) {
+        if (!file.type.startsWith('image/')) {
+            alert('Please choose an image file for the logo.');
+            return;
+        }
+        if (file.size > OverlayComponent.CONSTANTS.MAX_LOGO_BYTES) {
+            alert('The logo image is too large. Please use an image under 5 MB.');
+            return;
+        }
+
+        // Make sure it decodes before saving it
+        const image = await VideoCompositor.loadLogo({ logo: { enabled: true, blob: file } });
+        if (!image) {
+            alert('The logo image could not be read.');
+            return;
+        }
+        image.close();
+
+        this.updateLayout('logo', { blob: file, enabled: true });
+        await this._applyPresetToInputs();
+    }
+
+    /**
+     * Check whether overlays will be burned into the next recording
+     * @returns {boolean} True if enabled
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    // === RECORDING ===
+
+    /**
+     * Provide the composited stream to VideoComponent when overlays are on
+     * @private
+     * @param {MediaStream} stream - Camera stream
+     * @returns {Promise<Object|null>} { stream, release } or null to record the camera
+     */
+    async _provideRecordingStream(stream) {
+        const preset = this.getActivePreset();
+        if (!this.enabled || !preset) {
+            return null;
+        }
+
+        // A snapshot, so edits during the take do not change it halfway
+        const compositor = new VideoCompositor(stream, this._copyLayout(preset.layout), {
+            frameRate: this.videoComponent.getQuality().frameRate
+        });
+        const outputStream = await compositor.start();
+        this.compositor = compositor;
+        console.log('Recording with overlay preset:', preset.name);
+
+        return {
+            stream: outputStream,
+            release: () => {
+                compositor.stop();
+                this.compositor = null;
+            }
+        };
+    }
+
+    // === UI ===
+
+    /**
+     * Refresh the preset picker
+     * @private
+     */
+    _renderPresetList() {
+        this.presetSelect.innerHTML = '';
+        this.presets.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = preset.name;
+            this.presetSelect.appendChild(option);
+        });
+        this.presetSelect.value = this.activePresetId || '';
+        this.presetDeleteButton.disabled = this.presets.length <= 1;
+    }
+
+    /**
+     * Show the active layout in the inputs and reload the preview logo
+     * @private
+     */
+    async _applyPresetToInputs() {
+        const preset = this.getActivePreset();
+        if (!preset) return;
+
+        const { logo, lowerThird, watermark } = preset.layout;
+        this.logoEnabledInput.checked = logo.enabled;
+        this.logoEnabledInput.disabled = !logo.blob;
+        this.logoPositionSelect.value = logo.position;
+        this.logoSizeInput.value = logo.size;
+        this.logoOpacityInput.value = logo.opacity;
+        this.lowerThirdEnabledInput.checked = lowerThird.enabled;
+        this.lowerThirdNameInput.value = lowerThird.name;
+        this.lowerThirdTitleInput.value = lowerThird.title;
+        this.watermarkEnabledInput.checked = watermark.enabled;
+        this.watermarkTextInput.value = watermark.text;
+        this.watermarkPositionSelect.value = watermark.position;
+        this.watermarkOpacityInput.value = watermark.opacity;
+
+        if (this.previewLogo) {
+            this.previewLogo.close();
+        }
+        this.previewLogo = logo.blob ? await VideoCompositor.loadLogo({ logo: { enabled: true, blob: logo.blob } }) : null;
+    }
+
+    /**
+     * Start or stop the preview loop depending on panel visibility
+     * @private
+     */
+    _updatePreviewLoop() {
+        const isVisible = this.settingsPanel.classList.contains('open');
+        cancelAnimationFrame(this.previewFrame);
+        this.previewFrame = null;
+
+        if (!isVisible || !this.videoComponent.stream) {
+            if (this.previewVideo) {
+                this.previewVideo.srcObject = null;
+                this.previewVideo = null;
+            }
+            return;
+        }
+
+        if (!this.previewVideo) {
+            this.previewVideo = document.createElement('video');
+            this.previewVideo.muted = true;
+            this.previewVideo.playsInline = true;
+        }
+        this.previewVideo.srcObject = new MediaStream(this.videoComponent.stream.getVideoTracks());
+        this.previewVideo.play().catch(error => console.error('Overlay preview failed:', error));
+
+        const context = this.previewCanvas.getContext('2d');
+        const drawPreview = () => {
+            const preset = this.getActivePreset();
+            const aspect = this.previewVideo.videoWidth ? this.previewVideo.videoHeight / this.previewVideo.videoWidth : 9 / 16;
+            const height = Math.round(OverlayComponent.CONSTANTS.PREVIEW_WIDTH * aspect);
+            // Resizing clears the canvas, so only do it when the camera changes shape
+            if (this.previewCanvas.width !== OverlayComponent.CONSTANTS.PREVIEW_WIDTH || this.previewCanvas.height !== height) {
+                this.previewCanvas.width = OverlayComponent.CONSTANTS.PREVIEW_WIDTH;
+                this.previewCanvas.height = height;
+            }
+
+            if (preset) {
+                VideoCompositor.drawFrame(context, this.previewVideo, preset.layout, this.previewLogo);
+            }
+            this.previewFrame = requestAnimationFrame(drawPreview);
+        };
+        this.previewFrame = requestAnimationFrame(drawPreview);
+    }
+
+    destroy() {
+        cancelAnimationFrame(this.previewFrame);
+        if (this.compositor) {
+            this.compositor.stop();
+        }
+    }
+}
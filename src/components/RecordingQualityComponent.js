@@ -0,0 +1,147 @@
+/**
+ * RecordingQualityComponent - Resolution, frame rate, bitrate and format pickers in the settings panel
+ * Shows what the camera actually granted, since browsers treat the requested values as hints
+ */
+class RecordingQualityComponent {
+    static CONSTANTS = {
+        RESOLUTION_LABELS: {
+            '720p': '720p (1280×720)',
+            '1080p': '1080p (1920×1080)',
+            '4k': '4K (3840×2160)'
+        },
+        BITRATE_LABELS: {
+            low: 'Low',
+            standard: 'Standard',
+            high: 'High'
+        },
+        AUTO_FORMAT_LABEL: 'Automatic'
+    };
+
+    /**
+     * @constructor
+     * @param {VideoComponent} videoComponent - Owner of the camera stream and recorder
+     */
+    constructor(videoComponent) {
+        this.videoComponent = videoComponent;
+
+        // DOM elements
+        this.resolutionSelect = document.getElementById('resolutionSelect');
+        this.frameRateSelect = document.getElementById('frameRateSelect');
+        this.bitrateSelect = document.getElementById('bitrateSelect');
+        this.formatSelect = document.getElementById('formatSelect');
+        this.actualSettings = document.getElementById('actualQuality');
+
+        this.init();
+    }
+
+    init() {
+        console.log('Initializing RecordingQualityComponent...');
+
+        this._renderOptions();
+        this._setupEventListeners();
+        this.updateDisplay();
+    }
+
+    /**
+     * Fill the selects with the available presets and formats
+     * @private
+     */
+    _renderOptions() {
+        const { RESOLUTIONS, FRAME_RATES, BITRATES } = VideoComponent.QUALITY;
+        const { RESOLUTION_LABELS, BITRATE_LABELS, AUTO_FORMAT_LABEL } = RecordingQualityComponent.CONSTANTS;
+
+        this._fillSelect(this.resolutionSelect, Object.keys(RESOLUTIONS).map(key => [key, RESOLUTION_LABELS[key] || key]));
+        this._fillSelect(this.frameRateSelect, FRAME_RATES.map(rate => [String(rate), `${rate} fps`]));
+
+        const bitrates = BITRATES[this.videoComponent.getQuality().resolution];
+        this._fillSelect(this.bitrateSelect, Object.keys(bitrates).map(level => [
+            level,
+            `${BITRATE_LABELS[level] || level} (${(bitrates[level] / 1000000).toFixed(1)} Mbps)`
+        ]));
+
+        // Same list checkRecordingCompatibility() uses, without its alerts on unsupported browsers
+        const supportedTypes = this.videoComponent.getSupportedMimeTypes();
+        this._fillSelect(this.formatSelect, [
+            ['', AUTO_FORMAT_LABEL],
+            ...supportedTypes.map(type => [type, type.replace('video/', '').replace(';codecs=', ' · ')])
+        ]);
+    }
+
+    /**
+     * Replace the options of a select
+     * @private
+     * @param {HTMLSelectElement} select - Select element
+     * @param {Array<string[]>} entries - [value, label] pairs
+     */
+    _fillSelect(select, entries) {
+        select.innerHTML = '';
+        entries.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Setup select and stream listeners
+     * @private
+     */
+    _setupEventListeners() {
+        this.resolutionSelect.addEventListener('change', () => {
+            this._applyQuality({ resolution: this.resolutionSelect.value });
+        });
+        this.frameRateSelect.addEventListener('change', () => {
+            this._applyQuality({ frameRate: parseInt(this.frameRateSelect.value, 10) });
+        });
+        this.bitrateSelect.addEventListener('change', () => {
+            this._applyQuality({ bitrate: this.bitrateSelect.value });
+        });
+        this.formatSelect.addEventListener('change', () => {
+            this._applyQuality({ mimeType: this.formatSelect.value });
+        });
+
+        this.videoComponent.addStreamListener(() => this.updateDisplay());
+    }
+
+    /**
+     * Save a quality change and refresh the pickers
+     * @private
+     * @param {Object} values - Quality values to change
+     */
+    async _applyQuality(values) {
+        const success = await this.videoComponent.setQuality(values);
+        if (!success) {
+            console.error('Failed to apply recording quality');
+        }
+
+        // Bitrate labels depend on the resolution
+        if (values.resolution) {
+            this._renderOptions();
+        }
+        this.updateDisplay();
+    }
+
+    /**
+     * Show the saved choices and the settings the camera granted
+     */
+    updateDisplay() {
+        const quality = this.videoComponent.getQuality();
+        this.resolutionSelect.value = quality.resolution;
+        this.frameRateSelect.value = String(quality.frameRate);
+        this.bitrateSelect.value = quality.bitrate;
+
+        // A saved format that this browser cannot record falls back to automatic
+        const hasFormat = Array.from(this.formatSelect.options).some(option => option.value === quality.mimeType);
+        this.formatSelect.value = hasFormat ? quality.mimeType : '';
+
+        const actual = this.videoComponent.getTrackSettings();
+        if (!actual || !actual.width) {
+            this.actualSettings.textContent = 'Camera: not available';
+            return;
+        }
+
+        const frameRate = actual.frameRate ? ` @ ${Math.round(actual.frameRate)} fps` : '';
+        this.actualSettings.textContent = `Camera: ${actual.width}×${actual.height}${frameRate}`;
+    }
+}
@@ -0,0 +1,299 @@
+/**
+ * RecordingRecoveryComponent - Backs up recording chunks to IndexedDB as they arrive
+ * If the tab crashes, is killed or reloaded mid-take, the next launch offers to turn
+ * the unfinished recording into a take (or a download when takes cannot be stored)
+ */
+class RecordingRecoveryComponent {
+    static CONSTANTS = {
+        SESSION_STORE_NAME: 'recordingSessions',
+        CHUNK_STORE_NAME: 'recordingChunks',
+        LOCK_PREFIX: 'recording-', // Web Lock held by the tab that owns a session, for as long as it is open
+        STALE_AFTER: 10000 // Without Web Locks: ms without a new chunk before a session counts as abandoned
+    };
+
+    /**
+     * @constructor
+     * @param {VideoComponent} videoComponent - Recorder whose chunks are backed up
+     * @param {TakeManagerComponent} takeManagerComponent - Receives recovered recordings as takes
+     */
+    constructor(videoComponent, takeManagerComponent) {
+        this.videoComponent = videoComponent;
+        this.takeManagerComponent = takeManagerComponent;
+
+        // Sessions this tab is backing up, by id: { record, releaseLock }
+        // A take can still be in review while the next one records, so there may be more than one
+        this.sessions = new Map();
+
+        // Writes run one after another so chunks are stored in order
+        this.writeQueue = Promise.resolve();
+
+        this.init();
+    }
+
+    /**
+     * Start backing up recordings and offer to recover unfinished ones
+     */
+    async init() {
+        try {
+            console.log('Initializing RecordingRecoveryComponent...');
+
+            if (!IndexedDBStore.isSupported()) {
+                console.warn('IndexedDB is not available, recordings cannot be backed up while recording');
+                return;
+            }
+
+            this.videoComponent.setChunkJournal({
+                begin: (info) => this._beginSession(info),
+                append: (sessionId, chunk, duration) => this._appendChunk(sessionId, chunk, duration),
+                end: (sessionId) => this._endSession(sessionId)
+            });
+
+            console.log('RecordingRecoveryComponent initialized successfully');
+
+            await this._offerRecovery();
+        } catch (error) {
+            console.error('Failed to initialize RecordingRecoveryComponent:', error);
+        }
+    }
+
+    // === BACKUP ===
+
+    /**
+     * Queue a write, logging failures so the recording itself is never interrupted
+     * @private
+     * @param {Function} task - Returns a promise
+     * @returns {Promise<void>} Resolves when the write is done
+     */
+    _enqueue(task) {
+        this.writeQueue = this.writeQueue
+            .then(task)
+            .catch(error => console.error('Failed to back up recording:', error));
+        return this.writeQueue;
+    }
+
+    /**
+     * Get the key range covering every chunk of a session
+     * @private
+     * @param {string} sessionId - Session id
+     * @returns {IDBKeyRange} The range
+     */
+    _chunkRange(sessionId) {
+        return IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+    }
+
+    /**
+     * Start a new backup session
+     * @private
+     * @param {Object} info - { mimeType, createdAt }
+     * @returns {string} Session id, passed back to append() and end()
+     */
+    _beginSession(info) {
+        const session = {
+            id: IndexedDBStore.generateId(),
+            mimeType: info.mimeType,
+            createdAt: info.createdAt,
+            updatedAt: Date.now(),
+            duration: 0,
+            chunkCount: 0
+        };
+        this.sessions.set(session.id, { record: session, releaseLock: this._holdSessionLock(session.id) });
+
+        this._enqueue(() => IndexedDBStore.put(RecordingRecoveryComponent.CONSTANTS.SESSION_STORE_NAME, { ...session }));
+        return session.id;
+    }
+
+    /**
+     * Store a chunk and the session's progress together
+     * @private
+     * @param {string} sessionId - Session id from _beginSession()
+     * @param {Blob} chunk - Data from MediaRecorder
+     * @param {number} duration - Seconds recorded so far
+     */
+    _appendChunk(sessionId, chunk, duration) {
+        const entry = this.sessions.get(sessionId);
+        if (!entry) return;
+
+        const session = entry.record;
+        const index = session.chunkCount;
+        session.chunkCount++;
+        session.duration = duration;
+        session.updatedAt = Date.now();
+        const snapshot = { ...session };
+
+        this._enqueue(() => IndexedDBStore.putRecords([
+            { storeName: RecordingRecoveryComponent.CONSTANTS.CHUNK_STORE_NAME, value: { sessionId: session.id, index: index, blob: chunk } },
+            { storeName: RecordingRecoveryComponent.CONSTANTS.SESSION_STORE_NAME, value: snapshot }
+        ]));
+    }
+
+    /**
+     * Drop the backup once the recording has been kept, discarded or downloaded
+     * @private
+     * @param {string} sessionId - Session id from _beginSession()
+     */
+    _endSession(sessionId) {
+        const entry = this.sessions.get(sessionId);
+        if (!entry) return;
+
+        // Keep the lock until the backup is gone, so no other tab offers it meanwhile
+        this.sessions.delete(sessionId);
+        this._enqueue(() => this._deleteSession(sessionId)).then(() => {
+            if (entry.releaseLock) {
+                entry.releaseLock();
+            }
+        });
+    }
+
+    /**
+     * Hold a lock named after the session so other tabs know it is still in use,
+     * however long the recording is paused or the take sits in review
+     * @private
+     * @param {string} sessionId - Session id
+     * @returns {Function|null} Releases the lock, or null without Web Locks
+     */
+    _holdSessionLock(sessionId) {
+        if (!navigator.locks) return null;
+
+        // The lock is granted asynchronously; resolving early still releases it once granted
+        let release;
+        const released = new Promise(resolve => {
+            release = resolve;
+        });
+        navigator.locks.request(RecordingRecoveryComponent.CONSTANTS.LOCK_PREFIX + sessionId, () => released);
+        return release;
+    }
+
+    /**
+     * Delete a session and its chunks
+     * @private
+     * @param {string} sessionId - Session id
+     * @returns {Promise<void>}
+     */
+    _deleteSession(sessionId) {
+        return IndexedDBStore.deleteRecords([
+            { storeName: RecordingRecoveryComponent.CONSTANTS.SESSION_STORE_NAME, key: sessionId },
+            { storeName: RecordingRecoveryComponent.CONSTANTS.CHUNK_STORE_NAME, key: this._chunkRange(sessionId) }
+        ]);
+    }
+
+    // === RECOVERY ===
+
+    /**
+     * Get sessions left behind by an earlier visit
+     * @returns {Promise<Object[]>} Abandoned sessions, oldest first
+     */
+    async getUnfinishedSessions() {
+        const { LOCK_PREFIX, SESSION_STORE_NAME, STALE_AFTER } = RecordingRecoveryComponent.CONSTANTS;
+        const sessions = await IndexedDBStore.getAll(SESSION_STORE_NAME);
+
+        let isInUse;
+        if (navigator.locks) {
+            // A session whose lock is held (or requested) belongs to a tab that is still open
+            const { held, pending } = await navigator.locks.query();
+            const lockNames = new Set([...held, ...pending].map(lock => lock.name));
+            isInUse = (session) => lockNames.has(LOCK_PREFIX + session.id);
+        } else {
+            const staleBefore = Date.now() - STALE_AFTER;
+            isInUse = (session) => session.updatedAt >= staleBefore;
+        }
+
+        return sessions
+            .filter(session => !this.sessions.has(session.id) && !isInUse(session))
+            .sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    /**
+     * Ask whether to recover unfinished recordings found on launch
+     * @private
+     */
+    async _offerRecovery() {
+        const sessions = await this.getUnfinishedSessions();
+
+        // Sessions that never received data have nothing to recover
+        const empty = sessions.filter(session => session.chunkCount === 0);
+        for (const session of empty) {
+            await this._deleteSession(session.id);
+        }
+
+        const recoverable = sessions.filter(session => session.chunkCount > 0);
+        if (recoverable.length === 0) return;
+
+        console.log(`Found ${recoverable.length} unfinished recording(s)`);
+        await this.takeManagerComponent.ready;
+
+        const list = recoverable.map(session =>
+            `• ${new Date(session.createdAt).toLocaleString()} (${TakeManagerComponent.formatDuration(session.duration)})`
+        ).join('\n');
+        const message = recoverable.length === 1
+            ? `The app closed before this recording was finished:\n\n${list}\n\nRecover it as a take?`
+            : `The app closed before these ${recoverable.length} recordings were finished:\n\n${list}\n\nRecover them as takes?`;
+
+        if (confirm(message)) {
+            await this.recoverSessions(recoverable);
+        } else if (confirm('Delete the unfinished recordings? Choose Cancel to be asked again next time.')) {
+            for (const session of recoverable) {
+                await this._deleteSession(session.id);
+            }
+            console.log('Unfinished recordings deleted');
+        }
+    }
+
+    /**
+     * Turn unfinished sessions into takes
+     * @param {Object[]} sessions - Sessions from getUnfinishedSessions()
+     */
+    async recoverSessions(sessions) {
+        const failed = [];
+
+        for (const session of sessions) {
+            try {
+                await this._recoverSession(session);
+            } catch (error) {
+                console.error('Failed to recover recording:', error);
+                failed.push(new Date(session.createdAt).toLocaleString());
+            }
+        }
+
+        if (failed.length > 0) {
+            alert(`Some recordings could not be recovered (${failed.join(', ')}). They will be offered again next time.`);
+        }
+    }
+
+    /**
+     * Rebuild one recording from its chunks and keep it
+     * @private
+     * @param {Object} session - Session record
+     */
+    async _recoverSession(session) {
+        const chunks = await IndexedDBStore.getAll(
+            RecordingRecoveryComponent.CONSTANTS.CHUNK_STORE_NAME,
+            this._chunkRange(session.id)
+        );
+        chunks.sort((a, b) => a.index - b.index);
+
+        // The recorder's chunks concatenate into a playable file, as in a normal stop
+        const blob = new Blob(chunks.map(chunk => chunk.blob), { type: session.mimeType });
+        if (blob.size === 0) {
+            await this._deleteSession(session.id);
+            return;
+        }
+
+        const info = {
+            duration: session.duration,
+            mimeType: session.mimeType,
+            createdAt: session.createdAt,
+            recovered: true
+        };
+
+        try {
+            await this.takeManagerComponent.addTake(blob, info);
+        } catch (error) {
+            // Takes cannot be stored - hand the file over instead
+            console.error('Could not store recovered recording as a take, downloading instead:', error);
+            FileSaver.download(blob, this.videoComponent.getDefaultFilename(blob.type));
+        }
+
+        await this._deleteSession(session.id);
+        console.log(`Recovered recording from ${new Date(session.createdAt).toLocaleString()} (${chunks.length} chunks)`);
+    }
+}
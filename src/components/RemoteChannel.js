@@ -0,0 +1,173 @@
+/**
+ * RemoteChannel - Message transport between the prompter and remote.html
+ * Uses BroadcastChannel for tabs in the same browser and an optional WebSocket relay
+ * (relay/remote-relay.js) for other devices; both are scoped to a short session code
+ */
+class RemoteChannel {
+    static CONSTANTS = {
+        CHANNEL_PREFIX: 'teleprompter-remote-',
+        CODE_LENGTH: 6,
+        // No 0/O or 1/I/L so codes can be read out loud and typed on a phone
+        CODE_ALPHABET: 'ABCDEFGHJKMNPQRSTUVWXYZ23456789',
+        RECONNECT_DELAY_MS: 3000
+    };
+
+    /**
+     * Create a random session code
+     * @returns {string} Code such as "K7QH3M"
+     */
+    static generateCode() {
+        const { CODE_LENGTH, CODE_ALPHABET } = RemoteChannel.CONSTANTS;
+        const values = new Uint32Array(CODE_LENGTH);
+        crypto.getRandomValues(values);
+        return Array.from(values, value => CODE_ALPHABET[value % CODE_ALPHABET.length]).join('');
+    }
+
+    /**
+     * Normalize a typed session code
+     * @param {string} code - Raw input
+     * @returns {string} Upper-case code without spaces or dashes
+     */
+    static normalizeCode(code) {
+        return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    }
+
+    /**
+     * @constructor
+     * @param {Object} options - Options
+     * @param {string} options.code - Session code shared by both ends
+     * @param {string} [options.relayUrl] - ws:// or wss:// relay address, empty for same-browser only
+     * @param {Function} options.onMessage - Called with each message from the other end
+     * @param {Function} [options.onStatus] - Called with { broadcast, relay } connection states
+     */
+    constructor({ code, relayUrl, onMessage, onStatus }) {
+        this.code = RemoteChannel.normalizeCode(code);
+        this.relayUrl = (relayUrl || '').trim();
+        this.onMessage = onMessage;
+        this.onStatus = onStatus || (() => {});
+
+        this.broadcastChannel = null;
+        this.socket = null;
+        this.reconnectTimer = null;
+        this.relayStatus = this.relayUrl ? 'connecting' : 'off';
+        this.isClosed = false;
+    }
+
+    /**
+     * Open the transports
+     */
+    open() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.broadcastChannel = new BroadcastChannel(RemoteChannel.CONSTANTS.CHANNEL_PREFIX + this.code);
+            this.broadcastChannel.onmessage = (event) => this._receive(event.data);
+        }
+
+        if (this.relayUrl) {
+            this._connectRelay();
+        }
+        this._reportStatus();
+    }
+
+    /**
+     * Send a message to the other end over every open transport
+     * @param {Object} message - JSON-serializable message with a type
+     */
+    send(message) {
+        if (this.broadcastChannel) {
+            this.broadcastChannel.postMessage(message);
+        }
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Close all transports and stop reconnecting
+     */
+    close() {
+        this.isClosed = true;
+        clearTimeout(this.reconnectTimer);
+
+        if (this.broadcastChannel) {
+            this.broadcastChannel.close();
+            this.broadcastChannel = null;
+        }
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+
+    /**
+     * Connect to the relay, retrying after failures
+     * @private
+     */
+    _connectRelay() {
+        let url;
+        try {
+            url = new URL(this.relayUrl);
+            url.searchParams.set('session', this.code);
+        } catch (error) {
+            console.error('Invalid relay URL:', this.relayUrl);
+            this._setRelayStatus('error');
+            return;
+        }
+
+        this._setRelayStatus('connecting');
+        this.socket = new WebSocket(url.toString());
+
+        this.socket.onopen = () => {
+            console.log('Connected to remote relay');
+            this._setRelayStatus('connected');
+        };
+        this.socket.onmessage = (event) => {
+            try {
+                this._receive(JSON.parse(event.data));
+            } catch (error) {
+                console.error('Ignoring malformed relay message:', error);
+            }
+        };
+        this.socket.onclose = () => {
+            this.socket = null;
+            if (this.isClosed) return;
+
+            this._setRelayStatus('disconnected');
+            this.reconnectTimer = setTimeout(() => this._connectRelay(), RemoteChannel.CONSTANTS.RECONNECT_DELAY_MS);
+        };
+        this.socket.onerror = () => {
+            console.error('Remote relay connection error');
+        };
+    }
+
+    /**
+     * Pass a valid message on
+     * @private
+     * @param {*} message - Received data
+     */
+    _receive(message) {
+        if (message && typeof message.type === 'string') {
+            this.onMessage(message);
+        }
+    }
+
+    /**
+     * Update the relay status and report it
+     * @private
+     * @param {string} status - 'off', 'connecting', 'connected', 'disconnected' or 'error'
+     */
+    _setRelayStatus(status) {
+        this.relayStatus = status;
+        this._reportStatus();
+    }
+
+    /**
+     * Report the current transport states
+     * @private
+     */
+    _reportStatus() {
+        this.onStatus({
+            broadcast: !!this.broadcastChannel,
+            relay: this.relayStatus
+        });
+    }
+}
@@ -0,0 +1,273 @@
+/**
+ * RemoteControlComponent - Lets remote.html on another tab or device drive the prompter
+ * Commands arrive over a RemoteChannel and go through ControlsComponent.triggerAction();
+ * the control state is sent back whenever it changes
+ */
+class RemoteControlComponent {
+    static CONSTANTS = {
+        STATE_INTERVAL_MS: 500,
+        // Actions a remote may trigger
+        ALLOWED_ACTIONS: [
+            'toggleRecording',
+            'togglePause',
+            'toggleRotation',
+            'setRotation',
+            'toggleMirror',
+            'toggleFlip',
+            'setSpeed',
+            'setTextSize',
+            'setSpeedValue',
+            'setTextSizeValue',
+            'nudgeScroll',
+            'nudgeForward',
+            'nudgeBack',
+            'toggleScrollPause',
+            'speedUp',
+            'speedDown',
+            'sizeUp',
+            'sizeDown'
+        ]
+    };
+
+    /**
+     * @constructor
+     * @param {ControlsComponent} controlsComponent - Receiver of remote commands
+     */
+    constructor(controlsComponent) {
+        this.controlsComponent = controlsComponent;
+
+        // DOM elements
+        this.enabledInput = document.getElementById('remoteEnabledInput');
+        this.codeLabel = document.getElementById('remoteSessionCode');
+        this.newCodeButton = document.getElementById('remoteNewCode');
+        this.relayInput = document.getElementById('remoteRelayInput');
+        this.statusLabel = document.getElementById('remoteStatus');
+        this.openLink = document.getElementById('remoteOpenLink');
+
+        this.settings = {
+            remoteEnabled: false,
+            remoteSessionCode: '',
+            remoteRelayUrl: ''
+        };
+
+        this.channel = null;
+        this.stateTimer = null;
+        this.lastStateJson = '';
+
+        this.init();
+    }
+
+    init() {
+        console.log('Initializing RemoteControlComponent...');
+        this._loadSettings();
+        this._setupEventListeners();
+        this._updateInputs();
+        this._applyEnabled();
+    }
+
+    // === SETTINGS MANAGEMENT ===
+
+    /**
+     * Load remote settings, creating a session code on first run
+     * @private
+     */
+    _loadSettings() {
+        const settings = SettingsStore.load();
+
+        this.settings.remoteEnabled = !!settings.remoteEnabled;
+        this.settings.remoteRelayUrl = settings.remoteRelayUrl || '';
+        this.settings.remoteSessionCode = RemoteChannel.normalizeCode(settings.remoteSessionCode);
+        if (!this.settings.remoteSessionCode) {
+            this.settings.remoteSessionCode = RemoteChannel.generateCode();
+            this._saveSettings();
+        }
+    }
+
+    /**
+     * Save remote settings
+     * @private
+     */
+    _saveSettings() {
+        SettingsStore.update(this.settings);
+    }
+
+    /**
+     * Bind the settings panel inputs
+     * @private
+     */
+    _setupEventListeners() {
+        this.enabledInput.addEventListener('change', () => this.setEnabled(this.enabledInput.checked));
+        this.newCodeButton.addEventListener('click', () => this.regenerateCode());
+        this.relayInput.addEventListener('change', () => this.setRelayUrl(this.relayInput.value));
+    }
+
+    /**
+     * Reflect settings in the settings panel inputs
+     * @private
+     */
+    _updateInputs() {
+        this.enabledInput.checked = this.settings.remoteEnabled;
+        this.codeLabel.textContent = this.settings.remoteSessionCode;
+        this.relayInput.value = this.settings.remoteRelayUrl;
+
+        const remoteUrl = new URL('remote.html', window.location.href);
+        remoteUrl.searchParams.set('code', this.settings.remoteSessionCode);
+        if (this.settings.remoteRelayUrl) {
+            remoteUrl.searchParams.set('relay', this.settings.remoteRelayUrl);
+        }
+        this.openLink.href = remoteUrl.toString();
+    }
+
+    // === PUBLIC API METHODS ===
+
+    /**
+     * Start or stop listening for remotes
+     * @param {boolean} enabled - Whether remotes may control the prompter
+     */
+    setEnabled(enabled) {
+        this.settings.remoteEnabled = !!enabled;
+        this._saveSettings();
+        this._updateInputs();
+        this._applyEnabled();
+    }
+
+    /**
+     * Replace the session code, disconnecting paired remotes
+     */
+    regenerateCode() {
+        this.settings.remoteSessionCode = RemoteChannel.generateCode();
+        this._saveSettings();
+        this._updateInputs();
+        this._applyEnabled();
+    }
+
+    /**
+     * Set the WebSocket relay used for other devices
+     * @param {string} url - ws:// or wss:// address, empty for same-browser only
+     */
+    setRelayUrl(url) {
+        const value = String(url || '').trim();
+        if (value && !/^wss?:\/\//i.test(value)) {
+            alert('The relay address must start with ws:// or wss://');
+            this.relayInput.value = this.settings.remoteRelayUrl;
+            return;
+        }
+
+        this.settings.remoteRelayUrl = value;
+        this._saveSettings();
+        this._updateInputs();
+        this._applyEnabled();
+    }
+
+    /**
+     * Get the current session code
+     * @returns {string} Session code
+     */
+    getSessionCode() {
+        return this.settings.remoteSessionCode;
+    }
+
+    // === CHANNEL ===
+
+    /**
+     * Open or close the channel to match the settings
+     * @private
+     */
+    _applyEnabled() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        clearInterval(this.stateTimer);
+        this.stateTimer = null;
+
+        if (!this.settings.remoteEnabled) {
+            this.statusLabel.textContent = 'Off';
+            return;
+        }
+
+        this.channel = new RemoteChannel({
+            code: this.settings.remoteSessionCode,
+            relayUrl: this.settings.remoteRelayUrl,
+            onMessage: (message) => this._handleMessage(message),
+            onStatus: (status) => this._updateStatus(status)
+        });
+        this.channel.open();
+
+        // Push state whenever it changes, whichever control changed it
+        this.lastStateJson = '';
+        this.stateTimer = setInterval(() => this._sendState(false), RemoteControlComponent.CONSTANTS.STATE_INTERVAL_MS);
+        console.log('Remote control enabled with session code', this.settings.remoteSessionCode);
+    }
+
+    /**
+     * Handle a message from a remote
+     * @private
+     * @param {Object} message - { type: 'command', action, value } or { type: 'hello' }; failed commands are answered with { type: 'error', action, message }
+     */
+    async _handleMessage(message) {
+        if (message.type === 'hello') {
+            this._sendState(true);
+            return;
+        }
+
+        if (message.type !== 'command') return;
+
+        if (!RemoteControlComponent.CONSTANTS.ALLOWED_ACTIONS.includes(message.action)) {
+            console.warn('Ignoring remote action:', message.action);
+            return;
+        }
+
+        console.log('Remote command:', message.action, message.value);
+        try {
+            await this.controlsComponent.triggerAction(message.action, message.value === undefined ? null : message.value);
+        } catch (error) {
+            // e.g. the camera could not start - tell the remote instead of failing silently
+            console.error(`Remote command ${message.action} failed:`, error);
+            if (this.channel) {
+                this.channel.send({ type: 'error', action: message.action, message: error.message || String(error) });
+            }
+        }
+        this._sendState(true);
+    }
+
+    /**
+     * Send the control state to remotes
+     * @private
+     * @param {boolean} force - Send even if unchanged
+     */
+    _sendState(force) {
+        if (!this.channel) return;
+
+        const state = this.controlsComponent.getControlState();
+        const stateJson = JSON.stringify(state);
+        if (!force && stateJson === this.lastStateJson) return;
+
+        this.lastStateJson = stateJson;
+        this.channel.send({ type: 'state', state: state });
+    }
+
+    /**
+     * Show the connection status
+     * @private
+     * @param {Object} status - { broadcast, relay }
+     */
+    _updateStatus(status) {
+        const parts = [];
+        if (status.broadcast) {
+            parts.push('this browser');
+        }
+        if (status.relay !== 'off') {
+            parts.push(`relay ${status.relay}`);
+        }
+        this.statusLabel.textContent = parts.length ? `Listening: ${parts.join(', ')}` : 'Not available in this browser';
+    }
+
+    destroy() {
+        clearInterval(this.stateTimer);
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+}
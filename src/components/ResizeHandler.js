@@ -0,0 +1,147 @@
+/**
+ * ResizeHandler - Edge and corner handles that resize a box with Pointer Events
+ * Works in the box's own coordinates so the handles behave the same when the box is
+ * rotated, mirrored or flipped; the opposite edge stays where it is on screen
+ */
+class ResizeHandler {
+    static CONSTANTS = {
+        // Outward direction of each handle along the box's width (x) and height (y)
+        EDGES: {
+            'top': { x: 0, y: -1 },
+            'bottom': { x: 0, y: 1 },
+            'left': { x: -1, y: 0 },
+            'right': { x: 1, y: 0 },
+            'top-left': { x: -1, y: -1 },
+            'top-right': { x: 1, y: -1 },
+            'bottom-left': { x: -1, y: 1 },
+            'bottom-right': { x: 1, y: 1 }
+        },
+        HANDLE_CLASS: 'script-resize-handle'
+    };
+
+    /**
+     * @constructor
+     * @param {HTMLElement} element - Box to add the handles to
+     * @param {Object} options - Geometry callbacks
+     * @param {Function} options.getBounds - () => { centerX, centerY, width, height }
+     * @param {Function} options.setBounds - (bounds) applies new bounds
+     * @param {Function} options.getLimits - () => { minWidth, maxWidth, minHeight, maxHeight }
+     * @param {Function} options.toLocalDelta - (x, y) screen movement to box movement
+     * @param {Function} options.toScreenDelta - (x, y) box movement to screen movement
+     * @param {Function} [options.onEnd] - (edge) called when a resize finishes
+     */
+    constructor(element, options) {
+        this.element = element;
+        this.options = options;
+
+        this.handles = {};
+        this.dragHandlers = [];
+        this.startBounds = null;
+
+        this.init();
+    }
+
+    init() {
+        Object.keys(ResizeHandler.CONSTANTS.EDGES).forEach(edge => this._createHandle(edge));
+        this.updateCursors();
+    }
+
+    /**
+     * Create one handle and its drag tracking
+     * @private
+     * @param {string} edge - Key of CONSTANTS.EDGES
+     */
+    _createHandle(edge) {
+        const handle = document.createElement('div');
+        handle.className = `${ResizeHandler.CONSTANTS.HANDLE_CLASS} ${ResizeHandler.CONSTANTS.HANDLE_CLASS}-${edge}`;
+        handle.dataset.edge = edge;
+        this.element.appendChild(handle);
+        this.handles[edge] = handle;
+
+        this.dragHandlers.push(new DragHandler(handle, {
+            onStart: () => {
+                this.startBounds = this.options.getBounds();
+                console.log(`Started resizing script box from ${edge}`);
+            },
+            onMove: (deltaX, deltaY) => this._resize(edge, deltaX, deltaY),
+            onEnd: () => {
+                this.startBounds = null;
+                if (this.options.onEnd) {
+                    this.options.onEnd(edge);
+                }
+            }
+        }));
+    }
+
+    /**
+     * Resize from one handle
+     * @private
+     * @param {string} edge - Handle being dragged
+     * @param {number} deltaX - Horizontal screen movement since the press
+     * @param {number} deltaY - Vertical screen movement since the press
+     */
+    _resize(edge, deltaX, deltaY) {
+        if (!this.startBounds) return;
+
+        const direction = ResizeHandler.CONSTANTS.EDGES[edge];
+        const limits = this.options.getLimits();
+        const local = this.options.toLocalDelta(deltaX, deltaY);
+        const start = this.startBounds;
+
+        const width = direction.x === 0 ? start.width : Math.max(
+            limits.minWidth,
+            Math.min(limits.maxWidth, start.width + direction.x * local.x)
+        );
+        const height = direction.y === 0 ? start.height : Math.max(
+            limits.minHeight,
+            Math.min(limits.maxHeight, start.height + direction.y * local.y)
+        );
+
+        // Keep the opposite edge still: the centre moves half the growth towards the handle
+        const shift = this.options.toScreenDelta(
+            direction.x * (width - start.width) / 2,
+            direction.y * (height - start.height) / 2
+        );
+
+        this.options.setBounds({
+            centerX: start.centerX + shift.x,
+            centerY: start.centerY + shift.y,
+            width: width,
+            height: height
+        });
+    }
+
+    /**
+     * Point each handle's cursor the way it resizes on screen
+     * Call again after the box is rotated, mirrored or flipped
+     */
+    updateCursors() {
+        Object.entries(this.handles).forEach(([edge, handle]) => {
+            const direction = ResizeHandler.CONSTANTS.EDGES[edge];
+            const screen = this.options.toScreenDelta(direction.x, direction.y);
+
+            if (Math.round(screen.x) === 0) {
+                handle.style.cursor = 'ns-resize';
+            } else if (Math.round(screen.y) === 0) {
+                handle.style.cursor = 'ew-resize';
+            } else {
+                handle.style.cursor = Math.sign(screen.x) === Math.sign(screen.y) ? 'nwse-resize' : 'nesw-resize';
+            }
+        });
+    }
+
+    /**
+     * Whether a handle is being dragged
+     * @returns {boolean} True while resizing
+     */
+    isResizing() {
+        return this.startBounds !== null;
+    }
+
+    destroy() {
+        this.dragHandlers.forEach(handler => handler.destroy());
+        Object.values(this.handles).forEach(handle => handle.remove());
+        this.dragHandlers = [];
+        this.handles = {};
+    }
+}
@@ -0,0 +1,342 @@
+/**
+ * ReviewComponent - Post-recording review screen with play, scrub and trim in/out points
+ * Resolves with the kept (optionally trimmed) recording, or null when discarded
+ */
+class ReviewComponent {
+    static CONSTANTS = {
+        DEFAULT_REVIEW_ENABLED: true,
+        MIN_TRIM_LENGTH: 0.5, // Seconds
+        TRIM_TOLERANCE: 0.05, // In/out points this close to the ends count as untrimmed
+        CSS_CLASSES: {
+            VISIBLE: 'visible',
+            PROCESSING: 'processing'
+        }
+    };
+
+    /**
+     * @constructor
+     * Initializes the review overlay and loads saved settings
+     */
+    constructor() {
+        // DOM elements
+        this.overlay = document.getElementById('reviewOverlay');
+        this.video = document.getElementById('reviewVideo');
+        this.scrubber = document.getElementById('reviewScrubber');
+        this.range = document.getElementById('reviewRange');
+        this.timeLabel = document.getElementById('reviewTime');
+        this.rangeLabel = document.getElementById('reviewRangeLabel');
+        this.playButton = document.getElementById('reviewPlay');
+        this.setInButton = document.getElementById('reviewSetIn');
+        this.setOutButton = document.getElementById('reviewSetOut');
+        this.resetButton = document.getElementById('reviewReset');
+        this.discardButton = document.getElementById('reviewDiscard');
+        this.keepButton = document.getElementById('reviewKeep');
+        this.status = document.getElementById('reviewStatus');
+        this.enabledInput = document.getElementById('reviewEnabledInput');
+
+        // State
+        this.enabled = ReviewComponent.CONSTANTS.DEFAULT_REVIEW_ENABLED;
+        this.blob = null;
+        this.info = null;
+        this.url = null;
+        this.duration = 0;
+        this.inPoint = 0;
+        this.outPoint = 0;
+        this.isProcessing = false;
+        this.resolveReview = null;
+
+        this.init();
+    }
+
+    init() {
+        console.log('Initializing ReviewComponent...');
+        this._loadSettings();
+        this._setupEventListeners();
+    }
+
+    // === SETTINGS MANAGEMENT ===
+
+    /**
+     * Load review settings
+     * @private
+     */
+    _loadSettings() {
+        const settings = SettingsStore.load();
+        if (settings.reviewAfterRecording !== undefined) {
+            this.enabled = !!settings.reviewAfterRecording;
+        }
+        this.enabledInput.checked = this.enabled;
+    }
+
+    /**
+     * Enable or disable the review screen
+     * @param {boolean} enabled - Whether to review takes after recording
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        this.enabledInput.checked = this.enabled;
+        SettingsStore.update({ reviewAfterRecording: this.enabled });
+    }
+
+    /**
+     * Setup review UI listeners
+     * @private
+     */
+    _setupEventListeners() {
+        this.enabledInput.addEventListener('change', () => this.setEnabled(this.enabledInput.checked));
+
+        this.playButton.addEventListener('click', () => this._togglePlayback());
+        this.setInButton.addEventListener('click', () => this.setInPoint(this.video.currentTime));
+        this.setOutButton.addEventListener('click', () => this.setOutPoint(this.video.currentTime));
+        this.resetButton.addEventListener('click', () => this._resetRange());
+        this.discardButton.addEventListener('click', () => this._discard());
+        this.keepButton.addEventListener('click', () => this._keep());
+
+        this.scrubber.addEventListener('input', () => {
+            this.video.currentTime = parseFloat(this.scrubber.value);
+        });
+
+        this.video.addEventListener('timeupdate', () => {
+            // Play only the selected range
+            if (!this.video.paused && this.video.currentTime >= this.outPoint) {
+                this.video.pause();
+                this.video.currentTime = this.outPoint;
+            }
+            this._updateTimeline();
+        });
+        this.video.addEventListener('play', () => this._updatePlayButton());
+        this.video.addEventListener('pause', () => this._updatePlayButton());
+    }
+
+    // === PUBLIC API METHODS ===
+
+    /**
+     * Show a recording for review
+     * @param {Blob} blob - The recording
+     * @param {Object} info - Recording info: { duration, mimeType, createdAt }
+     * @returns {Promise<Object|null>} { blob, info } to keep, or null when discarded
+     */
+    async review(blob, info) {
+        if (!this.enabled) {
+            return { blob, info };
+        }
+
+        // Only one review at a time - keep a pending one untouched
+        if (this.resolveReview) {
+            this._close({ blob: this.blob, info: this.info });
+        }
+
+        this.blob = blob;
+        this.info = info;
+        this.url = URL.createObjectURL(blob);
+        this.video.src = this.url;
+        this._setProcessing(false);
+        this.overlay.classList.add(ReviewComponent.CONSTANTS.CSS_CLASSES.VISIBLE);
+
+        try {
+            await VideoTrimmer.waitForEvent(this.video, 'loadedmetadata');
+            this.duration = await VideoTrimmer.resolveDuration(this.video, info.duration);
+        } catch (error) {
+            console.error('Failed to load recording for review:', error);
+            this.duration = info.duration || 0;
+        }
+
+        this.scrubber.max = this.duration;
+        this.scrubber.step = 0.01;
+        this._resetRange();
+
+        return new Promise((resolve) => {
+            this.resolveReview = resolve;
+        });
+    }
+
+    /**
+     * Check whether the review screen is showing
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return this.overlay.classList.contains(ReviewComponent.CONSTANTS.CSS_CLASSES.VISIBLE);
+    }
+
+    /**
+     * Set the in point
+     * @param {number} time - Seconds
+     */
+    setInPoint(time) {
+        this.inPoint = Math.max(0, Math.min(time, this.outPoint - ReviewComponent.CONSTANTS.MIN_TRIM_LENGTH));
+        this._updateTimeline();
+    }
+
+    /**
+     * Set the out point
+     * @param {number} time - Seconds
+     */
+    setOutPoint(time) {
+        this.outPoint = Math.min(this.duration, Math.max(time, this.inPoint + ReviewComponent.CONSTANTS.MIN_TRIM_LENGTH));
+        this._updateTimeline();
+    }
+
+    // === REVIEW ACTIONS ===
+
+    /**
+     * Select the whole recording
+     * @private
+     */
+    _resetRange() {
+        this.inPoint = 0;
+        this.outPoint = this.duration;
+        this.video.currentTime = 0;
+        this._updateTimeline();
+    }
+
+    /**
+     * Play or pause the selected range
+     * @private
+     */
+    _togglePlayback() {
+        if (this.video.paused) {
+            if (this.video.currentTime < this.inPoint || this.video.currentTime >= this.outPoint) {
+                this.video.currentTime = this.inPoint;
+            }
+            this.video.play().catch(error => console.error('Review playback failed:', error));
+        } else {
+            this.video.pause();
+        }
+    }
+
+    /**
+     * Check whether the selected range differs from the full recording
+     * @private
+     * @returns {boolean} True if trimming is needed
+     */
+    _isTrimmed() {
+        const tolerance = ReviewComponent.CONSTANTS.TRIM_TOLERANCE;
+        return this.inPoint > tolerance || this.outPoint < this.duration - tolerance;
+    }
+
+    /**
+     * Keep the take, trimming it to the selected range if needed
+     * @private
+     */
+    async _keep() {
+        if (this.isProcessing) return;
+
+        this.video.pause();
+        let blob = this.blob;
+        let info = this.info;
+
+        if (this._isTrimmed()) {
+            this._setProcessing(true);
+            try {
+                blob = await VideoTrimmer.trim(this.blob, this.inPoint, this.outPoint, {
+                    mimeType: this.info.mimeType,
+                    onProgress: (progress) => {
+                        this.status.textContent = `Trimming... ${Math.round(progress * 100)}%`;
+                    }
+                });
+                // trimStart lets the caption timeline follow the cut
+                info = { ...this.info, duration: this.outPoint - this.inPoint, mimeType: blob.type, trimStart: this.inPoint };
+            } catch (error) {
+                console.error('Failed to trim recording:', error);
+                this._setProcessing(false);
+                if (!confirm(`Trimming failed (${error.message}). Keep the full, untrimmed take instead?`)) {
+                    return;
+                }
+            }
+        }
+
+        this._close({ blob, info });
+    }
+
+    /**
+     * Discard the take after confirmation
+     * @private
+     */
+    _discard() {
+        if (this.isProcessing) return;
+
+        if (confirm('Discard this take? It cannot be recovered.')) {
+            this._close(null);
+        }
+    }
+
+    /**
+     * Hide the review screen and resolve the pending review
+     * @private
+     * @param {Object|null} result - Kept recording or null
+     */
+    _close(result) {
+        this.video.pause();
+        this.video.removeAttribute('src');
+        this.video.load();
+        if (this.url) {
+            URL.revokeObjectURL(this.url);
+            this.url = null;
+        }
+
+        this._setProcessing(false);
+        this.overlay.classList.remove(ReviewComponent.CONSTANTS.CSS_CLASSES.VISIBLE);
+
+        const resolve = this.resolveReview;
+        this.resolveReview = null;
+        this.blob = null;
+        this.info = null;
+
+        if (resolve) {
+            resolve(result);
+        }
+    }
+
+    // === UI ===
+
+    /**
+     * Toggle the processing state of the controls
+     * @private
+     * @param {boolean} isProcessing - Whether a trim is running
+     */
+    _setProcessing(isProcessing) {
+        this.isProcessing = isProcessing;
+        this.overlay.classList.toggle(ReviewComponent.CONSTANTS.CSS_CLASSES.PROCESSING, isProcessing);
+        [this.playButton, this.setInButton, this.setOutButton, this.resetButton,
+            this.discardButton, this.keepButton, this.scrubber].forEach(element => {
+            element.disabled = isProcessing;
+        });
+        this.status.textContent = isProcessing ? 'Trimming...' : '';
+    }
+
+    /**
+     * Update scrubber, selected range and time labels
+     * @private
+     */
+    _updateTimeline() {
+        this.scrubber.value = this.video.currentTime;
+
+        const duration = this.duration || 1;
+        this.range.style.left = `${(this.inPoint / duration) * 100}%`;
+        this.range.style.width = `${((this.outPoint - this.inPoint) / duration) * 100}%`;
+
+        this.timeLabel.textContent = `${ReviewComponent.formatTime(this.video.currentTime)} / ${ReviewComponent.formatTime(this.duration)}`;
+        this.rangeLabel.textContent = `In ${ReviewComponent.formatTime(this.inPoint)} · Out ${ReviewComponent.formatTime(this.outPoint)}`;
+    }
+
+    /**
+     * Update the play button label
+     * @private
+     */
+    _updatePlayButton() {
+        this.playButton.textContent = this.video.paused ? '▶' : '⏸';
+        this.playButton.title = this.video.paused ? 'Play' : 'Pause';
+    }
+
+    /**
+     * Format seconds as m:ss.t
+     * @param {number} seconds - Time in seconds
+     * @returns {string} Formatted time
+     */
+    static formatTime(seconds) {
+        const value = Math.max(0, seconds || 0);
+        const minutes = Math.floor(value / 60);
+        const remainder = (value % 60).toFixed(1).padStart(4, '0');
+        return `${minutes}:${remainder}`;
+    }
+}
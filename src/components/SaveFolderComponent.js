@@ -0,0 +1,197 @@
+/**
+ * SaveFolderComponent - Saves takes into a folder picked once with the File System Access API
+ * The folder handle is kept in IndexedDB; the browser may ask again for access on a later visit
+ */
+class SaveFolderComponent {
+    static CONSTANTS = {
+        STORE_NAME: 'fileHandles',
+        FOLDER_KEY: 'saveFolder'
+    };
+
+    /**
+     * @constructor
+     * @param {TakeManagerComponent} takeManagerComponent - Source of takes and their files
+     */
+    constructor(takeManagerComponent) {
+        this.takeManagerComponent = takeManagerComponent;
+
+        // DOM elements
+        this.folderName = document.getElementById('saveFolderName');
+        this.chooseButton = document.getElementById('saveFolderChoose');
+        this.forgetButton = document.getElementById('saveFolderForget');
+        this.autoInput = document.getElementById('saveFolderAutoInput');
+        this.hint = document.getElementById('saveFolderHint');
+
+        this.settings = {
+            saveToFolderAutomatically: false
+        };
+
+        // FileSystemDirectoryHandle of the chosen folder
+        this.folder = null;
+
+        this.init();
+    }
+
+    async init() {
+        try {
+            console.log('Initializing SaveFolderComponent...');
+
+            this._loadSettings();
+
+            if (!FileSaver.isFolderSupported() || !IndexedDBStore.isSupported()) {
+                this._showUnsupported();
+                return;
+            }
+
+            this._setupEventListeners();
+            await this._loadFolder();
+            this._updateUI();
+
+            this.takeManagerComponent.addTakeListener((take) => {
+                if (this.folder && this.settings.saveToFolderAutomatically) {
+                    this.saveTake(take);
+                }
+            });
+
+            console.log('SaveFolderComponent initialized successfully');
+        } catch (error) {
+            console.error('Failed to initialize SaveFolderComponent:', error);
+        }
+    }
+
+    // === SETTINGS MANAGEMENT ===
+
+    /**
+     * Load folder settings
+     * @private
+     */
+    _loadSettings() {
+        const settings = SettingsStore.load();
+
+        this.settings.saveToFolderAutomatically = !!settings.saveToFolderAutomatically;
+    }
+
+    /**
+     * Save folder settings
+     * @private
+     */
+    _saveSettings() {
+        SettingsStore.update(this.settings);
+    }
+
+    /**
+     * Bind the settings panel controls
+     * @private
+     */
+    _setupEventListeners() {
+        this.chooseButton.addEventListener('click', () => this.chooseFolder());
+        this.forgetButton.addEventListener('click', () => this.forgetFolder());
+        this.autoInput.addEventListener('change', () => {
+            this.settings.saveToFolderAutomatically = this.autoInput.checked;
+            this._saveSettings();
+        });
+    }
+
+    /**
+     * Restore the folder chosen on an earlier visit
+     * @private
+     */
+    async _loadFolder() {
+        const record = await IndexedDBStore.get(SaveFolderComponent.CONSTANTS.STORE_NAME, SaveFolderComponent.CONSTANTS.FOLDER_KEY);
+        this.folder = record ? record.handle : null;
+    }
+
+    /**
+     * Reflect the folder and settings in the settings panel and the take gallery
+     * @private
+     */
+    _updateUI() {
+        this.folderName.textContent = this.folder ? this.folder.name : 'No folder chosen';
+        this.chooseButton.textContent = this.folder ? 'Change…' : 'Choose…';
+        this.forgetButton.disabled = !this.folder;
+        this.autoInput.disabled = !this.folder;
+        this.autoInput.checked = this.settings.saveToFolderAutomatically;
+
+        this.takeManagerComponent.setFolderHandler(this.folder ? (take) => this.saveTake(take) : null);
+    }
+
+    /**
+     * Explain why the folder controls do nothing in this browser
+     * @private
+     */
+    _showUnsupported() {
+        this.folderName.textContent = 'Not supported';
+        this.chooseButton.disabled = true;
+        this.forgetButton.disabled = true;
+        this.autoInput.disabled = true;
+        this.hint.textContent = 'This browser cannot save into a folder. Use ⬇ Download or 📤 Share on a take instead.';
+    }
+
+    // === PUBLIC API METHODS ===
+
+    /**
+     * Pick the folder takes are saved to. Must be called from a user gesture.
+     */
+    async chooseFolder() {
+        try {
+            const folder = await FileSaver.pickFolder();
+            if (!folder) return;
+
+            await IndexedDBStore.put(SaveFolderComponent.CONSTANTS.STORE_NAME, {
+                id: SaveFolderComponent.CONSTANTS.FOLDER_KEY,
+                handle: folder
+            });
+            this.folder = folder;
+            this._updateUI();
+            console.log(`Save folder set to ${folder.name}`);
+        } catch (error) {
+            console.error('Failed to choose save folder:', error);
+            alert(`Could not use that folder: ${error.message}`);
+        }
+    }
+
+    /**
+     * Stop saving to the chosen folder
+     */
+    async forgetFolder() {
+        try {
+            await IndexedDBStore.delete(SaveFolderComponent.CONSTANTS.STORE_NAME, SaveFolderComponent.CONSTANTS.FOLDER_KEY);
+        } catch (error) {
+            console.error('Failed to forget save folder:', error);
+        }
+        this.folder = null;
+        this._updateUI();
+    }
+
+    /**
+     * Write a take and its captions into the chosen folder
+     * @param {Object} take - Take metadata
+     * @returns {Promise<boolean>} True if the take was saved
+     */
+    async saveTake(take) {
+        const folder = this.folder;
+        if (!folder) return false;
+
+        // Asks again if access lapsed; only works right after a click (e.g. Keep or 📁)
+        if (!await FileSaver.hasFolderPermission(folder)) {
+            alert(`"${take.name}" was not saved because access to the folder "${folder.name}" was not allowed. Use 📁 on the take to try again.`);
+            return false;
+        }
+
+        try {
+            const [video, ...captions] = await this.takeManagerComponent.getTakeFiles(take);
+            const videoName = await FileSaver.writeToFolder(folder, video.blob, video.name);
+
+            // Captions keep the video's name, including any (2) added to avoid overwriting
+            const base = videoName.slice(0, videoName.lastIndexOf('.'));
+            for (const file of captions) {
+                await FileSaver.writeToFolder(folder, file.blob, base + file.name.slice(file.name.lastIndexOf('.')));
+            }
+            return true;
+        } catch (error) {
+            console.error('Failed to save take to folder:', error);
+            alert(`Failed to save "${take.name}" to the folder: ${error.message}`);
+            return false;
+        }
+    }
+}
@@ -7,21 +7,39 @@ class ScriptComponent {
     static CONSTANTS = {
         DEFAULT_SPEED: 120,
         DEFAULT_TEXT_SIZE: 24,
-        ANIMATION_FPS: 60,
-        SETTINGS_KEY: 'teleprompterSettings',
+        MIN_TEXT_SIZE: 12,
+        MAX_TEXT_SIZE: 96,
+        MAX_FRAME_DELTA_MS: 1000, // Cap per-frame progress after long stalls (e.g. a backgrounded tab)
+        MIN_TARGET_SPEED: 5, // Bounds for the speed computed in duration-targeted mode
+        MAX_TARGET_SPEED: 2000,
+        CUE_TRIGGER_RATIO: 0.25, // Cues fire when they reach this fraction of the visible height
+        READING_GUIDE: {
+            DEFAULT_POSITION: 0.33, // Fraction of the visible height where the eye line sits
+            MIN_POSITION: 0.1,
+            MAX_POSITION: 0.8,
+            STYLES: ['arrow', 'line'],
+            MIN_PADDING: 16 // Matches the prompt view's own padding
+        },
         CSS_CLASSES: {
             SCROLLING: 'scrolling',
-            ROTATED: 'rotated'
+            ROTATED: 'rotated',
+            MIRRORED: 'mirrored',
+            FLIPPED: 'flipped',
+            LINE: 'script-line',
+            HEADING: 'script-heading',
+            EMPHASIS: 'script-emphasis',
+            CUE: 'script-cue',
+            READING_GUIDE: 'reading-guide',
+            GUIDE_MARKER: 'reading-guide-marker',
+            FOCUS_LINE: 'reading-focus'
         },
+        ROTATION_STEPS: [0, 90, 180, 270],
         RESIZE: {
+            // Match the min/max sizes of .script-box in styles.css
             MIN_HEIGHT: 150,
-            MAX_HEIGHT: window.innerHeight * 0.8,
+            MAX_HEIGHT_RATIO: 0.7,
             MIN_WIDTH: 300,
-            MAX_WIDTH: window.innerWidth * 0.9,
-            HANDLE_HEIGHT: 10,
-            HANDLE_WIDTH: 10,
-            HANDLE_COLOR: 'rgba(255, 255, 255, 0.3)',
-            HANDLE_HOVER_COLOR: 'rgba(255, 255, 255, 0.6)'
+            MAX_WIDTH_RATIO: 0.9
         }
     };
 
@@ -33,29 +51,53 @@ class ScriptComponent {
         // Validate required DOM elements exist
         this.scriptBox = this._getRequiredElement('scriptBox');
         this.scriptInput = this._getRequiredElement('scriptInput');
+        this.scriptDisplay = this._getRequiredElement('scriptDisplay');
         
         // Initialize state
         this.state = {
             isScrolling: false,
-            isTextRotated: false,
+            rotation: 0, // Degrees: 0, 90, 180 or 270
+            isMirrored: false, // Horizontal mirror for beam-splitter glass
+            isFlipped: false, // Vertical flip
             currentSpeed: ScriptComponent.CONSTANTS.DEFAULT_SPEED,
             currentTextSize: ScriptComponent.CONSTANTS.DEFAULT_TEXT_SIZE,
-            isResizing: false,
-            initialHeight: 0,
-            initialMouseY: 0,
-            isResizingWidth: false,
-            initialWidth: 0,
-            initialMouseX: 0,
-            resizeDirection: null // 'bottom', 'left', 'right'
+            cueSpeed: null, // Speed set by a [SPEED] cue, overrides currentSpeed while prompting
+            pauseUntil: 0, // Timestamp until which a [PAUSE] cue holds the scroll
+            targetDuration: null, // Seconds the whole scroll should take, null to use currentSpeed
+            targetEndTime: 0, // Timestamp at which a duration-targeted scroll should finish
+            isScrollPaused: false,
+            pausedAt: 0, // Timestamp when the scroll was paused
+            speedFactor: 1, // Multiplier from 0 (held) to 1 (full speed), e.g. driven by voice activity
+            readingGuide: {
+                enabled: false,
+                position: ScriptComponent.CONSTANTS.READING_GUIDE.DEFAULT_POSITION,
+                style: 'arrow'
+            }
         };
         
         // Animation state
         this.scrollAnimation = null;
+        this.lastFrameTime = 0;
+        this.scrollOffset = 0; // Sub-pixel scroll position, scrollTop may round to whole pixels
+        
+        // Cue markers in the rendered prompt view
+        this.cueMarkers = [];
+        
+        // Reading guide: eye-line marker and the line elements it highlights
+        this.guideMarker = null;
+        this.lineElements = [];
+        this.focusIndex = -1;
+        this.readingIndex = 0; // Last line found by getReadingPosition()
+        this.guideLayoutKey = '';
+        
+        // Callbacks notified whenever settings are saved
+        this.changeListeners = [];
         
-        // Resize elements
-        this.resizeHandle = null;
-        this.leftResizeHandle = null;
-        this.rightResizeHandle = null;
+        // Pointer handlers for moving, resizing and pinch-zooming the box
+        this.dragHandle = null;
+        this.dragHandler = null;
+        this.resizeHandler = null;
+        this.touchHandler = null;
         
         this.init();
     }
@@ -68,8 +110,9 @@ class ScriptComponent {
             console.log('Initializing ScriptComponent...');
             
             await this._loadSettings();
-            this._createResizeHandles();
-            this._setupResizeListeners();
+            this._setupBoxHandlers();
+            this._createReadingGuide();
+            this._setupReadingGuideInputs();
             
             console.log('ScriptComponent initialized successfully');
         } catch (error) {
@@ -112,9 +155,7 @@ class ScriptComponent {
      */
     async _loadSettings() {
         try {
-            const settings = JSON.parse(
-                localStorage.getItem(ScriptComponent.CONSTANTS.SETTINGS_KEY) || '{}'
-            );
+            const settings = SettingsStore.load();
             
             this._applySettings(settings);
             console.log('Settings loaded successfully');
@@ -151,21 +192,100 @@ class ScriptComponent {
         // Apply text properties
         if (settings.textSize) {
             this.state.currentTextSize = settings.textSize;
-            this.scriptInput.style.fontSize = `${settings.textSize}px`;
+            this._applyTextSize(settings.textSize);
         }
         if (settings.speed) {
             this.state.currentSpeed = settings.speed;
         }
+        if (settings.targetDuration) {
+            this.state.targetDuration = settings.targetDuration;
+        }
 
-        // Apply rotation state
-        if (settings.isTextRotated) {
-            this.state.isTextRotated = settings.isTextRotated;
-            if (this.state.isTextRotated) {
-                this.scriptBox.classList.add(ScriptComponent.CONSTANTS.CSS_CLASSES.ROTATED);
-            }
+        // Apply orientation (older settings only stored a 90° on/off flag)
+        if (ScriptComponent.CONSTANTS.ROTATION_STEPS.includes(settings.rotation)) {
+            this.state.rotation = settings.rotation;
+        } else if (settings.isTextRotated) {
+            this.state.rotation = 90;
+        }
+        this.state.isMirrored = !!settings.isMirrored;
+        this.state.isFlipped = !!settings.isFlipped;
+        this._applyOrientation();
+
+        // Apply the reading guide
+        if (settings.readingGuide) {
+            this.state.readingGuide = this._normalizeReadingGuide(settings.readingGuide);
+        }
+    }
+
+    /**
+     * Apply rotation, mirror and flip to the script box
+     * The whole box is transformed so the text, the resize handles and the
+     * scroll direction all stay consistent with each other
+     * @private
+     */
+    _applyOrientation() {
+        const classes = ScriptComponent.CONSTANTS.CSS_CLASSES;
+        const { rotation, isMirrored, isFlipped } = this.state;
+        
+        // Keep the default centering unless the box has been positioned explicitly
+        const centering = this.scriptBox.style.left ? '' : 'translateX(-50%) ';
+        this.scriptBox.style.transform =
+            `${centering}rotate(${rotation}deg) scale(${isMirrored ? -1 : 1}, ${isFlipped ? -1 : 1})`;
+        
+        this.scriptBox.classList.toggle(classes.ROTATED, rotation !== 0);
+        this.scriptBox.classList.toggle(classes.MIRRORED, isMirrored);
+        this.scriptBox.classList.toggle(classes.FLIPPED, isFlipped);
+        
+        // Resize cursors follow the on-screen direction of each handle
+        if (this.resizeHandler) {
+            this.resizeHandler.updateCursors();
         }
     }
 
+    /**
+     * Convert a pointer movement on screen into the script box's own coordinates
+     * @private
+     * @param {number} deltaX - Horizontal screen movement
+     * @param {number} deltaY - Vertical screen movement
+     * @returns {Object} { x, y } movement along the box's width and height
+     */
+    _toLocalDelta(deltaX, deltaY) {
+        const radians = this.state.rotation * Math.PI / 180;
+        const cos = Math.round(Math.cos(radians));
+        const sin = Math.round(Math.sin(radians));
+        
+        // Inverse rotation, then inverse mirror/flip
+        const x = cos * deltaX + sin * deltaY;
+        const y = -sin * deltaX + cos * deltaY;
+        
+        return {
+            x: this.state.isMirrored ? -x : x,
+            y: this.state.isFlipped ? -y : y
+        };
+    }
+
+    /**
+     * Convert a movement in the script box's own coordinates into screen movement
+     * @private
+     * @param {number} deltaX - Movement along the box's width
+     * @param {number} deltaY - Movement along the box's height
+     * @returns {Object} { x, y } movement on screen
+     */
+    _toScreenDelta(deltaX, deltaY) {
+        const radians = this.state.rotation * Math.PI / 180;
+        const cos = Math.round(Math.cos(radians));
+        const sin = Math.round(Math.sin(radians));
+        
+        // Mirror/flip first, then rotate (the order of the CSS transform)
+        const x = this.state.isMirrored ? -deltaX : deltaX;
+        const y = this.state.isFlipped ? -deltaY : deltaY;
+        
+        return {
+            x: cos * x - sin * y,
+            y: sin * x + cos * y
+        };
+    }
+
     /**
      * Update element position
      * @private
@@ -174,15 +294,12 @@ class ScriptComponent {
     _updateElementPosition(position) {
         if (position.left !== undefined) {
             this.scriptBox.style.left = `${position.left}px`;
-            // When positioned, remove the centering transform
-            const currentTransform = this.scriptBox.style.transform || '';
-            if (currentTransform.includes('translateX')) {
-                this.scriptBox.style.transform = this.state.isTextRotated ? 'rotate(90deg)' : 'none';
-            }
         }
         if (position.top !== undefined) {
             this.scriptBox.style.top = `${position.top}px`;
         }
+        // When positioned, the centering transform is dropped
+        this._applyOrientation();
     }
 
     /**
@@ -199,7 +316,11 @@ class ScriptComponent {
                 scriptContent: this.scriptInput.value,
                 speed: this.state.currentSpeed,
                 textSize: this.state.currentTextSize,
-                isTextRotated: this.state.isTextRotated,
+                targetDuration: this.state.targetDuration,
+                rotation: this.state.rotation,
+                isMirrored: this.state.isMirrored,
+                isFlipped: this.state.isFlipped,
+                readingGuide: { ...this.state.readingGuide },
                 width: this.scriptBox.offsetWidth,
                 height: this.scriptBox.offsetHeight,
                 position: {
@@ -209,268 +330,515 @@ class ScriptComponent {
                 }
             };
             
-            localStorage.setItem(ScriptComponent.CONSTANTS.SETTINGS_KEY, JSON.stringify(settings));
+            // Merge so settings owned by other components are kept
+            SettingsStore.update(settings);
         } catch (error) {
             console.error('Failed to save settings:', error);
         }
+        
+        this._notifyChangeListeners();
     }
 
-    // === RESIZE FUNCTIONALITY ===
-
     /**
-     * Create all resize handles for the script box
+     * Notify registered listeners that the script state changed
      * @private
      */
-    _createResizeHandles() {
-        this._createBottomResizeHandle();
-        this._createLeftResizeHandle();
-        this._createRightResizeHandle();
+    _notifyChangeListeners() {
+        const scrollState = this.getScrollState();
+        this.changeListeners.forEach(listener => {
+            try {
+                listener(scrollState);
+            } catch (error) {
+                console.error('Script change listener failed:', error);
+            }
+        });
     }
 
+    // === MOVE AND RESIZE ===
+
     /**
-     * Create the bottom resize handle for height adjustment
+     * Set up dragging, edge/corner resizing and pinch-to-zoom for the script box
      * @private
      */
-    _createBottomResizeHandle() {
-        this.resizeHandle = document.createElement('div');
-        this.resizeHandle.className = 'script-resize-handle script-resize-handle-bottom';
-        this.resizeHandle.style.cssText = `
-            position: absolute;
-            bottom: 0;
-            left: 0;
-            right: 0;
-            height: ${ScriptComponent.CONSTANTS.RESIZE.HANDLE_HEIGHT}px;
-            background: ${ScriptComponent.CONSTANTS.RESIZE.HANDLE_COLOR};
-            cursor: ns-resize;
-            border-radius: 0 0 12px 12px;
-            transition: background-color 0.2s ease;
-            z-index: 10;
-        `;
+    _setupBoxHandlers() {
+        // Drag grip along the top edge
+        this.dragHandle = document.createElement('div');
+        this.dragHandle.className = 'script-drag-handle';
+        this.dragHandle.title = 'Drag to move';
+        this.scriptBox.appendChild(this.dragHandle);
+        
+        let dragStart = null;
+        this.dragHandler = new DragHandler(this.dragHandle, {
+            onStart: () => {
+                dragStart = this._getBoxBounds();
+            },
+            onMove: (deltaX, deltaY) => {
+                // Keep the centre on screen so the box can always be grabbed again
+                this._setBoxBounds({
+                    ...dragStart,
+                    centerX: Math.max(0, Math.min(window.innerWidth, dragStart.centerX + deltaX)),
+                    centerY: Math.max(0, Math.min(window.innerHeight, dragStart.centerY + deltaY))
+                });
+            },
+            onEnd: () => {
+                this._saveSettings();
+                console.log(`Moved script box to ${this.scriptBox.style.left}, ${this.scriptBox.style.top}`);
+            }
+        });
         
-        this._addHoverEffect(this.resizeHandle);
-        this.scriptBox.appendChild(this.resizeHandle);
+        this.resizeHandler = new ResizeHandler(this.scriptBox, {
+            getBounds: () => this._getBoxBounds(),
+            setBounds: (bounds) => this._setBoxBounds(bounds),
+            getLimits: () => this._getResizeLimits(),
+            toLocalDelta: (x, y) => this._toLocalDelta(x, y),
+            toScreenDelta: (x, y) => this._toScreenDelta(x, y),
+            onEnd: (edge) => {
+                this._saveSettings();
+                console.log(`Finished resizing script box from ${edge} - New size: ${this.scriptBox.offsetWidth}x${this.scriptBox.offsetHeight}px`);
+            }
+        });
+        
+        let pinchStartSize = 0;
+        this.touchHandler = new TouchHandler(this.scriptBox, {
+            ignoreSelector: '.script-resize-handle, .script-drag-handle',
+            onPinchStart: () => {
+                pinchStartSize = this.state.currentTextSize;
+            },
+            onPinch: (scale) => {
+                const size = Math.round(Math.max(
+                    ScriptComponent.CONSTANTS.MIN_TEXT_SIZE,
+                    Math.min(ScriptComponent.CONSTANTS.MAX_TEXT_SIZE, pinchStartSize * scale)
+                ));
+                if (size !== this.state.currentTextSize) {
+                    this.state.currentTextSize = size;
+                    this._applyTextSize(size);
+                }
+            },
+            onPinchEnd: () => {
+                this._saveSettings();
+                console.log(`Text size pinched to ${this.state.currentTextSize}px`);
+            }
+        });
+        
+        this._applyOrientation();
     }
 
     /**
-     * Create the left resize handle for width adjustment
+     * Get the script box's on-screen centre and its own size
+     * The centre does not change with rotation, mirroring or flipping
      * @private
+     * @returns {Object} { centerX, centerY, width, height } relative to the positioning container
      */
-    _createLeftResizeHandle() {
-        this.leftResizeHandle = document.createElement('div');
-        this.leftResizeHandle.className = 'script-resize-handle script-resize-handle-left';
-        this.leftResizeHandle.style.cssText = `
-            position: absolute;
-            left: 0;
-            top: 0;
-            bottom: ${ScriptComponent.CONSTANTS.RESIZE.HANDLE_HEIGHT}px;
-            width: ${ScriptComponent.CONSTANTS.RESIZE.HANDLE_WIDTH}px;
-            background: ${ScriptComponent.CONSTANTS.RESIZE.HANDLE_COLOR};
-            cursor: ew-resize;
-            border-radius: 12px 0 0 0;
-            transition: background-color 0.2s ease;
-            z-index: 10;
-        `;
+    _getBoxBounds() {
+        const rect = this.scriptBox.getBoundingClientRect();
+        const container = this.scriptBox.offsetParent;
+        const containerRect = container ? container.getBoundingClientRect() : { left: 0, top: 0 };
         
-        this._addHoverEffect(this.leftResizeHandle);
-        this.scriptBox.appendChild(this.leftResizeHandle);
+        return {
+            centerX: rect.left + rect.width / 2 - containerRect.left,
+            centerY: rect.top + rect.height / 2 - containerRect.top,
+            width: this.scriptBox.offsetWidth,
+            height: this.scriptBox.offsetHeight
+        };
     }
 
     /**
-     * Create the right resize handle for width adjustment
+     * Size the script box and place it by its centre
      * @private
+     * @param {Object} bounds - { centerX, centerY, width, height }
      */
-    _createRightResizeHandle() {
-        this.rightResizeHandle = document.createElement('div');
-        this.rightResizeHandle.className = 'script-resize-handle script-resize-handle-right';
-        this.rightResizeHandle.style.cssText = `
-            position: absolute;
-            right: 0;
-            top: 0;
-            bottom: ${ScriptComponent.CONSTANTS.RESIZE.HANDLE_HEIGHT}px;
-            width: ${ScriptComponent.CONSTANTS.RESIZE.HANDLE_WIDTH}px;
-            background: ${ScriptComponent.CONSTANTS.RESIZE.HANDLE_COLOR};
-            cursor: ew-resize;
-            border-radius: 0 12px 0 0;
-            transition: background-color 0.2s ease;
-            z-index: 10;
-        `;
+    _setBoxBounds(bounds) {
+        this.scriptBox.style.width = `${Math.round(bounds.width)}px`;
+        this.scriptBox.style.height = `${Math.round(bounds.height)}px`;
         
-        this._addHoverEffect(this.rightResizeHandle);
-        this.scriptBox.appendChild(this.rightResizeHandle);
+        // left/top place the untransformed box, which is rotated about its centre
+        this._updateElementPosition({
+            left: Math.round(bounds.centerX - bounds.width / 2),
+            top: Math.round(bounds.centerY - bounds.height / 2)
+        });
     }
 
     /**
-     * Add hover effects to a resize handle
+     * Current size limits, following the window size
      * @private
-     * @param {HTMLElement} handle - The resize handle element
+     * @returns {Object} { minWidth, maxWidth, minHeight, maxHeight }
      */
-    _addHoverEffect(handle) {
-        handle.addEventListener('mouseenter', () => {
-            handle.style.background = ScriptComponent.CONSTANTS.RESIZE.HANDLE_HOVER_COLOR;
-        });
+    _getResizeLimits() {
+        const resize = ScriptComponent.CONSTANTS.RESIZE;
+        return {
+            minWidth: resize.MIN_WIDTH,
+            maxWidth: Math.max(resize.MIN_WIDTH, window.innerWidth * resize.MAX_WIDTH_RATIO),
+            minHeight: resize.MIN_HEIGHT,
+            maxHeight: Math.max(resize.MIN_HEIGHT, window.innerHeight * resize.MAX_HEIGHT_RATIO)
+        };
+    }
+
+
+    // === PROMPT VIEW ===
+
+    /**
+     * Apply font size to both the editor and the prompt view
+     * @private
+     * @param {number} size - Font size in pixels
+     */
+    _applyTextSize(size) {
+        this.scriptInput.style.fontSize = `${size}px`;
+        this.scriptDisplay.style.fontSize = `${size}px`;
+        this.guideLayoutKey = ''; // The first line's centering depends on the line height
+    }
+
+    // === READING GUIDE ===
+
+    /**
+     * Clamp stored reading guide settings to valid values
+     * @private
+     * @param {Object} guide - { enabled, position, style }
+     * @returns {Object} Valid reading guide settings
+     */
+    _normalizeReadingGuide(guide) {
+        const limits = ScriptComponent.CONSTANTS.READING_GUIDE;
+        const position = Number(guide.position);
         
-        handle.addEventListener('mouseleave', () => {
-            if (!this.state.isResizing && !this.state.isResizingWidth) {
-                handle.style.background = ScriptComponent.CONSTANTS.RESIZE.HANDLE_COLOR;
-            }
-        });
+        return {
+            enabled: !!guide.enabled,
+            position: Number.isFinite(position)
+                ? Math.max(limits.MIN_POSITION, Math.min(limits.MAX_POSITION, position))
+                : limits.DEFAULT_POSITION,
+            style: limits.STYLES.includes(guide.style) ? guide.style : limits.STYLES[0]
+        };
+    }
+
+    /**
+     * Create the eye-line marker inside the script box so it follows rotation and mirroring
+     * @private
+     */
+    _createReadingGuide() {
+        this.guideMarker = document.createElement('div');
+        this.guideMarker.className = ScriptComponent.CONSTANTS.CSS_CLASSES.GUIDE_MARKER;
+        this.guideMarker.setAttribute('aria-hidden', 'true');
+        this.scriptBox.appendChild(this.guideMarker);
+        this._applyReadingGuide();
     }
 
     /**
-     * Setup resize event listeners for all handles
+     * Bind the reading guide inputs in the settings panel, if present
      * @private
      */
-    _setupResizeListeners() {
-        // Bottom handle (height resize)
-        this.resizeHandle.addEventListener('mousedown', (e) => this._startResize(e, 'bottom'));
+    _setupReadingGuideInputs() {
+        this.guideEnabledInput = document.getElementById('readingGuideEnabledInput');
+        this.guidePositionInput = document.getElementById('readingGuidePositionInput');
+        this.guideStyleInput = document.getElementById('readingGuideStyleInput');
+        if (!this.guideEnabledInput || !this.guidePositionInput || !this.guideStyleInput) return;
         
-        // Left handle (width resize)
-        this.leftResizeHandle.addEventListener('mousedown', (e) => this._startResize(e, 'left'));
+        this.guideEnabledInput.addEventListener('change', () => {
+            this.setReadingGuide({ enabled: this.guideEnabledInput.checked });
+        });
+        this.guidePositionInput.addEventListener('change', () => {
+            this.setReadingGuide({ position: Number(this.guidePositionInput.value) / 100 });
+        });
+        this.guideStyleInput.addEventListener('change', () => {
+            this.setReadingGuide({ style: this.guideStyleInput.value });
+        });
         
-        // Right handle (width resize)
-        this.rightResizeHandle.addEventListener('mousedown', (e) => this._startResize(e, 'right'));
+        this._updateReadingGuideInputs();
+    }
+
+    /**
+     * Reflect the reading guide settings in the settings panel
+     * @private
+     */
+    _updateReadingGuideInputs() {
+        if (!this.guideEnabledInput) return;
         
-        // Global mouse events
-        document.addEventListener('mousemove', this._handleResize.bind(this));
-        document.addEventListener('mouseup', this._stopResize.bind(this));
+        const guide = this.state.readingGuide;
+        this.guideEnabledInput.checked = guide.enabled;
+        this.guidePositionInput.value = Math.round(guide.position * 100);
+        this.guideStyleInput.value = guide.style;
     }
 
     /**
-     * Start resize operation
+     * Apply the reading guide classes and reset its layout
      * @private
-     * @param {MouseEvent} e - Mouse event
-     * @param {string} direction - Resize direction ('bottom', 'left', 'right')
      */
-    _startResize(e, direction) {
-        e.preventDefault();
-        e.stopPropagation();
+    _applyReadingGuide() {
+        const classes = ScriptComponent.CONSTANTS.CSS_CLASSES;
+        const guide = this.state.readingGuide;
         
-        this.state.resizeDirection = direction;
+        this.scriptBox.classList.toggle(classes.READING_GUIDE, guide.enabled);
+        if (this.guideMarker) {
+            this.guideMarker.dataset.style = guide.style;
+        }
         
-        if (direction === 'bottom') {
-            this.state.isResizing = true;
-            this.state.initialHeight = this.scriptBox.offsetHeight;
-            this.state.initialMouseY = e.clientY;
-            document.body.style.cursor = 'ns-resize';
-        } else {
-            this.state.isResizingWidth = true;
-            this.state.initialWidth = this.scriptBox.offsetWidth;
-            this.state.initialMouseX = e.clientX;
-            document.body.style.cursor = 'ew-resize';
+        if (!guide.enabled) {
+            this.scriptDisplay.style.paddingTop = '';
+            this.scriptDisplay.style.paddingBottom = '';
+            this._setFocusLine(-1);
         }
+        this.guideLayoutKey = '';
+        this._layoutReadingGuide();
+    }
+
+    /**
+     * Get the eye line's distance from the top of the visible prompt view
+     * Cues fire here, and with the guide on the script ends when its last line reaches it
+     * @private
+     * @returns {number} Offset in pixels
+     */
+    _getGuideOffset() {
+        const ratio = this.state.readingGuide.enabled
+            ? this.state.readingGuide.position
+            : ScriptComponent.CONSTANTS.CUE_TRIGGER_RATIO;
+        return this.scriptDisplay.clientHeight * ratio;
+    }
+
+    /**
+     * Pad the prompt view so the first and last lines can reach the eye line, and place the marker
+     * Only touches the layout when the box size, text size or guide settings changed
+     * @private
+     */
+    _layoutReadingGuide() {
+        if (!this.state.readingGuide.enabled || !this.state.isScrolling) return;
         
-        // Add visual feedback
-        document.body.style.userSelect = 'none';
+        const guideOffset = this._getGuideOffset();
+        const clientHeight = this.scriptDisplay.clientHeight;
+        const layoutKey = `${clientHeight}:${guideOffset}:${this.state.currentTextSize}`;
+        if (layoutKey === this.guideLayoutKey) return;
+        this.guideLayoutKey = layoutKey;
         
-        // Highlight the active handle
-        const activeHandle = direction === 'bottom' ? this.resizeHandle : 
-                           direction === 'left' ? this.leftResizeHandle : this.rightResizeHandle;
-        activeHandle.style.background = ScriptComponent.CONSTANTS.RESIZE.HANDLE_HOVER_COLOR;
+        const minPadding = ScriptComponent.CONSTANTS.READING_GUIDE.MIN_PADDING;
+        const lineHeight = parseFloat(window.getComputedStyle(this.scriptDisplay).lineHeight) || this.state.currentTextSize;
         
-        console.log(`Started resizing script box from ${direction} side`);
+        // Keep the reading position stable while the padding above it changes
+        const previousPadding = parseFloat(this.scriptDisplay.style.paddingTop) || minPadding;
+        const paddingTop = Math.max(minPadding, guideOffset - lineHeight / 2);
+        this.scriptDisplay.style.paddingTop = `${paddingTop}px`;
+        this.scriptDisplay.style.paddingBottom = `${Math.max(minPadding, clientHeight - guideOffset)}px`;
+        this.scrollOffset = Math.max(0, this.scrollOffset + paddingTop - previousPadding);
+        this.scriptDisplay.scrollTop = this.scrollOffset;
+        
+        this.guideMarker.style.top = `${this.scriptDisplay.offsetTop + guideOffset}px`;
     }
 
     /**
-     * Handle resize operation
+     * Highlight the line crossing the eye line and dim the rest
      * @private
-     * @param {MouseEvent} e - Mouse event
      */
-    _handleResize(e) {
-        if (!this.state.isResizing && !this.state.isResizingWidth) return;
+    _updateFocusLine() {
+        if (!this.state.readingGuide.enabled || this.lineElements.length === 0) return;
         
-        e.preventDefault();
+        const guideY = this.scriptDisplay.scrollTop + this._getGuideOffset();
+        this._setFocusLine(this._findLineAt(guideY, this.focusIndex));
+    }
+
+    /**
+     * Find the prompt line at a content offset
+     * @private
+     * @param {number} offset - Offset in pixels from the top of the content
+     * @param {number} [fromIndex=0] - Line to start looking from
+     * @returns {number} Line index
+     */
+    _findLineAt(offset, fromIndex = 0) {
+        let index = Math.max(0, Math.min(fromIndex, this.lineElements.length - 1));
         
-        if (this.state.isResizing && this.state.resizeDirection === 'bottom') {
-            this._handleHeightResize(e);
-        } else if (this.state.isResizingWidth) {
-            this._handleWidthResize(e);
+        // Lines only move a little per frame, so walk from the last known line
+        while (index > 0 && this.lineElements[index].offsetTop > offset) {
+            index--;
+        }
+        while (index < this.lineElements.length - 1 && this.lineElements[index + 1].offsetTop <= offset) {
+            index++;
         }
+        return index;
     }
 
     /**
-     * Handle height resizing
+     * Move the focus highlight to a line
      * @private
-     * @param {MouseEvent} e - Mouse event
+     * @param {number} index - Line index, -1 for none
      */
-    _handleHeightResize(e) {
-        const deltaY = e.clientY - this.state.initialMouseY;
-        const newHeight = Math.max(
-            ScriptComponent.CONSTANTS.RESIZE.MIN_HEIGHT,
-            Math.min(
-                ScriptComponent.CONSTANTS.RESIZE.MAX_HEIGHT,
-                this.state.initialHeight + deltaY
-            )
-        );
+    _setFocusLine(index) {
+        if (index === this.focusIndex) return;
         
-        this.scriptBox.style.height = `${newHeight}px`;
+        const focusClass = ScriptComponent.CONSTANTS.CSS_CLASSES.FOCUS_LINE;
+        if (this.lineElements[this.focusIndex]) {
+            this.lineElements[this.focusIndex].classList.remove(focusClass);
+        }
+        if (this.lineElements[index]) {
+            this.lineElements[index].classList.add(focusClass);
+        }
+        this.focusIndex = index;
+    }
+
+    /**
+     * Get the scroll position at which the script counts as finished
+     * Without the guide that is the bottom of the view; with it, when the last line reaches the eye line
+     * @private
+     * @returns {number} Scroll offset in pixels
+     */
+    _getScrollEnd() {
+        const maxScroll = this.scriptDisplay.scrollHeight - this.scriptDisplay.clientHeight;
+        const lastLine = this.lineElements[this.lineElements.length - 1];
+        if (!this.state.readingGuide.enabled || !lastLine) {
+            return maxScroll;
+        }
         
-        // Update the script input height to match (accounting for resize handle)
-        const inputHeight = newHeight - ScriptComponent.CONSTANTS.RESIZE.HANDLE_HEIGHT;
-        this.scriptInput.style.height = `${inputHeight}px`;
+        const contentEnd = lastLine.offsetTop + lastLine.offsetHeight;
+        return Math.max(0, Math.min(maxScroll, contentEnd - this._getGuideOffset()));
     }
 
     /**
-     * Handle width resizing
+     * Render the script markup into the prompt view, hiding cue syntax
      * @private
-     * @param {MouseEvent} e - Mouse event
      */
-    _handleWidthResize(e) {
-        const deltaX = e.clientX - this.state.initialMouseX;
-        let newWidth;
+    _renderPromptView() {
+        const classes = ScriptComponent.CONSTANTS.CSS_CLASSES;
+        const lines = ScriptMarkupParser.parse(this.scriptInput.value);
         
-        if (this.state.resizeDirection === 'right') {
-            // Resizing from right side - increase width with mouse movement to the right
-            newWidth = this.state.initialWidth + deltaX;
-        } else {
-            // Resizing from left side - increase width with mouse movement to the left
-            // For simplicity, we'll just change width without adjusting position
-            newWidth = this.state.initialWidth - deltaX;
-        }
-        
-        // Apply width constraints
-        newWidth = Math.max(
-            ScriptComponent.CONSTANTS.RESIZE.MIN_WIDTH,
-            Math.min(
-                ScriptComponent.CONSTANTS.RESIZE.MAX_WIDTH,
-                newWidth
-            )
-        );
+        this.scriptDisplay.innerHTML = '';
         
-        this.scriptBox.style.width = `${newWidth}px`;
+        lines.forEach(line => {
+            const lineElement = document.createElement('div');
+            lineElement.className = line.type === 'heading' ? classes.HEADING : classes.LINE;
+            
+            line.tokens.forEach(token => {
+                lineElement.appendChild(this._createTokenElement(token));
+            });
+            
+            // Keep empty lines at full line height
+            if (!lineElement.textContent) {
+                lineElement.appendChild(document.createElement('br'));
+            }
+            
+            this.scriptDisplay.appendChild(lineElement);
+        });
+        
+        this.lineElements = Array.from(this.scriptDisplay.children);
+        this.focusIndex = -1;
+        this.readingIndex = 0;
+        
+        this.cueMarkers = Array.from(this.scriptDisplay.querySelectorAll(`.${classes.CUE}`)).map(element => ({
+            type: element.dataset.cueType,
+            value: parseFloat(element.dataset.cueValue),
+            element: element,
+            fired: false
+        }));
     }
 
     /**
-     * Stop resize operation
+     * Create the DOM node for a parsed token
      * @private
-     * @param {MouseEvent} e - Mouse event
+     * @param {Object} token - Token from ScriptMarkupParser
+     * @returns {Node} The rendered node
      */
-    _stopResize(e) {
-        if (!this.state.isResizing && !this.state.isResizingWidth) return;
+    _createTokenElement(token) {
+        const classes = ScriptComponent.CONSTANTS.CSS_CLASSES;
         
-        const wasResizing = this.state.isResizing || this.state.isResizingWidth;
-        const direction = this.state.resizeDirection;
-        
-        // Reset state
-        this.state.isResizing = false;
-        this.state.isResizingWidth = false;
-        this.state.resizeDirection = null;
+        if (token.type === 'text') {
+            if (!token.emphasis) {
+                return document.createTextNode(token.text);
+            }
+            const emphasis = document.createElement('em');
+            emphasis.className = classes.EMPHASIS;
+            emphasis.textContent = token.text;
+            return emphasis;
+        }
         
-        // Remove visual feedback
-        document.body.style.cursor = '';
-        document.body.style.userSelect = '';
+        // Cues are invisible markers used to trigger pauses and speed changes
+        const cue = document.createElement('span');
+        cue.className = classes.CUE;
+        cue.dataset.cueType = token.type;
+        cue.dataset.cueValue = token.type === 'pause' ? token.seconds : token.speed;
+        return cue;
+    }
+
+    /**
+     * Get the position in the prompt view at which cues are triggered
+     * @private
+     * @returns {number} Offset in pixels from the top of the content
+     */
+    _getCueTriggerOffset() {
+        return this.scriptDisplay.scrollTop + this._getGuideOffset();
+    }
+
+    /**
+     * Fire cues that have scrolled past the trigger position
+     * @private
+     * @param {boolean} [silent=false] - Only apply speed changes, skip pauses (used when resuming mid-script)
+     */
+    _processCues(silent = false) {
+        const triggerOffset = this._getCueTriggerOffset();
         
-        // Reset handle colors
-        this.resizeHandle.style.background = ScriptComponent.CONSTANTS.RESIZE.HANDLE_COLOR;
-        this.leftResizeHandle.style.background = ScriptComponent.CONSTANTS.RESIZE.HANDLE_COLOR;
-        this.rightResizeHandle.style.background = ScriptComponent.CONSTANTS.RESIZE.HANDLE_COLOR;
+        this.cueMarkers.forEach(cue => {
+            // Read the offset live so text size and box resizes are respected
+            if (cue.fired || cue.element.offsetTop > triggerOffset) return;
+            
+            cue.fired = true;
+            if (cue.type === 'speed') {
+                this.state.cueSpeed = cue.value;
+                console.log(`Cue: speed ${cue.value} px/s`);
+            } else if (cue.type === 'pause' && !silent) {
+                this.state.pauseUntil = performance.now() + cue.value * 1000;
+                console.log(`Cue: pause ${cue.value}s`);
+            }
+        });
+    }
+
+    /**
+     * Copy the scroll position between views, keeping the same relative progress
+     * @private
+     * @param {HTMLElement} from - Element to read the position from
+     * @param {HTMLElement} to - Element to apply the position to
+     */
+    _syncScrollPosition(from, to) {
+        const fromRange = from.scrollHeight - from.clientHeight;
+        const toRange = to.scrollHeight - to.clientHeight;
+        const progress = fromRange > 0 ? from.scrollTop / fromRange : 0;
+        to.scrollTop = progress * Math.max(0, toRange);
+    }
+
+    /**
+     * Get the speed currently used for scrolling, including cue overrides
+     * @returns {number} Speed in pixels per second
+     */
+    getEffectiveSpeed() {
+        if (this.state.isScrolling && this.state.targetDuration) {
+            return this._getTargetSpeed(performance.now());
+        }
+        return this.state.cueSpeed !== null ? this.state.cueSpeed : this.state.currentSpeed;
+    }
+
+    /**
+     * Compute the speed needed to reach the end by the target time
+     * Re-evaluated every frame so resizes and text size changes are corrected for
+     * @private
+     * @param {number} now - Current timestamp
+     * @returns {number} Speed in pixels per second
+     */
+    _getTargetSpeed(now) {
+        const remainingDistance = this._getScrollEnd() - this.scrollOffset;
+        const remainingSeconds = (this.state.targetEndTime - now) / 1000 - this._getRemainingPauseSeconds(now);
         
-        // Save the new size
-        if (wasResizing) {
-            this._saveSettings();
-            console.log(`Finished resizing script box from ${direction} side - New size: ${this.scriptBox.offsetWidth}x${this.scriptBox.offsetHeight}px`);
+        if (remainingSeconds <= 0) {
+            return ScriptComponent.CONSTANTS.MAX_TARGET_SPEED;
         }
+        
+        return Math.max(
+            ScriptComponent.CONSTANTS.MIN_TARGET_SPEED,
+            Math.min(ScriptComponent.CONSTANTS.MAX_TARGET_SPEED, remainingDistance / remainingSeconds)
+        );
     }
 
+    /**
+     * Total pause time still ahead, including the rest of an active pause
+     * @private
+     * @param {number} now - Current timestamp
+     * @returns {number} Seconds
+     */
+    _getRemainingPauseSeconds(now) {
+        const activePause = Math.max(0, this.state.pauseUntil - now) / 1000;
+        return this.cueMarkers
+            .filter(cue => cue.type === 'pause' && !cue.fired)
+            .reduce((total, cue) => total + cue.value, activePause);
+    }
 
     // === PUBLIC API METHODS ===
 
@@ -481,24 +849,65 @@ class ScriptComponent {
         if (this.state.isScrolling) return;
         
         this.state.isScrolling = true;
+        this.state.cueSpeed = null;
+        this.state.pauseUntil = 0;
+        
+        // Switch from the editor to the rendered prompt view
+        this._renderPromptView();
         this.scriptBox.classList.add(ScriptComponent.CONSTANTS.CSS_CLASSES.SCROLLING);
+        this._syncScrollPosition(this.scriptInput, this.scriptDisplay);
+        this.scrollOffset = this.scriptDisplay.scrollTop;
+        this.guideLayoutKey = '';
+        this._layoutReadingGuide();
+        this._processCues(true);
+        this._updateFocusLine();
+        
+        if (this.state.targetDuration) {
+            this.state.targetEndTime = performance.now() + this.state.targetDuration * 1000;
+        }
+        
+        this._startScrollAnimation();
+    }
+
+    /**
+     * Run the scroll animation loop from the current position
+     * @private
+     */
+    _startScrollAnimation() {
+        this.lastFrameTime = performance.now();
         
-        const startScrollAnimation = () => {
-            if (!this.state.isScrolling) return;
+        const startScrollAnimation = (timestamp) => {
+            if (!this.state.isScrolling || this.state.isScrollPaused) return;
             
-            const currentScroll = this.scriptInput.scrollTop;
-            const scrollHeight = this.scriptInput.scrollHeight;
-            const clientHeight = this.scriptInput.clientHeight;
+            // Advance by elapsed time so the pace is independent of the display refresh rate
+            const elapsedMs = Math.min(
+                timestamp - this.lastFrameTime,
+                ScriptComponent.CONSTANTS.MAX_FRAME_DELTA_MS
+            );
+            this.lastFrameTime = timestamp;
+            
+            // Follow box resizes and text size changes
+            this._layoutReadingGuide();
+            
+            // Pick up manual scrolling or layout changes that moved the view
+            if (Math.abs(this.scriptDisplay.scrollTop - this.scrollOffset) >= 1) {
+                this.scrollOffset = this.scriptDisplay.scrollTop;
+            }
             
-            if (currentScroll + clientHeight >= scrollHeight) {
+            if (this.scrollOffset >= this._getScrollEnd()) {
                 this.stopScroll();
                 return;
             }
             
-            const pixelsPerSecond = this.state.currentSpeed;
-            const pixelsPerFrame = pixelsPerSecond / ScriptComponent.CONSTANTS.ANIMATION_FPS;
+            this._processCues();
+            this._updateFocusLine();
             
-            this.scriptInput.scrollTop += pixelsPerFrame;
+            if (timestamp >= this.state.pauseUntil && elapsedMs > 0) {
+                const pixelsPerSecond = this.getEffectiveSpeed() * this.state.speedFactor;
+                
+                this.scrollOffset += pixelsPerSecond * elapsedMs / 1000;
+                this.scriptDisplay.scrollTop = this.scrollOffset;
+            }
             
             this.scrollAnimation = requestAnimationFrame(startScrollAnimation);
         };
@@ -506,17 +915,64 @@ class ScriptComponent {
         this.scrollAnimation = requestAnimationFrame(startScrollAnimation);
     }
 
+    /**
+     * Pause scrolling while keeping the prompt view and cue state
+     */
+    pauseScroll() {
+        if (!this.state.isScrolling || this.state.isScrollPaused) return;
+        
+        this.state.isScrollPaused = true;
+        this.state.pausedAt = performance.now();
+        
+        if (this.scrollAnimation) {
+            cancelAnimationFrame(this.scrollAnimation);
+            this.scrollAnimation = null;
+        }
+    }
+
+    /**
+     * Resume a paused scroll from where it stopped
+     */
+    resumeScroll() {
+        if (!this.state.isScrolling || !this.state.isScrollPaused) return;
+        
+        // Time spent paused does not count against cue pauses or the duration target
+        const pausedMs = performance.now() - this.state.pausedAt;
+        if (this.state.pauseUntil) {
+            this.state.pauseUntil += pausedMs;
+        }
+        if (this.state.targetEndTime) {
+            this.state.targetEndTime += pausedMs;
+        }
+        
+        this.state.isScrollPaused = false;
+        this.state.pausedAt = 0;
+        this._startScrollAnimation();
+    }
+
     /**
      * Stop scrolling the script text
      */
     stopScroll() {
+        const wasScrolling = this.state.isScrolling;
+        
         this.state.isScrolling = false;
-        this.scriptBox.classList.remove(ScriptComponent.CONSTANTS.CSS_CLASSES.SCROLLING);
+        this.state.isScrollPaused = false;
+        this.state.pausedAt = 0;
+        this.state.cueSpeed = null;
+        this.state.pauseUntil = 0;
         
         if (this.scrollAnimation) {
             cancelAnimationFrame(this.scrollAnimation);
             this.scrollAnimation = null;
         }
+        
+        // Return to the editable text at the same place
+        if (wasScrolling) {
+            this._syncScrollPosition(this.scriptDisplay, this.scriptInput);
+        }
+        this.scriptBox.classList.remove(ScriptComponent.CONSTANTS.CSS_CLASSES.SCROLLING);
+        this._setFocusLine(-1);
     }
 
     /**
@@ -533,31 +989,117 @@ class ScriptComponent {
      */
     setSpeed(speed) {
         this.state.currentSpeed = speed;
+        this.state.cueSpeed = null; // A manual change overrides any cue speed
+        this._saveSettings();
+    }
+
+    /**
+     * Set a target duration for the whole scroll, or clear it
+     * @param {number|null} seconds - Duration in seconds, or null to scroll at the set speed
+     */
+    setTargetDuration(seconds) {
+        this.state.targetDuration = seconds > 0 ? seconds : null;
+        
+        // Apply immediately when changed mid-scroll
+        if (this.state.isScrolling && this.state.targetDuration) {
+            this.state.targetEndTime = performance.now() + this.state.targetDuration * 1000;
+        }
+        
+        this._saveSettings();
+    }
+
+    /**
+     * Scale the scroll speed without changing the saved speed
+     * In duration-targeted mode time lost to a lower factor is made up once it returns to 1
+     * @param {number} factor - Multiplier from 0 to 1
+     */
+    setSpeedFactor(factor) {
+        this.state.speedFactor = Math.max(0, Math.min(1, factor));
+    }
+
+    /**
+     * Change the reading guide (eye-line marker with focus highlighting)
+     * @param {Object} changes - Any of { enabled, position (fraction of the height), style ('arrow' or 'line') }
+     */
+    setReadingGuide(changes) {
+        this.state.readingGuide = this._normalizeReadingGuide({ ...this.state.readingGuide, ...changes });
+        this._applyReadingGuide();
+        
+        // The guide line also moves where cues fire and where the script ends
+        if (this.state.isScrolling) {
+            this._updateFocusLine();
+        }
+        
+        this._updateReadingGuideInputs();
         this._saveSettings();
     }
 
+    /**
+     * Get the reading guide settings
+     * @returns {Object} { enabled, position, style }
+     */
+    getReadingGuide() {
+        return { ...this.state.readingGuide };
+    }
+
+    /**
+     * Get the target duration
+     * @returns {number|null} Duration in seconds, or null when not set
+     */
+    getTargetDuration() {
+        return this.state.targetDuration;
+    }
+
     /**
      * Set text size
      * @param {number} size - Font size in pixels
      */
     setTextSize(size) {
         this.state.currentTextSize = size;
-        this.scriptInput.style.fontSize = `${size}px`;
+        this._applyTextSize(size);
+        
         this._saveSettings();
     }
 
     /**
-     * Toggle text rotation
+     * Rotate the text to the next 90° step (0 → 90 → 180 → 270 → 0)
      */
     toggleRotation() {
-        this.state.isTextRotated = !this.state.isTextRotated;
-        
-        if (this.state.isTextRotated) {
-            this.scriptBox.classList.add(ScriptComponent.CONSTANTS.CSS_CLASSES.ROTATED);
-        } else {
-            this.scriptBox.classList.remove(ScriptComponent.CONSTANTS.CSS_CLASSES.ROTATED);
+        const steps = ScriptComponent.CONSTANTS.ROTATION_STEPS;
+        const nextIndex = (steps.indexOf(this.state.rotation) + 1) % steps.length;
+        this.setRotation(steps[nextIndex]);
+    }
+
+    /**
+     * Set text rotation
+     * @param {number} degrees - 0, 90, 180 or 270
+     */
+    setRotation(degrees) {
+        if (!ScriptComponent.CONSTANTS.ROTATION_STEPS.includes(degrees)) {
+            console.warn('Unsupported rotation:', degrees);
+            return;
         }
         
+        this.state.rotation = degrees;
+        this._applyOrientation();
+        this._saveSettings();
+    }
+
+    /**
+     * Toggle horizontal mirroring
+     */
+    toggleMirror() {
+        this.state.isMirrored = !this.state.isMirrored;
+        this._applyOrientation();
+        this._saveSettings();
+    }
+
+    /**
+     * Toggle vertical flipping
+     */
+    toggleFlip() {
+        this.state.isFlipped = !this.state.isFlipped;
+        this._applyOrientation();
         this._saveSettings();
     }
 
@@ -574,7 +1116,7 @@ class ScriptComponent {
      * @returns {boolean} True if text is rotated
      */
     isTextRotated() {
-        return this.state.isTextRotated;
+        return this.state.rotation !== 0;
     }
 
     /**
@@ -610,6 +1152,69 @@ class ScriptComponent {
         return this.scriptInput.value;
     }
 
+    /**
+     * Get current scroll offset of the script
+     * @returns {number} Scroll offset in pixels
+     */
+    getScrollPosition() {
+        return this.scriptInput.scrollTop;
+    }
+
+    /**
+     * Set scroll offset of the script
+     * @param {number} position - Scroll offset in pixels
+     */
+    setScrollPosition(position) {
+        this.scriptInput.scrollTop = position;
+    }
+
+    /**
+     * Get the plain text of each prompt line, without cue markup
+     * Line indexes match getReadingPosition()
+     * @returns {string[]} One entry per script line
+     */
+    getPromptLines() {
+        return ScriptMarkupParser.toPlainText(this.scriptInput.value).split('\n');
+    }
+
+    /**
+     * Get the part of the script at the eye line
+     * @returns {Object|null} { line, progress } with progress 0-1 through the line, or null when not scrolling
+     */
+    getReadingPosition() {
+        if (!this.state.isScrolling || this.lineElements.length === 0) return null;
+        
+        const guideY = this.scriptDisplay.scrollTop + this._getGuideOffset();
+        this.readingIndex = this._findLineAt(guideY, this.readingIndex);
+        
+        const element = this.lineElements[this.readingIndex];
+        const progress = element.offsetHeight > 0 ? (guideY - element.offsetTop) / element.offsetHeight : 0;
+        return { line: this.readingIndex, progress: Math.max(0, Math.min(1, progress)) };
+    }
+
+    /**
+     * Move the script by a number of pixels, in the prompt view while scrolling
+     * @param {number} pixels - Distance to move, negative to move back
+     */
+    nudgeScroll(pixels) {
+        if (this.state.isScrolling) {
+            const maxOffset = this.scriptDisplay.scrollHeight - this.scriptDisplay.clientHeight;
+            this.scrollOffset = Math.max(0, Math.min(maxOffset, this.scrollOffset + pixels));
+            this.scriptDisplay.scrollTop = this.scrollOffset;
+            this._updateFocusLine(); // The animation loop is not running while paused
+        } else {
+            this.scriptInput.scrollTop += pixels;
+        }
+    }
+
+    /**
+     * Register a callback invoked whenever script settings change
+     * @param {Function} listener - Receives the current scroll state
+     */
+    addChangeListener(listener) {
+        this.changeListeners.push(listener);
+    }
+
     /**
      * Get scroll state for controls component
      * @returns {Object} Scroll state object
@@ -617,9 +1222,14 @@ class ScriptComponent {
     getScrollState() {
         return {
             isScrolling: this.state.isScrolling,
-            isTextRotated: this.state.isTextRotated,
+            isScrollPaused: this.state.isScrollPaused,
+            isTextRotated: this.state.rotation !== 0,
+            rotation: this.state.rotation,
+            isMirrored: this.state.isMirrored,
+            isFlipped: this.state.isFlipped,
             currentSpeed: this.state.currentSpeed,
-            currentTextSize: this.state.currentTextSize
+            currentTextSize: this.state.currentTextSize,
+            targetDuration: this.state.targetDuration
         };
     }
 
@@ -636,4 +1246,18 @@ class ScriptComponent {
     stopScrolling() {
         this.stopScroll();
     }
+
+    /**
+     * Pause scrolling (public method)
+     */
+    pauseScrolling() {
+        this.pauseScroll();
+    }
+
+    /**
+     * Resume scrolling (public method)
+     */
+    resumeScrolling() {
+        this.resumeScroll();
+    }
 }
@@ -0,0 +1,460 @@
+/**
+ * ScriptImporter - Converts script files into prompter text
+ *
+ * Supported files:
+ *   .txt            plain text (UTF-8, UTF-16 or Windows-1252)
+ *   .md             Markdown, reduced to plain text with # headings and *emphasis* kept
+ *   .srt / .vtt     subtitles, with numbers, timestamps and styling removed
+ *   .docx           Word documents, text extracted in the browser
+ */
+class ScriptImporter {
+    static CONSTANTS = {
+        MAX_FILE_SIZE: 20 * 1024 * 1024,
+        FORMATS: {
+            txt: 'text',
+            text: 'text',
+            md: 'markdown',
+            markdown: 'markdown',
+            srt: 'subtitles',
+            vtt: 'subtitles',
+            docx: 'docx'
+        },
+        ACCEPT: '.txt,.text,.md,.markdown,.srt,.vtt,.docx',
+        SUBTITLE_PARAGRAPH_GAP: 2, // Seconds of silence between subtitles that start a new paragraph
+        WORD_NAMESPACE: 'http://schemas.openxmlformats.org/wordprocessingml/2006/main',
+        DOCX_DOCUMENT: 'word/document.xml'
+    };
+
+    /**
+     * Check if a file looks importable from its name
+     * @param {File} file - Candidate file
+     * @returns {boolean} True if the extension is supported
+     */
+    static isSupported(file) {
+        return !!ScriptImporter._getFormat(file.name);
+    }
+
+    /**
+     * Read a file and convert it into script text
+     * @param {File} file - File to import
+     * @returns {Promise<Object>} { title, content }
+     * @throws {Error} With a message that can be shown to the user
+     */
+    static async importFile(file) {
+        const format = ScriptImporter._getFormat(file.name);
+        if (!format) {
+            const lower = file.name.toLowerCase();
+            if (lower.endsWith('.doc') || lower.endsWith('.rtf') || lower.endsWith('.pages')) {
+                throw new Error(`"${file.name}" is not supported. Save it as .docx or .txt and import that instead.`);
+            }
+            throw new Error(`"${file.name}" is not a supported file type. Use .txt, .md, .srt, .vtt or .docx.`);
+        }
+        if (file.size > ScriptImporter.CONSTANTS.MAX_FILE_SIZE) {
+            throw new Error(`"${file.name}" is too large to import as a script.`);
+        }
+
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        let content;
+
+        switch (format) {
+            case 'markdown':
+                content = ScriptImporter.markdownToScript(ScriptImporter._decodeText(bytes, file.name));
+                break;
+            case 'subtitles':
+                content = ScriptImporter.subtitlesToScript(ScriptImporter._decodeText(bytes, file.name));
+                break;
+            case 'docx':
+                content = await ScriptImporter.docxToScript(bytes, file.name);
+                break;
+            default:
+                content = ScriptImporter._tidy(ScriptImporter._decodeText(bytes, file.name));
+        }
+
+        if (!content.trim()) {
+            throw new Error(`No text was found in "${file.name}".`);
+        }
+
+        return {
+            title: file.name.replace(/\.[^.]+$/, ''),
+            content: content
+        };
+    }
+
+    /**
+     * Get the import format from a file name
+     * @private
+     * @param {string} name - File name
+     * @returns {string|null} Format key, or null if unsupported
+     */
+    static _getFormat(name) {
+        const match = String(name || '').toLowerCase().match(/\.([a-z0-9]+)$/);
+        return match ? ScriptImporter.CONSTANTS.FORMATS[match[1]] || null : null;
+    }
+
+    /**
+     * Decode text, detecting the byte-order mark and falling back to Windows-1252
+     * @private
+     * @param {Uint8Array} bytes - File contents
+     * @param {string} name - File name for error messages
+     * @returns {string} Decoded text
+     * @throws {Error} If the file looks binary
+     */
+    static _decodeText(bytes, name) {
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return new TextDecoder('utf-16le').decode(bytes);
+        }
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return new TextDecoder('utf-16be').decode(bytes);
+        }
+
+        // NUL bytes do not occur in text files, so this is a renamed binary file
+        if (bytes.includes(0)) {
+            throw new Error(`"${name}" does not look like a text file. It may be damaged or saved in another format.`);
+        }
+
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (error) {
+            // Older editors on Windows save in the ANSI code page
+            return new TextDecoder('windows-1252').decode(bytes);
+        }
+    }
+
+    /**
+     * Normalize line endings and collapse runs of blank lines
+     * @private
+     * @param {string} text - Text to tidy
+     * @returns {string} Tidy text
+     */
+    static _tidy(text) {
+        return text
+            .replace(/^﻿/, '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/[ \t]+$/gm, '')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    // === MARKDOWN ===
+
+    /**
+     * Convert Markdown into prompter text
+     * Headings stay as "# Heading", bold and italic become *emphasis*, and links,
+     * images, code, tables and HTML are reduced to their readable text
+     * @param {string} markdown - Markdown source
+     * @returns {string} Script text
+     */
+    static markdownToScript(markdown) {
+        let text = ScriptImporter._tidy(markdown);
+
+        // Front matter block at the very top
+        text = text.replace(/^---\n[\s\S]*?\n---\n/, '');
+
+        const lines = [];
+        let inCodeBlock = false;
+
+        text.split('\n').forEach(line => {
+            // Keep code block contents as plain lines, drop the fences
+            if (/^\s*(```|~~~)/.test(line)) {
+                inCodeBlock = !inCodeBlock;
+                return;
+            }
+            if (inCodeBlock) {
+                lines.push(line);
+                return;
+            }
+
+            // Horizontal rules and setext heading underlines
+            if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line) || /^\s*=+\s*$/.test(line)) {
+                lines.push('');
+                return;
+            }
+            // Table separator rows
+            if (/^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)+\|?\s*$/.test(line)) {
+                return;
+            }
+
+            const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (heading) {
+                lines.push(`${heading[1]} ${ScriptImporter._markdownInline(heading[2]).replace(/\*/g, '')}`);
+                return;
+            }
+
+            let content = line
+                .replace(/^\s*>\s?/, '') // Blockquotes
+                .replace(/^\s*[-*+]\s+\[[ xX]\]\s+/, '• ') // Task list items
+                .replace(/^\s*[-*+]\s+/, '• ') // Bullets
+                .replace(/^\s*(\d+)[.)]\s+/, '$1. '); // Numbered items
+
+            // Table rows become cells separated by spaces
+            if (/^\s*\|.*\|\s*$/.test(content)) {
+                content = content.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim()).join('   ');
+            }
+
+            lines.push(ScriptImporter._markdownInline(content));
+        });
+
+        return ScriptImporter._tidy(lines.join('\n'));
+    }
+
+    /**
+     * Convert inline Markdown
+     * @private
+     * @param {string} text - One line
+     * @returns {string} Plain text with *emphasis*
+     */
+    static _markdownInline(text) {
+        return text
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // Images keep their alt text
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // Links keep their text
+            .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1') // Reference links
+            .replace(/<\/?[a-z][^>]*>/gi, '') // Inline HTML
+            .replace(/`([^`]+)`/g, '$1') // Inline code
+            .replace(/(\*\*\*|___)(?=\S)(.+?)(?<=\S)\1/g, '*$2*') // Bold italics
+            .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '*$2*') // Bold
+            .replace(/(^|[^\w*])_(?=\S)(.+?)(?<=\S)_(?!\w)/g, '$1*$2*') // Underscore italics
+            .replace(/~~(.+?)~~/g, '$1') // Strikethrough
+            .replace(/\\([\\`*_{}[\]()#+\-.!|>])/g, '$1'); // Escapes
+    }
+
+    // === SUBTITLES ===
+
+    /**
+     * Convert SRT or WebVTT subtitles into prompter text
+     * Subtitles are joined into sentences, with a new paragraph after a pause in the speech
+     * @param {string} subtitles - Subtitle file contents
+     * @returns {string} Script text
+     * @throws {Error} If no subtitle timings are found
+     */
+    static subtitlesToScript(subtitles) {
+        const blocks = ScriptImporter._tidy(subtitles).split(/\n\s*\n/);
+        const paragraphs = [];
+        let current = [];
+        let lastEnd = null;
+        let lastLine = '';
+        let cueCount = 0;
+
+        blocks.forEach(block => {
+            const lines = block.split('\n');
+            const timingIndex = lines.findIndex(line => line.includes('-->'));
+            // Skips the WEBVTT header and NOTE, STYLE and REGION blocks
+            if (timingIndex === -1) return;
+
+            cueCount++;
+            const [start, end] = lines[timingIndex].split('-->').map(part => ScriptImporter._parseTimestamp(part));
+
+            if (lastEnd !== null && start !== null && start - lastEnd >= ScriptImporter.CONSTANTS.SUBTITLE_PARAGRAPH_GAP && current.length) {
+                paragraphs.push(current.join(' '));
+                current = [];
+            }
+            if (end !== null) {
+                lastEnd = end;
+            }
+
+            lines.slice(timingIndex + 1).forEach(line => {
+                const text = ScriptImporter._stripSubtitleMarkup(line);
+                // Roll-up captions repeat the previous line
+                if (text && text !== lastLine) {
+                    current.push(text);
+                    lastLine = text;
+                }
+            });
+        });
+
+        if (cueCount === 0) {
+            throw new Error('No subtitle timings were found. The file may be damaged or not a subtitle file.');
+        }
+        if (current.length) {
+            paragraphs.push(current.join(' '));
+        }
+
+        return paragraphs.join('\n\n');
+    }
+
+    /**
+     * Parse an SRT or VTT timestamp
+     * @private
+     * @param {string} value - e.g. "00:01:02,500" or "01:02.500 align:start"
+     * @returns {number|null} Seconds, or null if unreadable
+     */
+    static _parseTimestamp(value) {
+        const match = String(value).trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})[.,](\d{1,3})/);
+        if (!match) return null;
+
+        return (parseInt(match[1] || '0', 10) * 3600) +
+            (parseInt(match[2], 10) * 60) +
+            parseInt(match[3], 10) +
+            parseInt(match[4].padEnd(3, '0'), 10) / 1000;
+    }
+
+    /**
+     * Remove styling and speaker tags from a subtitle line
+     * @private
+     * @param {string} line - Subtitle text line
+     * @returns {string} Plain text
+     */
+    static _stripSubtitleMarkup(line) {
+        return line
+            .replace(/<[^>]+>/g, '') // <i>, <b>, <v Speaker>, <c.class>, karaoke timestamps
+            .replace(/\{\\[^}]*\}/g, '') // {\an8} positioning
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&amp;/g, '&')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // === DOCX ===
+
+    /**
+     * Extract the text of a Word document
+     * Heading styles become "# Heading" lines and bold or italic runs become *emphasis*
+     * @param {Uint8Array} bytes - .docx file contents
+     * @param {string} [name='document'] - File name for error messages
+     * @returns {Promise<string>} Script text
+     * @throws {Error} If the file is not a readable Word document
+     */
+    static async docxToScript(bytes, name = 'document') {
+        let documentXml;
+        try {
+            const entries = ZipReader.readEntries(bytes);
+            const entry = entries.find(item => item.name === ScriptImporter.CONSTANTS.DOCX_DOCUMENT);
+            if (!entry) {
+                throw new Error('No document body');
+            }
+            documentXml = new TextDecoder('utf-8').decode(await ZipReader.extract(bytes, entry));
+        } catch (error) {
+            console.error('Failed to read DOCX:', error);
+            if (/encrypted/.test(error.message)) {
+                throw new Error(`"${name}" is password protected. Remove the password in Word and try again.`);
+            }
+            if (/cannot decompress/.test(error.message)) {
+                throw new Error('This browser cannot open Word documents. Save the script as .txt and import that instead.');
+            }
+            throw new Error(`"${name}" is not a valid Word document or is damaged. Old .doc files must be saved as .docx first.`);
+        }
+
+        const xml = new DOMParser().parseFromString(documentXml, 'application/xml');
+        if (xml.getElementsByTagName('parsererror').length > 0) {
+            throw new Error(`"${name}" is damaged: its text could not be read.`);
+        }
+
+        const ns = ScriptImporter.CONSTANTS.WORD_NAMESPACE;
+        const body = xml.getElementsByTagNameNS(ns, 'body')[0];
+        if (!body) {
+            throw new Error(`"${name}" is damaged: its text could not be read.`);
+        }
+
+        const lines = Array.from(body.getElementsByTagNameNS(ns, 'p'))
+            .map(paragraph => ScriptImporter._docxParagraph(paragraph));
+
+        return ScriptImporter._tidy(lines.join('\n'));
+    }
+
+    /**
+     * Convert one Word paragraph
+     * @private
+     * @param {Element} paragraph - w:p element
+     * @returns {string} Script line
+     */
+    static _docxParagraph(paragraph) {
+        const ns = ScriptImporter.CONSTANTS.WORD_NAMESPACE;
+        const segments = [];
+
+        Array.from(paragraph.getElementsByTagNameNS(ns, 'r')).forEach(run => {
+            const text = ScriptImporter._docxRunText(run);
+            if (!text) return;
+
+            const emphasis = ScriptImporter._docxIsEmphasized(run);
+            const previous = segments[segments.length - 1];
+            if (previous && previous.emphasis === emphasis) {
+                previous.text += text;
+            } else {
+                segments.push({ text, emphasis });
+            }
+        });
+
+        const level = ScriptImporter._docxHeadingLevel(paragraph);
+        if (level) {
+            return `${'#'.repeat(level)} ${segments.map(segment => segment.text).join('').trim()}`;
+        }
+
+        return segments.map(segment => {
+            if (!segment.emphasis) return segment.text;
+
+            // Emphasis markup works within a line and cannot start or end with a space
+            return segment.text.split('\n').map(line => {
+                const match = line.match(/^(\s*)(.*?)(\s*)$/);
+                return match[2] ? `${match[1]}*${match[2]}*${match[3]}` : line;
+            }).join('\n');
+        }).join('');
+    }
+
+    /**
+     * Get the text of a run, including tabs and line breaks
+     * @private
+     * @param {Element} run - w:r element
+     * @returns {string} Run text
+     */
+    static _docxRunText(run) {
+        let text = '';
+        Array.from(run.childNodes).forEach(node => {
+            switch (node.localName) {
+                case 't':
+                    text += node.textContent;
+                    break;
+                case 'tab':
+                    text += ' ';
+                    break;
+                case 'br':
+                case 'cr':
+                    text += '\n';
+                    break;
+                case 'noBreakHyphen':
+                    text += '-';
+                    break;
+            }
+        });
+        return text;
+    }
+
+    /**
+     * Check if a run is bold or italic
+     * @private
+     * @param {Element} run - w:r element
+     * @returns {boolean} True if emphasized
+     */
+    static _docxIsEmphasized(run) {
+        const ns = ScriptImporter.CONSTANTS.WORD_NAMESPACE;
+        const properties = run.getElementsByTagNameNS(ns, 'rPr')[0];
+        if (!properties) return false;
+
+        return ['b', 'i'].some(tag => {
+            const element = properties.getElementsByTagNameNS(ns, tag)[0];
+            if (!element) return false;
+            const value = element.getAttributeNS(ns, 'val');
+            return value !== 'false' && value !== '0';
+        });
+    }
+
+    /**
+     * Get the heading level from the paragraph style
+     * @private
+     * @param {Element} paragraph - w:p element
+     * @returns {number} 1-6, or 0 for body text
+     */
+    static _docxHeadingLevel(paragraph) {
+        const ns = ScriptImporter.CONSTANTS.WORD_NAMESPACE;
+        const style = paragraph.getElementsByTagNameNS(ns, 'pStyle')[0];
+        if (!style) return 0;
+
+        const value = style.getAttributeNS(ns, 'val') || '';
+        if (/^(Title|Titel|Titre)$/i.test(value)) return 1;
+
+        // Localized Word saves style ids like "berschrift1" (German, the Ü is dropped) or "Titre1"
+        const match = value.match(/^(?:Heading|berschrift|Titre)\s*(\d)$/i);
+        return match ? Math.min(6, parseInt(match[1], 10)) : 0;
+    }
+}
@@ -0,0 +1,607 @@
+/**
+ * ScriptLibraryComponent - Manages a library of named scripts stored in IndexedDB
+ * Each script keeps its own content, scroll position, speed and text size
+ */
+class ScriptLibraryComponent {
+    static CONSTANTS = {
+        STORE_NAME: 'scripts',
+        ACTIVE_SCRIPT_KEY: 'teleprompterActiveScript',
+        DEFAULT_TITLE: 'Untitled script',
+        SAVE_DELAY_MS: 500,
+        CSS_CLASSES: {
+            OPEN: 'open',
+            ACTIVE: 'active',
+            DROP_TARGET: 'drop-target'
+        }
+    };
+
+    /**
+     * @constructor
+     * @param {ScriptComponent} scriptComponent - Script component that displays the active script
+     * @param {ControlsComponent} controlsComponent - Controls to refresh when a script is loaded
+     */
+    constructor(scriptComponent, controlsComponent) {
+        this.scriptComponent = scriptComponent;
+        this.controlsComponent = controlsComponent;
+
+        // DOM elements
+        this.libraryButton = document.getElementById('libraryButton');
+        this.panel = document.getElementById('scriptLibraryPanel');
+        this.closeButton = document.getElementById('scriptLibraryClose');
+        this.searchInput = document.getElementById('scriptLibrarySearch');
+        this.newButton = document.getElementById('scriptLibraryNew');
+        this.importButton = document.getElementById('scriptLibraryImport');
+        this.importInput = document.getElementById('scriptLibraryImportInput');
+        this.list = document.getElementById('scriptLibraryList');
+
+        // State
+        this.scripts = [];
+        this.activeScriptId = null;
+        this.searchQuery = '';
+        this.isLoadingScript = false;
+        this.saveTimeout = null;
+        this.dragDepth = 0; // dragenter/dragleave also fire for the box's children
+
+        // Resolves once scripts are loaded, so scripts created by other components are not overwritten
+        this.ready = this.init();
+    }
+
+    /**
+     * Initialize the library and load the active script
+     */
+    async init() {
+        try {
+            console.log('Initializing ScriptLibraryComponent...');
+
+            this._setupEventListeners();
+            await this._loadScripts();
+            await this._restoreActiveScript();
+            this._renderList();
+
+            console.log('ScriptLibraryComponent initialized successfully');
+        } catch (error) {
+            console.error('Failed to initialize ScriptLibraryComponent:', error);
+            // Script box keeps working with the content from localStorage
+        }
+    }
+
+    /**
+     * Setup UI and script change listeners
+     * @private
+     */
+    _setupEventListeners() {
+        this.libraryButton.addEventListener('click', () => this.togglePanel());
+        this.closeButton.addEventListener('click', () => this.closePanel());
+        this.newButton.addEventListener('click', () => this._promptCreateScript());
+
+        // File import through the picker or by dropping files on the script box
+        this.importInput.accept = ScriptImporter.CONSTANTS.ACCEPT;
+        this.importButton.addEventListener('click', () => this.importInput.click());
+        this.importInput.addEventListener('change', () => {
+            const files = Array.from(this.importInput.files);
+            this.importInput.value = ''; // Allow picking the same file again
+            this.importFiles(files);
+        });
+        this._setupDropTarget(this.scriptComponent.scriptBox);
+
+        this.searchInput.addEventListener('input', () => {
+            this.searchQuery = this.searchInput.value;
+            this._renderList();
+        });
+
+        // Persist edits and scroll position to the active script
+        this.scriptComponent.scriptInput.addEventListener('input', () => this._scheduleSave());
+        this.scriptComponent.scriptInput.addEventListener('scroll', () => this._scheduleSave());
+        this.scriptComponent.addChangeListener(() => this._scheduleSave());
+    }
+
+    // === DATA ===
+
+    /**
+     * Load all scripts from IndexedDB
+     * @private
+     */
+    async _loadScripts() {
+        this.scripts = await IndexedDBStore.getAll(ScriptLibraryComponent.CONSTANTS.STORE_NAME);
+        this._sortScripts();
+    }
+
+    /**
+     * Sort scripts with the most recently updated first
+     * @private
+     */
+    _sortScripts() {
+        this.scripts.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * Load the last active script, migrating the legacy single script if needed
+     * @private
+     */
+    async _restoreActiveScript() {
+        if (this.scripts.length === 0) {
+            // First run with the library - keep whatever was in the textarea
+            const script = await this.createScript(
+                ScriptLibraryComponent.CONSTANTS.DEFAULT_TITLE,
+                this.scriptComponent.getContent(),
+                { activate: false }
+            );
+            this.activeScriptId = script.id;
+            this._storeActiveScriptId();
+            return;
+        }
+
+        const savedId = localStorage.getItem(ScriptLibraryComponent.CONSTANTS.ACTIVE_SCRIPT_KEY);
+        const script = this._findScript(savedId) || this.scripts[0];
+        this._applyScript(script);
+    }
+
+    /**
+     * Find a script by id
+     * @private
+     * @param {string} id - Script id
+     * @returns {Object|undefined} The script record
+     */
+    _findScript(id) {
+        return this.scripts.find(script => script.id === id);
+    }
+
+    /**
+     * Persist a script record and keep the in-memory list in sync
+     * @private
+     * @param {Object} script - Script record
+     */
+    async _persistScript(script) {
+        await IndexedDBStore.put(ScriptLibraryComponent.CONSTANTS.STORE_NAME, script);
+
+        const index = this.scripts.findIndex(item => item.id === script.id);
+        if (index === -1) {
+            this.scripts.push(script);
+        } else {
+            this.scripts[index] = script;
+        }
+        this._sortScripts();
+    }
+
+    /**
+     * Remember which script is active between sessions
+     * @private
+     */
+    _storeActiveScriptId() {
+        try {
+            localStorage.setItem(ScriptLibraryComponent.CONSTANTS.ACTIVE_SCRIPT_KEY, this.activeScriptId);
+        } catch (error) {
+            console.error('Failed to save active script:', error);
+        }
+    }
+
+    /**
+     * Debounce saving the active script while the user types or scrolls
+     * @private
+     */
+    _scheduleSave() {
+        if (this.isLoadingScript || !this.activeScriptId) return;
+
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = setTimeout(() => {
+            this.saveActiveScript();
+        }, ScriptLibraryComponent.CONSTANTS.SAVE_DELAY_MS);
+    }
+
+    /**
+     * Write the current textarea state into the active script
+     */
+    async saveActiveScript() {
+        clearTimeout(this.saveTimeout);
+
+        const script = this._findScript(this.activeScriptId);
+        if (!script) return;
+
+        const scrollState = this.scriptComponent.getScrollState();
+        const updated = {
+            ...script,
+            content: this.scriptComponent.getContent(),
+            scrollPosition: this.scriptComponent.getScrollPosition(),
+            speed: scrollState.currentSpeed,
+            textSize: scrollState.currentTextSize
+        };
+
+        // Only bump the timestamp when the text itself changed
+        if (updated.content !== script.content) {
+            updated.updatedAt = Date.now();
+        }
+
+        try {
+            await this._persistScript(updated);
+            this._renderList();
+        } catch (error) {
+            console.error('Failed to save script:', error);
+        }
+    }
+
+    /**
+     * Load a script into the script component
+     * @private
+     * @param {Object} script - Script record
+     */
+    _applyScript(script) {
+        this.isLoadingScript = true;
+        this.activeScriptId = script.id;
+
+        try {
+            this.scriptComponent.stopScrolling();
+            this.scriptComponent.setContent(script.content);
+            if (script.speed) {
+                this.scriptComponent.setSpeed(script.speed);
+            }
+            if (script.textSize) {
+                this.scriptComponent.setTextSize(script.textSize);
+            }
+            this.scriptComponent.setScrollPosition(script.scrollPosition || 0);
+        } finally {
+            this.isLoadingScript = false;
+        }
+
+        this._storeActiveScriptId();
+
+        if (this.controlsComponent) {
+            this.controlsComponent.updateButtonStates();
+        }
+    }
+
+    // === PUBLIC API METHODS ===
+
+    /**
+     * Create a new script
+     * @param {string} title - Script title
+     * @param {string} [content=''] - Script content
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.activate=true] - Switch to the new script
+     * @returns {Promise<Object>} The created script
+     */
+    async createScript(title, content = '', { activate = true } = {}) {
+        const scrollState = this.scriptComponent.getScrollState();
+        const now = Date.now();
+        const script = {
+            id: IndexedDBStore.generateId(),
+            title: title.trim() || ScriptLibraryComponent.CONSTANTS.DEFAULT_TITLE,
+            content: content,
+            scrollPosition: 0,
+            speed: scrollState.currentSpeed,
+            textSize: scrollState.currentTextSize,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await this._persistScript(script);
+
+        if (activate) {
+            await this.switchScript(script.id);
+        } else {
+            this._renderList();
+        }
+
+        console.log(`Script created: ${script.title}`);
+        return script;
+    }
+
+    /**
+     * Rename a script
+     * @param {string} id - Script id
+     * @param {string} title - New title
+     */
+    async renameScript(id, title) {
+        const script = this._findScript(id);
+        if (!script || !title.trim()) return;
+
+        await this._persistScript({ ...script, title: title.trim(), updatedAt: Date.now() });
+        this._renderList();
+    }
+
+    /**
+     * Duplicate a script
+     * @param {string} id - Script id
+     * @returns {Promise<Object|undefined>} The copy
+     */
+    async duplicateScript(id) {
+        if (id === this.activeScriptId) {
+            await this.saveActiveScript();
+        }
+
+        const script = this._findScript(id);
+        if (!script) return undefined;
+
+        const now = Date.now();
+        const copy = {
+            ...script,
+            id: IndexedDBStore.generateId(),
+            title: `${script.title} (copy)`,
+            scrollPosition: 0,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await this._persistScript(copy);
+        this._renderList();
+        return copy;
+    }
+
+    /**
+     * Delete a script, switching to another one if it was active
+     * @param {string} id - Script id
+     */
+    async deleteScript(id) {
+        await IndexedDBStore.delete(ScriptLibraryComponent.CONSTANTS.STORE_NAME, id);
+        this.scripts = this.scripts.filter(script => script.id !== id);
+
+        if (id === this.activeScriptId) {
+            this.activeScriptId = null;
+            if (this.scripts.length > 0) {
+                this._applyScript(this.scripts[0]);
+            } else {
+                // Never leave the library empty
+                await this.createScript(ScriptLibraryComponent.CONSTANTS.DEFAULT_TITLE);
+                return;
+            }
+        }
+
+        this._renderList();
+    }
+
+    /**
+     * Switch the script box to another script
+     * @param {string} id - Script id
+     */
+    async switchScript(id) {
+        if (id === this.activeScriptId) return;
+
+        const script = this._findScript(id);
+        if (!script) return;
+
+        await this.saveActiveScript();
+        this._applyScript(script);
+        this._renderList();
+
+        console.log(`Switched to script: ${script.title}`);
+    }
+
+    /**
+     * Search scripts by title and content
+     * @param {string} query - Search text
+     * @returns {Object[]} Matching scripts
+     */
+    search(query) {
+        const needle = query.trim().toLowerCase();
+        if (!needle) return [...this.scripts];
+
+        return this.scripts.filter(script =>
+            script.title.toLowerCase().includes(needle) ||
+            script.content.toLowerCase().includes(needle)
+        );
+    }
+
+    /**
+     * Import files as new scripts, switching to the last one imported
+     * Files that fail are reported together and do not stop the others
+     * @param {File[]} files - Files to import
+     * @returns {Promise<Object[]>} The created scripts
+     */
+    async importFiles(files) {
+        if (files.length === 0) return [];
+
+        if (this.scriptComponent.isScrolling()) {
+            alert('Stop prompting before importing a script.');
+            return [];
+        }
+
+        const created = [];
+        const errors = [];
+
+        for (const file of files) {
+            try {
+                const { title, content } = await ScriptImporter.importFile(file);
+                created.push(await this.createScript(title, content, { activate: false }));
+                console.log(`Imported script from ${file.name}`);
+            } catch (error) {
+                console.error(`Failed to import ${file.name}:`, error);
+                errors.push(error.message);
+            }
+        }
+
+        if (created.length > 0) {
+            await this.switchScript(created[created.length - 1].id);
+        }
+        if (errors.length > 0) {
+            alert(`${created.length > 0 ? 'Some files could not be imported' : 'Import failed'}:\n\n${errors.join('\n')}`);
+        }
+
+        return created;
+    }
+
+    /**
+     * Get the active script record
+     * @returns {Object|undefined} The active script
+     */
+    getActiveScript() {
+        return this._findScript(this.activeScriptId);
+    }
+
+    // === UI ===
+
+    /**
+     * Toggle the library panel
+     */
+    togglePanel() {
+        if (this.panel.classList.contains(ScriptLibraryComponent.CONSTANTS.CSS_CLASSES.OPEN)) {
+            this.closePanel();
+        } else {
+            this.openPanel();
+        }
+    }
+
+    /**
+     * Open the library panel
+     */
+    openPanel() {
+        this.panel.classList.add(ScriptLibraryComponent.CONSTANTS.CSS_CLASSES.OPEN);
+        this._renderList();
+        this.searchInput.focus();
+    }
+
+    /**
+     * Close the library panel
+     */
+    closePanel() {
+        this.panel.classList.remove(ScriptLibraryComponent.CONSTANTS.CSS_CLASSES.OPEN);
+    }
+
+    /**
+     * Accept dropped files on an element
+     * Dropping text (rather than files) still inserts it into the editor as usual
+     * @private
+     * @param {HTMLElement} element - Drop target
+     */
+    _setupDropTarget(element) {
+        const dropClass = ScriptLibraryComponent.CONSTANTS.CSS_CLASSES.DROP_TARGET;
+        const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+
+        element.addEventListener('dragenter', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            this.dragDepth++;
+            element.classList.add(dropClass);
+        });
+        element.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        element.addEventListener('dragleave', (e) => {
+            if (!hasFiles(e)) return;
+            this.dragDepth = Math.max(0, this.dragDepth - 1);
+            if (this.dragDepth === 0) {
+                element.classList.remove(dropClass);
+            }
+        });
+        element.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            this.dragDepth = 0;
+            element.classList.remove(dropClass);
+            this.importFiles(Array.from(e.dataTransfer.files));
+        });
+
+        // A file dropped next to the box would otherwise replace the app with the file
+        window.addEventListener('dragover', (e) => {
+            if (hasFiles(e)) e.preventDefault();
+        });
+        window.addEventListener('drop', (e) => {
+            if (hasFiles(e)) e.preventDefault();
+        });
+    }
+
+    /**
+     * Ask for a title and create a new script
+     * @private
+     */
+    async _promptCreateScript() {
+        const title = prompt('Script title:', ScriptLibraryComponent.CONSTANTS.DEFAULT_TITLE);
+        if (title === null) return;
+
+        try {
+            await this.createScript(title);
+        } catch (error) {
+            console.error('Failed to create script:', error);
+            alert('Failed to create script. Please try again.');
+        }
+    }
+
+    /**
+     * Render the filtered script list
+     * @private
+     */
+    _renderList() {
+        this.list.innerHTML = '';
+
+        const scripts = this.search(this.searchQuery);
+        if (scripts.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'script-library-empty';
+            empty.textContent = 'No scripts found';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        scripts.forEach(script => this.list.appendChild(this._createListItem(script)));
+    }
+
+    /**
+     * Create the list entry for a script
+     * @private
+     * @param {Object} script - Script record
+     * @returns {HTMLElement} The list item
+     */
+    _createListItem(script) {
+        const item = document.createElement('li');
+        item.className = 'script-library-item';
+        if (script.id === this.activeScriptId) {
+            item.classList.add(ScriptLibraryComponent.CONSTANTS.CSS_CLASSES.ACTIVE);
+        }
+
+        const title = document.createElement('button');
+        title.className = 'script-library-title';
+        title.textContent = script.title;
+        title.title = 'Open script';
+        title.addEventListener('click', () => this.switchScript(script.id));
+
+        const actions = document.createElement('div');
+        actions.className = 'script-library-actions';
+        actions.appendChild(this._createActionButton('✎', 'Rename', () => {
+            const newTitle = prompt('Rename script:', script.title);
+            if (newTitle !== null) {
+                this.renameScript(script.id, newTitle).catch(error => {
+                    console.error('Failed to rename script:', error);
+                    alert('Failed to rename script. Please try again.');
+                });
+            }
+        }));
+        actions.appendChild(this._createActionButton('⧉', 'Duplicate', () => {
+            this.duplicateScript(script.id).catch(error => {
+                console.error('Failed to duplicate script:', error);
+                alert('Failed to duplicate script. Please try again.');
+            });
+        }));
+        actions.appendChild(this._createActionButton('✕', 'Delete', () => {
+            if (confirm(`Delete "${script.title}"?`)) {
+                this.deleteScript(script.id).catch(error => {
+                    console.error('Failed to delete script:', error);
+                    alert('Failed to delete script. Please try again.');
+                });
+            }
+        }));
+
+        item.appendChild(title);
+        item.appendChild(actions);
+        return item;
+    }
+
+    /**
+     * Create a small icon button for a list entry
+     * @private
+     * @param {string} icon - Button label
+     * @param {string} label - Tooltip text
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} The button
+     */
+    _createActionButton(icon, label, onClick) {
+        const button = document.createElement('button');
+        button.className = 'script-library-action';
+        button.textContent = icon;
+        button.title = label;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+}
@@ -0,0 +1,180 @@
+/**
+ * ScriptMarkupParser - Parses the lightweight teleprompter cue markup
+ *
+ * Supported markup:
+ *   [PAUSE 2s]      hold the scroll (seconds, or "ms" for milliseconds)
+ *   [SPEED slow]    change pace from this point (slow, normal, fast or px/s)
+ *   # Heading       mark a section heading
+ *   *word*          emphasis
+ */
+class ScriptMarkupParser {
+    static CONSTANTS = {
+        CUE_PATTERN: /\[(PAUSE|SPEED)\s+([^\]]+)\]/gi,
+        HEADING_PATTERN: /^\s*(#{1,6})\s+(.*)$/,
+        EMPHASIS_PATTERN: /\*([^*\n]+)\*/g,
+        SPEED_PRESETS: {
+            slow: 60,
+            normal: 120,
+            fast: 200
+        },
+        MAX_PAUSE_SECONDS: 60,
+        MIN_SPEED: 1,
+        MAX_SPEED: 1000
+    };
+
+    /**
+     * Parse script text into lines of tokens
+     * @param {string} text - Raw script text
+     * @returns {Object[]} Lines: { type: 'heading'|'text', level, tokens }
+     *   where tokens are { type: 'text', text, emphasis } or { type: 'pause', seconds }
+     *   or { type: 'speed', speed }
+     */
+    static parse(text) {
+        return (text || '').split('\n').map(line => ScriptMarkupParser._parseLine(line));
+    }
+
+    /**
+     * Parse a single line
+     * @private
+     * @param {string} line - Raw line
+     * @returns {Object} Parsed line
+     */
+    static _parseLine(line) {
+        const headingMatch = line.match(ScriptMarkupParser.CONSTANTS.HEADING_PATTERN);
+        if (headingMatch) {
+            return {
+                type: 'heading',
+                level: headingMatch[1].length,
+                tokens: ScriptMarkupParser._parseInline(headingMatch[2])
+            };
+        }
+
+        return {
+            type: 'text',
+            level: 0,
+            tokens: ScriptMarkupParser._parseInline(line)
+        };
+    }
+
+    /**
+     * Split a line into text, emphasis and cue tokens
+     * @private
+     * @param {string} text - Line text without heading marker
+     * @returns {Object[]} Tokens
+     */
+    static _parseInline(text) {
+        const tokens = [];
+        const pattern = new RegExp(ScriptMarkupParser.CONSTANTS.CUE_PATTERN.source, 'gi');
+        let lastIndex = 0;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const cue = ScriptMarkupParser._parseCue(match[1], match[2]);
+            if (!cue) continue; // Leave malformed cues as plain text
+
+            tokens.push(...ScriptMarkupParser._parseEmphasis(text.slice(lastIndex, match.index)));
+            tokens.push(cue);
+            lastIndex = match.index + match[0].length;
+        }
+
+        tokens.push(...ScriptMarkupParser._parseEmphasis(text.slice(lastIndex)));
+        return tokens;
+    }
+
+    /**
+     * Split plain text into normal and emphasized runs
+     * @private
+     * @param {string} text - Text without cues
+     * @returns {Object[]} Text tokens
+     */
+    static _parseEmphasis(text) {
+        const tokens = [];
+        const pattern = new RegExp(ScriptMarkupParser.CONSTANTS.EMPHASIS_PATTERN.source, 'g');
+        let lastIndex = 0;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            if (match.index > lastIndex) {
+                tokens.push({ type: 'text', text: text.slice(lastIndex, match.index), emphasis: false });
+            }
+            tokens.push({ type: 'text', text: match[1], emphasis: true });
+            lastIndex = match.index + match[0].length;
+        }
+
+        if (lastIndex < text.length) {
+            tokens.push({ type: 'text', text: text.slice(lastIndex), emphasis: false });
+        }
+        return tokens;
+    }
+
+    /**
+     * Build a cue token from its keyword and argument
+     * @private
+     * @param {string} keyword - PAUSE or SPEED
+     * @param {string} argument - Cue argument
+     * @returns {Object|null} Cue token, or null if the argument is invalid
+     */
+    static _parseCue(keyword, argument) {
+        const value = argument.trim().toLowerCase();
+
+        if (keyword.toUpperCase() === 'PAUSE') {
+            const seconds = ScriptMarkupParser.parseDuration(value);
+            if (seconds === null) return null;
+            return {
+                type: 'pause',
+                seconds: Math.min(seconds, ScriptMarkupParser.CONSTANTS.MAX_PAUSE_SECONDS)
+            };
+        }
+
+        const speed = ScriptMarkupParser.parseSpeed(value);
+        if (speed === null) return null;
+        return { type: 'speed', speed: speed };
+    }
+
+    /**
+     * Parse a pause duration such as "2s", "2", or "500ms"
+     * @param {string} value - Duration text
+     * @returns {number|null} Seconds, or null if invalid
+     */
+    static parseDuration(value) {
+        const match = value.match(/^(\d+(?:\.\d+)?)\s*(ms|s|sec|seconds?)?$/);
+        if (!match) return null;
+
+        const amount = parseFloat(match[1]);
+        return match[2] === 'ms' ? amount / 1000 : amount;
+    }
+
+    /**
+     * Parse a speed preset name or px/s number
+     * @param {string} value - Speed text
+     * @returns {number|null} Speed in px/s, or null if invalid
+     */
+    static parseSpeed(value) {
+        const presets = ScriptMarkupParser.CONSTANTS.SPEED_PRESETS;
+        if (presets[value]) {
+            return presets[value];
+        }
+
+        const speed = parseFloat(value);
+        if (isNaN(speed) || !/^\d+(\.\d+)?$/.test(value)) return null;
+
+        return Math.max(
+            ScriptMarkupParser.CONSTANTS.MIN_SPEED,
+            Math.min(ScriptMarkupParser.CONSTANTS.MAX_SPEED, speed)
+        );
+    }
+
+    /**
+     * Strip all markup and return the text a presenter would read
+     * @param {string} text - Raw script text
+     * @returns {string} Plain text
+     */
+    static toPlainText(text) {
+        return ScriptMarkupParser.parse(text)
+            .map(line => line.tokens
+                .filter(token => token.type === 'text')
+                .map(token => token.text)
+                .join(''))
+            .join('\n');
+    }
+}
@@ -0,0 +1,38 @@
+/**
+ * SettingsStore - Shared access to the settings object in localStorage
+ * Components save only their own keys; values from other components are preserved
+ */
+class SettingsStore {
+    static CONSTANTS = {
+        SETTINGS_KEY: 'teleprompterSettings'
+    };
+
+    /**
+     * Load all saved settings
+     * @returns {Object} Settings object (empty if nothing is saved or it is unreadable)
+     */
+    static load() {
+        try {
+            return JSON.parse(localStorage.getItem(SettingsStore.CONSTANTS.SETTINGS_KEY) || '{}');
+        } catch (error) {
+            console.error('Failed to read settings:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Merge values into the saved settings
+     * @param {Object} values - Settings to save
+     * @returns {boolean} True if the settings were written
+     */
+    static update(values) {
+        try {
+            const settings = { ...SettingsStore.load(), ...values };
+            localStorage.setItem(SettingsStore.CONSTANTS.SETTINGS_KEY, JSON.stringify(settings));
+            return true;
+        } catch (error) {
+            console.error('Failed to save settings:', error);
+            return false;
+        }
+    }
+}
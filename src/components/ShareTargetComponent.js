@@ -0,0 +1,144 @@
+/**
+ * ShareTargetComponent - Opens scripts handed to the installed app by the operating system
+ * Shares arrive through the service worker, which stores them in IndexedDB and opens
+ * the app with ?shared=<id>; files opened with the app arrive through the launch queue
+ */
+class ShareTargetComponent {
+    static CONSTANTS = {
+        STORE_NAME: 'sharedItems',
+        SHARED_PARAM: 'shared',
+        FAILED_PARAM: 'shareFailed', // Set by the service worker when it could not store the share
+        DEFAULT_TITLE: 'Shared script',
+        MAX_TITLE_LENGTH: 80
+    };
+
+    /**
+     * @constructor
+     * @param {ScriptLibraryComponent} scriptLibraryComponent - Receives shared content as new scripts
+     */
+    constructor(scriptLibraryComponent) {
+        this.scriptLibraryComponent = scriptLibraryComponent;
+
+        this.init();
+    }
+
+    async init() {
+        try {
+            console.log('Initializing ShareTargetComponent...');
+
+            this._setupLaunchQueue();
+
+            // Shared scripts are added to the library, so it must have loaded first
+            await this.scriptLibraryComponent.ready;
+            await this._receiveShare();
+
+            console.log('ShareTargetComponent initialized successfully');
+        } catch (error) {
+            console.error('Failed to initialize ShareTargetComponent:', error);
+        }
+    }
+
+    /**
+     * Import .txt and .md files opened with the installed app (manifest file_handlers)
+     * @private
+     */
+    _setupLaunchQueue() {
+        if (!('launchQueue' in window)) return;
+
+        window.launchQueue.setConsumer(async (launchParams) => {
+            if (!launchParams.files || launchParams.files.length === 0) return;
+
+            try {
+                const files = await Promise.all(launchParams.files.map(handle => handle.getFile()));
+                await this.scriptLibraryComponent.ready;
+                await this.scriptLibraryComponent.importFiles(files);
+            } catch (error) {
+                console.error('Failed to open launched files:', error);
+                alert(`Could not open the file: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Load a share stored by the service worker, if the app was opened with one
+     * @private
+     */
+    async _receiveShare() {
+        const { SHARED_PARAM, FAILED_PARAM, STORE_NAME } = ShareTargetComponent.CONSTANTS;
+        const params = new URLSearchParams(window.location.search);
+        const id = params.get(SHARED_PARAM);
+        const failed = params.has(FAILED_PARAM);
+        if (!id && !failed) return;
+
+        // Reloading should not import the share a second time
+        this._clearLaunchParams();
+
+        if (failed || !IndexedDBStore.isSupported()) {
+            alert('The shared content could not be received. Try sharing it again.');
+            return;
+        }
+
+        const share = await IndexedDBStore.get(STORE_NAME, id);
+        if (!share) {
+            console.warn(`Shared item ${id} not found, it was probably opened already`);
+            return;
+        }
+
+        try {
+            await this.openShare(share);
+        } finally {
+            await IndexedDBStore.delete(STORE_NAME, id);
+        }
+    }
+
+    /**
+     * Remove the share parameters from the address bar
+     * @private
+     */
+    _clearLaunchParams() {
+        const url = new URL(window.location.href);
+        url.searchParams.delete(ShareTargetComponent.CONSTANTS.SHARED_PARAM);
+        url.searchParams.delete(ShareTargetComponent.CONSTANTS.FAILED_PARAM);
+        window.history.replaceState(null, '', url.pathname + url.search + url.hash);
+    }
+
+    // === PUBLIC API METHODS ===
+
+    /**
+     * Turn a share into scripts: every file is imported, and shared text becomes a script of its own
+     * @param {Object} share - { title, text, url, files }
+     */
+    async openShare(share) {
+        const files = share.files || [];
+        if (files.length > 0) {
+            await this.scriptLibraryComponent.importFiles(files);
+        }
+
+        // Apps often share a link with or instead of text; keep it with the script
+        const text = [share.text, share.url]
+            .map(part => (part || '').trim())
+            .filter(Boolean)
+            .join('\n\n');
+        if (!text) return;
+
+        await this.scriptLibraryComponent.createScript(this._getTitle(share.title, text), text);
+        console.log('Shared text opened as a new script');
+    }
+
+    /**
+     * Use the shared title, or the first line of the text
+     * @private
+     * @param {string} title - Title sent with the share
+     * @param {string} text - Script text
+     * @returns {string} Script title
+     */
+    _getTitle(title, text) {
+        const { DEFAULT_TITLE, MAX_TITLE_LENGTH } = ShareTargetComponent.CONSTANTS;
+        const candidate = (title || '').trim() || text.split('\n')[0].trim();
+
+        if (!candidate) return DEFAULT_TITLE;
+        return candidate.length > MAX_TITLE_LENGTH
+            ? `${candidate.slice(0, MAX_TITLE_LENGTH - 1).trim()}…`
+            : candidate;
+    }
+}
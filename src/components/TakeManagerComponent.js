@@ -0,0 +1,689 @@
+/**
+ * TakeManagerComponent - Keeps finished recordings in IndexedDB and shows them in a gallery
+ * Takes can be played back, starred, renamed, deleted, downloaded, shared or exported as a zip
+ * Each take gets captions built from the script's scroll timeline during the recording
+ */
+class TakeManagerComponent {
+    static CONSTANTS = {
+        STORE_NAME: 'takes',
+        BLOB_STORE_NAME: 'takeBlobs',
+        DEFAULT_SCRIPT_TITLE: 'Untitled script',
+        CSS_CLASSES: {
+            OPEN: 'open',
+            ACTIVE: 'active',
+            STARRED: 'starred'
+        }
+    };
+
+    /**
+     * @constructor
+     * @param {VideoComponent} videoComponent - Source of finished recordings
+     * @param {ScriptLibraryComponent} scriptLibraryComponent - Provides the active script for take metadata
+     * @param {ReviewComponent} reviewComponent - Review screen shown before a take is kept
+     * @param {ScriptComponent} scriptComponent - Reports the reading position for captions
+     */
+    constructor(videoComponent, scriptLibraryComponent, reviewComponent, scriptComponent) {
+        this.videoComponent = videoComponent;
+        this.scriptLibraryComponent = scriptLibraryComponent;
+        this.reviewComponent = reviewComponent;
+        this.scriptComponent = scriptComponent;
+
+        // DOM elements
+        this.takesButton = document.getElementById('takesButton');
+        this.takesCount = document.getElementById('takesCount');
+        this.panel = document.getElementById('takesPanel');
+        this.closeButton = document.getElementById('takesClose');
+        this.starredOnlyInput = document.getElementById('takesStarredOnly');
+        this.exportButton = document.getElementById('takesExport');
+        this.player = document.getElementById('takesPlayer');
+        this.list = document.getElementById('takesList');
+
+        // State
+        this.takes = [];
+        this.showStarredOnly = false;
+        this.playingTakeId = null;
+        this.playerUrl = null;
+        this.captionUrl = null;
+
+        // Called with (take) by the upload button; the button is hidden when not set
+        this.uploadHandler = null;
+
+        // Called with (take) by the save-to-folder button; the button is hidden when not set
+        this.folderHandler = null;
+
+        // Called with (take) whenever a take is added
+        this.takeListeners = [];
+
+        // Resolves once stored takes are loaded, so takes added by other components number correctly
+        this.ready = this.init();
+    }
+
+    /**
+     * Initialize the gallery and take over finished recordings
+     */
+    async init() {
+        try {
+            console.log('Initializing TakeManagerComponent...');
+
+            this._setupEventListeners();
+            this.videoComponent.setRecordingHandler((blob, info) => this._handleRecording(blob, info));
+            this.videoComponent.setTimelineSource({
+                getLines: () => this.scriptComponent.getPromptLines(),
+                getPosition: () => this.scriptComponent.getReadingPosition()
+            });
+            await this._loadTakes();
+            this._render();
+
+            console.log('TakeManagerComponent initialized successfully');
+        } catch (error) {
+            // Recordings fall back to direct downloads when takes cannot be stored
+            console.error('Failed to initialize TakeManagerComponent:', error);
+            this.videoComponent.setRecordingHandler(null);
+        }
+    }
+
+    /**
+     * Setup gallery UI listeners
+     * @private
+     */
+    _setupEventListeners() {
+        this.takesButton.addEventListener('click', () => this.togglePanel());
+        this.closeButton.addEventListener('click', () => this.closePanel());
+        this.exportButton.addEventListener('click', () => this.exportTakes());
+
+        this.starredOnlyInput.addEventListener('change', () => {
+            this.showStarredOnly = this.starredOnlyInput.checked;
+            this._render();
+        });
+    }
+
+    // === DATA ===
+
+    /**
+     * Load take metadata from IndexedDB
+     * @private
+     */
+    async _loadTakes() {
+        this.takes = await IndexedDBStore.getAll(TakeManagerComponent.CONSTANTS.STORE_NAME);
+        this.takes.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Find a take by id
+     * @private
+     * @param {string} id - Take id
+     * @returns {Object|undefined} The take metadata
+     */
+    _findTake(id) {
+        return this.takes.find(take => take.id === id);
+    }
+
+    /**
+     * Persist updated take metadata
+     * @private
+     * @param {Object} take - Take metadata
+     */
+    async _updateTake(take) {
+        await IndexedDBStore.put(TakeManagerComponent.CONSTANTS.STORE_NAME, take);
+        const index = this.takes.findIndex(item => item.id === take.id);
+        this.takes[index] = take;
+        this._render();
+    }
+
+    /**
+     * Load the video data of a take
+     * @private
+     * @param {string} id - Take id
+     * @returns {Promise<Blob>} The recording
+     * @throws {Error} If the video data is missing
+     */
+    async _getTakeBlob(id) {
+        const record = await IndexedDBStore.get(TakeManagerComponent.CONSTANTS.BLOB_STORE_NAME, id);
+        if (!record || !record.blob) {
+            throw new Error(`Video data for take ${id} not found`);
+        }
+        return record.blob;
+    }
+
+    /**
+     * Build a file name for a take
+     * @private
+     * @param {Object} take - Take metadata
+     * @param {string} [extension] - Extension to use instead of the video's
+     * @returns {string} File name with extension
+     */
+    _getFilename(take, extension = this.videoComponent.getFileExtension(take.mimeType)) {
+        const base = take.name
+            .replace(/[\\/:*?"<>|]+/g, '-')
+            .replace(/\s+/g, ' ')
+            .trim() || 'take';
+        return `${base}.${extension}`;
+    }
+
+    /**
+     * Check if a take has captions
+     * @private
+     * @param {Object} take - Take metadata
+     * @returns {boolean} True if captions were built for the take
+     */
+    _hasCaptions(take) {
+        return Array.isArray(take.captions) && take.captions.length > 0;
+    }
+
+    /**
+     * Build the caption files for a take, named to sit next to its video
+     * @private
+     * @param {Object} take - Take metadata
+     * @returns {Object[]} Files: { name, blob }, empty if the take has no captions
+     */
+    _getCaptionFiles(take) {
+        if (!this._hasCaptions(take)) return [];
+
+        return [
+            { name: this._getFilename(take, 'srt'), blob: new Blob([CaptionBuilder.toSrt(take.captions)], { type: 'application/x-subrip' }) },
+            { name: this._getFilename(take, 'vtt'), blob: new Blob([CaptionBuilder.toVtt(take.captions)], { type: 'text/vtt' }) }
+        ];
+    }
+
+    /**
+     * Review a finished recording and store it if kept
+     * @private
+     * @param {Blob} blob - The recording
+     * @param {Object} info - Recording info from VideoComponent
+     */
+    async _handleRecording(blob, info) {
+        const result = await this.reviewComponent.review(blob, info);
+        if (!result) {
+            console.log('Take discarded after review');
+            return;
+        }
+
+        await this.addTake(result.blob, result.info);
+    }
+
+    // === PUBLIC API METHODS ===
+
+    /**
+     * Store a finished recording as a new take
+     * @param {Blob} blob - The recording
+     * @param {Object} info - Recording info from VideoComponent: { duration, mimeType, createdAt, timeline },
+     *   plus trimStart when the review cut the start and recovered for takes rescued after a crash
+     * @returns {Promise<Object>} The take metadata
+     */
+    async addTake(blob, info) {
+        const script = this.scriptLibraryComponent.getActiveScript();
+        const scriptId = script ? script.id : null;
+        const scriptTitle = script ? script.title : TakeManagerComponent.CONSTANTS.DEFAULT_SCRIPT_TITLE;
+
+        const takeNumber = this.takes
+            .filter(take => take.scriptId === scriptId)
+            .reduce((max, take) => Math.max(max, take.takeNumber), 0) + 1;
+
+        const take = {
+            id: IndexedDBStore.generateId(),
+            name: `${scriptTitle} - Take ${takeNumber}${info.recovered ? ' (recovered)' : ''}`,
+            scriptId: scriptId,
+            scriptTitle: scriptTitle,
+            takeNumber: takeNumber,
+            duration: info.duration,
+            size: blob.size,
+            mimeType: info.mimeType || blob.type,
+            starred: false,
+            createdAt: info.createdAt || Date.now(),
+            captions: CaptionBuilder.buildCues(info.timeline, {
+                offset: info.trimStart || 0,
+                duration: info.duration
+            })
+        };
+
+        await IndexedDBStore.putRecords([
+            { storeName: TakeManagerComponent.CONSTANTS.STORE_NAME, value: take },
+            { storeName: TakeManagerComponent.CONSTANTS.BLOB_STORE_NAME, value: { id: take.id, blob: blob } }
+        ]);
+
+        this.takes.unshift(take);
+        this._render();
+        this.takeListeners.forEach(listener => listener(take));
+
+        console.log(`Take saved: ${take.name} (${take.size} bytes, ${take.captions.length} captions)`);
+        return take;
+    }
+
+    /**
+     * Rename a take
+     * @param {string} id - Take id
+     * @param {string} name - New name
+     */
+    async renameTake(id, name) {
+        const take = this._findTake(id);
+        if (!take || !name.trim()) return;
+
+        await this._updateTake({ ...take, name: name.trim() });
+    }
+
+    /**
+     * Star or unstar a take
+     * @param {string} id - Take id
+     */
+    async toggleStar(id) {
+        const take = this._findTake(id);
+        if (!take) return;
+
+        await this._updateTake({ ...take, starred: !take.starred });
+    }
+
+    /**
+     * Delete a take and its video data
+     * @param {string} id - Take id
+     */
+    async deleteTake(id) {
+        if (this.playingTakeId === id) {
+            this.stopPlayback();
+        }
+
+        await IndexedDBStore.deleteRecords([
+            { storeName: TakeManagerComponent.CONSTANTS.STORE_NAME, key: id },
+            { storeName: TakeManagerComponent.CONSTANTS.BLOB_STORE_NAME, key: id }
+        ]);
+
+        this.takes = this.takes.filter(take => take.id !== id);
+        this._render();
+    }
+
+    /**
+     * Download a single take
+     * @param {string} id - Take id
+     */
+    async downloadTake(id) {
+        const take = this._findTake(id);
+        if (!take) return;
+
+        try {
+            const blob = await this._getTakeBlob(id);
+            FileSaver.download(blob, this._getFilename(take));
+        } catch (error) {
+            console.error('Failed to download take:', error);
+            alert('This take could not be loaded. It may have been removed by the browser.');
+        }
+    }
+
+    /**
+     * Send a take to another app through the system share sheet. Must be called from a user gesture.
+     * @param {string} id - Take id
+     */
+    async shareTake(id) {
+        const take = this._findTake(id);
+        if (!take) return;
+
+        let blob;
+        try {
+            blob = await this._getTakeBlob(id);
+            await FileSaver.shareFile(blob, this._getFilename(take), take.name);
+        } catch (error) {
+            if (error.name === 'NotAllowedError' && blob) {
+                // Safari drops the click's user activation while the take loads; download instead
+                console.warn('Sharing was not allowed, downloading instead:', error);
+                FileSaver.download(blob, this._getFilename(take));
+                return;
+            }
+            console.error('Failed to share take:', error);
+            alert(`This take could not be shared: ${error.message}`);
+        }
+    }
+
+    /**
+     * Download the .srt and .vtt captions of a take
+     * @param {string} id - Take id
+     */
+    downloadCaptions(id) {
+        const take = this._findTake(id);
+        if (!take) return;
+
+        if (!this._hasCaptions(take)) {
+            alert('This take has no captions. Captions are made from the script scrolling during the recording.');
+            return;
+        }
+
+        this._getCaptionFiles(take).forEach(file => FileSaver.download(file.blob, file.name));
+    }
+
+    /**
+     * Export the listed takes together as a zip archive, with their captions next to them
+     */
+    async exportTakes() {
+        const takes = this.getVisibleTakes();
+        if (takes.length === 0) {
+            alert('There are no takes to export.');
+            return;
+        }
+
+        this.exportButton.disabled = true;
+        this.exportButton.textContent = 'Exporting...';
+
+        try {
+            // Keep names unique inside the archive
+            const usedNames = new Set();
+            const files = [];
+
+            for (const take of takes) {
+                let named = take;
+                for (let n = 2; usedNames.has(this._getFilename(named)); n++) {
+                    named = { ...take, name: `${take.name} (${n})` };
+                }
+                usedNames.add(this._getFilename(named));
+
+                files.push({
+                    name: this._getFilename(named),
+                    blob: await this._getTakeBlob(take.id),
+                    lastModified: take.createdAt
+                });
+                this._getCaptionFiles(named).forEach(file => {
+                    files.push({ ...file, lastModified: take.createdAt });
+                });
+            }
+
+            const zip = await ZipWriter.createZip(files);
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            FileSaver.download(zip, `teleprompter-takes-${timestamp}.zip`);
+        } catch (error) {
+            console.error('Failed to export takes:', error);
+            alert(`Failed to export takes: ${error.message}`);
+        } finally {
+            this.exportButton.disabled = false;
+            this.exportButton.textContent = 'Export .zip';
+        }
+    }
+
+    /**
+     * Play a take in the gallery player
+     * @param {string} id - Take id
+     */
+    async playTake(id) {
+        try {
+            const blob = await this._getTakeBlob(id);
+            this.stopPlayback();
+
+            this.playingTakeId = id;
+            this.playerUrl = URL.createObjectURL(blob);
+            this.player.src = this.playerUrl;
+            this._addCaptionTrack(this._findTake(id));
+            this.player.classList.add(TakeManagerComponent.CONSTANTS.CSS_CLASSES.ACTIVE);
+            this.player.play().catch(error => console.log('Autoplay prevented:', error));
+            this._render();
+        } catch (error) {
+            console.error('Failed to play take:', error);
+            alert('This take could not be loaded. It may have been removed by the browser.');
+        }
+    }
+
+    /**
+     * Stop playback and release the video URL
+     */
+    stopPlayback() {
+        this.player.pause();
+        this.player.removeAttribute('src');
+        this.player.querySelectorAll('track').forEach(track => track.remove());
+        this.player.load();
+        this.player.classList.remove(TakeManagerComponent.CONSTANTS.CSS_CLASSES.ACTIVE);
+
+        if (this.playerUrl) {
+            URL.revokeObjectURL(this.playerUrl);
+            this.playerUrl = null;
+        }
+        if (this.captionUrl) {
+            URL.revokeObjectURL(this.captionUrl);
+            this.captionUrl = null;
+        }
+        this.playingTakeId = null;
+    }
+
+    /**
+     * Show a take's captions in the gallery player so their timing can be checked
+     * @private
+     * @param {Object} take - Take metadata
+     */
+    _addCaptionTrack(take) {
+        if (!take || !this._hasCaptions(take)) return;
+
+        this.captionUrl = URL.createObjectURL(new Blob([CaptionBuilder.toVtt(take.captions)], { type: 'text/vtt' }));
+        const track = document.createElement('track');
+        track.kind = 'captions';
+        track.label = 'Script';
+        track.src = this.captionUrl;
+        track.default = true;
+        this.player.appendChild(track);
+    }
+
+    /**
+     * Show an upload button on each take
+     * @param {Function|null} handler - Receives the take metadata
+     */
+    setUploadHandler(handler) {
+        this.uploadHandler = handler;
+        this._render();
+    }
+
+    /**
+     * Show a save-to-folder button on each take
+     * @param {Function|null} handler - Receives the take metadata
+     */
+    setFolderHandler(handler) {
+        this.folderHandler = handler;
+        this._render();
+    }
+
+    /**
+     * Register a callback invoked whenever a take is added
+     * @param {Function} listener - Receives the take metadata
+     */
+    addTakeListener(listener) {
+        this.takeListeners.push(listener);
+    }
+
+    /**
+     * Get the file name a take is downloaded, exported or uploaded as
+     * @param {Object} take - Take metadata
+     * @returns {string} File name with extension
+     */
+    getFilename(take) {
+        return this._getFilename(take);
+    }
+
+    /**
+     * Get a take's video and caption files, named as they are downloaded
+     * @param {Object} take - Take metadata
+     * @returns {Promise<Object[]>} Files: { name, blob }, the video first
+     */
+    async getTakeFiles(take) {
+        return [
+            { name: this._getFilename(take), blob: await this._getTakeBlob(take.id) },
+            ...this._getCaptionFiles(take)
+        ];
+    }
+
+    /**
+     * Get the takes shown with the current filter
+     * @returns {Object[]} Take metadata
+     */
+    getVisibleTakes() {
+        return this.showStarredOnly ? this.takes.filter(take => take.starred) : [...this.takes];
+    }
+
+    /**
+     * Get all take metadata
+     * @returns {Object[]} Take metadata, newest first
+     */
+    getTakes() {
+        return [...this.takes];
+    }
+
+    // === UI ===
+
+    /**
+     * Toggle the gallery panel
+     */
+    togglePanel() {
+        if (this.panel.classList.contains(TakeManagerComponent.CONSTANTS.CSS_CLASSES.OPEN)) {
+            this.closePanel();
+        } else {
+            this.openPanel();
+        }
+    }
+
+    /**
+     * Open the gallery panel
+     */
+    openPanel() {
+        this.panel.classList.add(TakeManagerComponent.CONSTANTS.CSS_CLASSES.OPEN);
+        this._render();
+    }
+
+    /**
+     * Close the gallery panel and stop playback
+     */
+    closePanel() {
+        this.panel.classList.remove(TakeManagerComponent.CONSTANTS.CSS_CLASSES.OPEN);
+        this.stopPlayback();
+        this._render();
+    }
+
+    /**
+     * Render the take list and count badge
+     * @private
+     */
+    _render() {
+        this.takesCount.textContent = this.takes.length > 0 ? this.takes.length : '';
+        this.list.innerHTML = '';
+
+        const takes = this.getVisibleTakes();
+        if (takes.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'takes-empty';
+            empty.textContent = this.showStarredOnly ? 'No starred takes' : 'No takes yet';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        takes.forEach(take => this.list.appendChild(this._createListItem(take)));
+    }
+
+    /**
+     * Create the list entry for a take
+     * @private
+     * @param {Object} take - Take metadata
+     * @returns {HTMLElement} The list item
+     */
+    _createListItem(take) {
+        const classes = TakeManagerComponent.CONSTANTS.CSS_CLASSES;
+        const item = document.createElement('li');
+        item.className = 'take-item';
+        if (take.id === this.playingTakeId) {
+            item.classList.add(classes.ACTIVE);
+        }
+
+        const star = this._createActionButton(take.starred ? '★' : '☆', take.starred ? 'Unstar' : 'Star', () => {
+            this.toggleStar(take.id);
+        });
+        star.classList.add('take-star');
+        if (take.starred) {
+            star.classList.add(classes.STARRED);
+        }
+
+        const details = document.createElement('div');
+        details.className = 'take-details';
+
+        const name = document.createElement('div');
+        name.className = 'take-name';
+        name.textContent = take.name;
+
+        const meta = document.createElement('div');
+        meta.className = 'take-meta';
+        meta.textContent = [
+            TakeManagerComponent.formatDuration(take.duration),
+            TakeManagerComponent.formatSize(take.size),
+            new Date(take.createdAt).toLocaleString(),
+            this._hasCaptions(take) ? 'CC' : ''
+        ].filter(Boolean).join(' · ');
+
+        details.appendChild(name);
+        details.appendChild(meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'take-actions';
+        actions.appendChild(this._createActionButton('▶', 'Play', () => this.playTake(take.id)));
+        actions.appendChild(this._createActionButton('✎', 'Rename', () => {
+            const newName = prompt('Rename take:', take.name);
+            if (newName !== null) {
+                this.renameTake(take.id, newName);
+            }
+        }));
+        actions.appendChild(this._createActionButton('⬇', 'Download', () => this.downloadTake(take.id)));
+        if (FileSaver.canShareFiles(this._getFilename(take), take.mimeType)) {
+            actions.appendChild(this._createActionButton('📤', 'Share', () => this.shareTake(take.id)));
+        }
+        if (this.folderHandler) {
+            actions.appendChild(this._createActionButton('📁', 'Save to folder', () => this.folderHandler(take)));
+        }
+        if (this.uploadHandler) {
+            actions.appendChild(this._createActionButton('⇪', 'Upload', () => this.uploadHandler(take)));
+        }
+        if (this._hasCaptions(take)) {
+            const captions = this._createActionButton('CC', 'Download captions (.srt and .vtt)', () => {
+                this.downloadCaptions(take.id);
+            });
+            captions.classList.add('take-captions');
+            actions.appendChild(captions);
+        }
+        actions.appendChild(this._createActionButton('✕', 'Delete', () => {
+            if (confirm(`Delete "${take.name}"?`)) {
+                this.deleteTake(take.id);
+            }
+        }));
+
+        item.appendChild(star);
+        item.appendChild(details);
+        item.appendChild(actions);
+        return item;
+    }
+
+    /**
+     * Create a small icon button for a list entry
+     * @private
+     * @param {string} icon - Button label
+     * @param {string} label - Tooltip text
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} The button
+     */
+    _createActionButton(icon, label, onClick) {
+        const button = document.createElement('button');
+        button.className = 'take-action';
+        button.textContent = icon;
+        button.title = label;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+
+    /**
+     * Format seconds as m:ss
+     * @param {number} seconds - Duration in seconds
+     * @returns {string} Formatted duration
+     */
+    static formatDuration(seconds) {
+        const total = Math.round(seconds || 0);
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Format a byte count for display
+     * @param {number} bytes - Size in bytes
+     * @returns {string} Formatted size
+     */
+    static formatSize(bytes) {
+        if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+        if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    }
+}
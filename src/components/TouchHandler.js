@@ -0,0 +1,113 @@
+/**
+ * TouchHandler - Recognises a two-finger pinch on an element with Pointer Events
+ * Reports the scale relative to the finger distance when the pinch started
+ */
+class TouchHandler {
+    static CONSTANTS = {
+        MIN_START_DISTANCE: 10 // Fingers closer than this (px) are too close to measure a scale from
+    };
+
+    /**
+     * @constructor
+     * @param {HTMLElement} element - Element to watch
+     * @param {Object} callbacks - Pinch callbacks
+     * @param {Function} [callbacks.onPinchStart] - Called when two fingers are down
+     * @param {Function} callbacks.onPinch - (scale) distance now divided by the starting distance
+     * @param {Function} [callbacks.onPinchEnd] - Called when a finger lifts
+     * @param {string} [callbacks.ignoreSelector] - Touches starting on matching elements are ignored
+     */
+    constructor(element, { onPinchStart = null, onPinch, onPinchEnd = null, ignoreSelector = '' }) {
+        this.element = element;
+        this.onPinchStart = onPinchStart;
+        this.onPinch = onPinch;
+        this.onPinchEnd = onPinchEnd;
+        this.ignoreSelector = ignoreSelector;
+
+        this.pointers = new Map(); // pointerId -> { x, y }
+        this.startDistance = 0;
+        this.isPinching = false;
+
+        this._handlePointerDown = this._handlePointerDown.bind(this);
+        this._handlePointerMove = this._handlePointerMove.bind(this);
+        this._handlePointerEnd = this._handlePointerEnd.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        this.element.addEventListener('pointerdown', this._handlePointerDown);
+        this.element.addEventListener('pointermove', this._handlePointerMove);
+        this.element.addEventListener('pointerup', this._handlePointerEnd);
+        this.element.addEventListener('pointercancel', this._handlePointerEnd);
+    }
+
+    /**
+     * Distance between the two tracked fingers
+     * @private
+     * @returns {number} Distance in pixels
+     */
+    _getDistance() {
+        const [first, second] = Array.from(this.pointers.values());
+        return Math.hypot(second.x - first.x, second.y - first.y);
+    }
+
+    /**
+     * Track a finger, starting the pinch once there are two
+     * @private
+     * @param {PointerEvent} e - Pointer event
+     */
+    _handlePointerDown(e) {
+        if (e.pointerType !== 'touch' || this.pointers.size >= 2) return;
+        if (this.ignoreSelector && e.target.closest(this.ignoreSelector)) return;
+
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (this.pointers.size < 2) return;
+
+        this.startDistance = this._getDistance();
+        if (this.startDistance < TouchHandler.CONSTANTS.MIN_START_DISTANCE) return;
+
+        this.isPinching = true;
+        if (this.onPinchStart) {
+            this.onPinchStart();
+        }
+    }
+
+    /**
+     * Report the pinch scale as the fingers move
+     * @private
+     * @param {PointerEvent} e - Pointer event
+     */
+    _handlePointerMove(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (!this.isPinching) return;
+
+        e.preventDefault();
+        this.onPinch(this._getDistance() / this.startDistance);
+    }
+
+    /**
+     * Stop tracking a finger, ending the pinch
+     * @private
+     * @param {PointerEvent} e - Pointer event
+     */
+    _handlePointerEnd(e) {
+        if (!this.pointers.delete(e.pointerId)) return;
+
+        if (this.isPinching) {
+            this.isPinching = false;
+            if (this.onPinchEnd) {
+                this.onPinchEnd();
+            }
+        }
+    }
+
+    destroy() {
+        this.element.removeEventListener('pointerdown', this._handlePointerDown);
+        this.element.removeEventListener('pointermove', this._handlePointerMove);
+        this.element.removeEventListener('pointerup', this._handlePointerEnd);
+        this.element.removeEventListener('pointercancel', this._handlePointerEnd);
+        this.pointers.clear();
+    }
+}
@@ -0,0 +1,207 @@
+/**
+ * UpdateComponent - Registers the service worker and offers new versions of the app
+ * A new worker waits after installing; the banner's Reload button activates it with
+ * SKIP_WAITING and reloads once it has taken control
+ */
+class UpdateComponent {
+    static CONSTANTS = {
+        SCRIPT_URL: 'service-worker.js',
+        CHECK_INTERVAL: 60 * 60 * 1000, // Look for a new version hourly while the app stays open
+        VERSION_TIMEOUT: 3000 // ms to wait for a worker to answer GET_VERSION
+    };
+
+    /**
+     * @constructor
+     * @param {ControlsComponent} controlsComponent - Used to avoid reloading mid-recording
+     */
+    constructor(controlsComponent) {
+        this.controlsComponent = controlsComponent;
+
+        // DOM elements
+        this.banner = document.getElementById('updateBanner');
+        this.message = document.getElementById('updateMessage');
+        this.reloadButton = document.getElementById('updateReload');
+        this.dismissButton = document.getElementById('updateDismiss');
+        this.versionLabel = document.getElementById('appVersion');
+
+        this.registration = null;
+        this.waitingWorker = null;
+        this.reloadRequested = false;
+        this.checkTimer = null;
+
+        this.init();
+    }
+
+    async init() {
+        if (!('serviceWorker' in navigator)) {
+            this.versionLabel.textContent = 'Offline support unavailable in this browser';
+            return;
+        }
+
+        try {
+            console.log('Initializing UpdateComponent...');
+
+            this._setupEventListeners();
+            // The worker's importScripts() must not come from the HTTP cache (nginx caches .js for a year),
+            // or a new worker could run an old IndexedDBStore against an already upgraded database
+            this.registration = await navigator.serviceWorker.register(UpdateComponent.CONSTANTS.SCRIPT_URL, {
+                updateViaCache: 'none'
+            });
+            console.log('Service Worker registered successfully:', this.registration);
+
+            this._watchRegistration();
+            this._showCurrentVersion();
+
+            console.log('UpdateComponent initialized successfully');
+        } catch (error) {
+            console.log('Service Worker registration failed:', error);
+            this.versionLabel.textContent = 'Offline support unavailable';
+        }
+    }
+
+    /**
+     * Bind the banner buttons and reload once the new worker takes over
+     * @private
+     */
+    _setupEventListeners() {
+        this.reloadButton.addEventListener('click', () => this.applyUpdate());
+        this.dismissButton.addEventListener('click', () => this._hideBanner());
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            // Only reload when asked; the first install also changes the controller
+            if (this.reloadRequested) {
+                window.location.reload();
+            }
+        });
+
+        // Phones keep PWAs open for days - check again whenever the app comes back
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) {
+                this.checkForUpdate();
+            }
+        });
+    }
+
+    /**
+     * Offer a worker that is already waiting and watch for new ones
+     * @private
+     */
+    _watchRegistration() {
+        const registration = this.registration;
+
+        // An update installed on an earlier visit is still waiting
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this._offerUpdate(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this._offerUpdate(worker);
+                }
+            });
+        });
+
+        this.checkTimer = setInterval(() => this.checkForUpdate(), UpdateComponent.CONSTANTS.CHECK_INTERVAL);
+    }
+
+    /**
+     * Ask a worker which version it serves
+     * @private
+     * @param {ServiceWorker} worker - Worker to ask
+     * @returns {Promise<string|null>} The version, or null if it did not answer
+     */
+    _requestVersion(worker) {
+        return new Promise(resolve => {
+            const channel = new MessageChannel();
+            const timer = setTimeout(() => resolve(null), UpdateComponent.CONSTANTS.VERSION_TIMEOUT);
+
+            channel.port1.onmessage = (event) => {
+                clearTimeout(timer);
+                resolve(event.data && event.data.version ? event.data.version : null);
+            };
+            worker.postMessage({ type: 'GET_VERSION' }, [channel.port2]);
+        });
+    }
+
+    /**
+     * Show the running version in Settings → About
+     * @private
+     */
+    async _showCurrentVersion() {
+        await navigator.serviceWorker.ready;
+        const worker = navigator.serviceWorker.controller || (this.registration && this.registration.active);
+        if (!worker) return;
+
+        const version = await this._requestVersion(worker);
+        this.versionLabel.textContent = version || 'unknown';
+    }
+
+    /**
+     * Show the update banner for a waiting worker
+     * @private
+     * @param {ServiceWorker} worker - The installed, waiting worker
+     */
+    async _offerUpdate(worker) {
+        this.waitingWorker = worker;
+        this.message.textContent = 'A new version is available.';
+        this.banner.hidden = false;
+        console.log('New app version waiting');
+
+        const version = await this._requestVersion(worker);
+        if (version && this.waitingWorker === worker) {
+            this.message.textContent = `Version ${version} is available.`;
+        }
+    }
+
+    /**
+     * Hide the banner until the next update (or the next launch)
+     * @private
+     */
+    _hideBanner() {
+        this.banner.hidden = true;
+    }
+
+    // === PUBLIC API METHODS ===
+
+    /**
+     * Check the server for a new service worker
+     */
+    async checkForUpdate() {
+        if (!this.registration) return;
+
+        try {
+            await this.registration.update();
+        } catch (error) {
+            // Offline - the next check will catch up
+            console.log('Update check failed:', error);
+        }
+    }
+
+    /**
+     * Activate the waiting version and reload into it
+     */
+    applyUpdate() {
+        if (!this.waitingWorker) return;
+
+        if (this.controlsComponent.getControlState().isRecording) {
+            alert('Stop the recording before updating - reloading would end it.');
+            return;
+        }
+
+        this.reloadRequested = true;
+        this.reloadButton.disabled = true;
+        this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    }
+
+    destroy() {
+        if (this.checkTimer) {
+            clearInterval(this.checkTimer);
+            this.checkTimer = null;
+        }
+    }
+}
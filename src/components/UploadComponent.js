@@ -0,0 +1,376 @@
+/**
+ * UploadComponent - Sends takes to a user-configured upload endpoint
+ * Takes wait in the UploadQueue outbox and upload in resumable chunks; when the
+ * connection drops, background sync (or the next time the app is online) picks them up
+ */
+class UploadComponent {
+    static CONSTANTS = {
+        MESSAGE_TYPE: 'UPLOADS_CHANGED' // Sent by the service worker while it uploads
+    };
+
+    /**
+     * @constructor
+     * @param {TakeManagerComponent} takeManagerComponent - Source of takes and their file names
+     */
+    constructor(takeManagerComponent) {
+        this.takeManagerComponent = takeManagerComponent;
+
+        // DOM elements
+        this.endpointInput = document.getElementById('uploadEndpointInput');
+        this.autoInput = document.getElementById('uploadAutoInput');
+        this.section = document.getElementById('uploadsSection');
+        this.list = document.getElementById('uploadsList');
+        this.clearButton = document.getElementById('uploadsClear');
+
+        this.settings = {
+            uploadEndpoint: '',
+            uploadAutomatically: false
+        };
+
+        // Outbox records as last read from IndexedDB
+        this.uploads = [];
+        this.isProcessing = false;
+        this.processAgain = false; // Takes queued while a run was already going
+
+        this.init();
+    }
+
+    async init() {
+        try {
+            console.log('Initializing UploadComponent...');
+
+            this._loadSettings();
+            this._setupEventListeners();
+            this._updateInputs();
+
+            if (!IndexedDBStore.isSupported()) {
+                console.warn('IndexedDB is not available, uploads are disabled');
+                return;
+            }
+
+            this.takeManagerComponent.setUploadHandler((take) => this.uploadTake(take));
+            this.takeManagerComponent.addTakeListener((take) => {
+                if (this.settings.uploadAutomatically && this.settings.uploadEndpoint) {
+                    this.uploadTake(take);
+                }
+            });
+
+            await this._refresh();
+            console.log('UploadComponent initialized successfully');
+
+            // Continue uploads interrupted by the last visit
+            this.processQueue();
+        } catch (error) {
+            console.error('Failed to initialize UploadComponent:', error);
+        }
+    }
+
+    // === SETTINGS MANAGEMENT ===
+
+    /**
+     * Load upload settings
+     * @private
+     */
+    _loadSettings() {
+        const settings = SettingsStore.load();
+
+        this.settings.uploadEndpoint = settings.uploadEndpoint || '';
+        this.settings.uploadAutomatically = !!settings.uploadAutomatically;
+    }
+
+    /**
+     * Save upload settings
+     * @private
+     */
+    _saveSettings() {
+        SettingsStore.update(this.settings);
+    }
+
+    /**
+     * Bind the settings and outbox controls
+     * @private
+     */
+    _setupEventListeners() {
+        this.endpointInput.addEventListener('change', () => this.setEndpoint(this.endpointInput.value));
+        this.autoInput.addEventListener('change', () => this.setUploadAutomatically(this.autoInput.checked));
+        this.clearButton.addEventListener('click', () => this.clearFinished());
+
+        // Back online: retry right away rather than waiting for background sync
+        window.addEventListener('online', () => this.processQueue());
+
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data && event.data.type === UploadComponent.CONSTANTS.MESSAGE_TYPE) {
+                    this._refresh();
+                }
+            });
+        }
+    }
+
+    /**
+     * Reflect settings in the settings panel inputs
+     * @private
+     */
+    _updateInputs() {
+        this.endpointInput.value = this.settings.uploadEndpoint;
+        this.autoInput.checked = this.settings.uploadAutomatically;
+    }
+
+    // === PUBLIC API METHODS ===
+
+    /**
+     * Set the URL takes are uploaded to
+     * @param {string} value - http(s) URL, or empty to turn uploads off
+     */
+    setEndpoint(value) {
+        const endpoint = value.trim();
+
+        if (endpoint) {
+            let url;
+            try {
+                url = new URL(endpoint);
+            } catch (error) {
+                url = null;
+            }
+            if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+                alert('Enter an http:// or https:// address for the upload endpoint.');
+                this._updateInputs();
+                return;
+            }
+        }
+
+        this.settings.uploadEndpoint = endpoint;
+        this._saveSettings();
+        this._updateInputs();
+    }
+
+    /**
+     * Choose whether new takes are queued for upload as soon as they are kept
+     * @param {boolean} enabled - Upload automatically
+     */
+    setUploadAutomatically(enabled) {
+        this.settings.uploadAutomatically = !!enabled;
+        this._saveSettings();
+        this._updateInputs();
+    }
+
+    /**
+     * Queue a take for upload and start uploading
+     * @param {Object} take - Take metadata
+     */
+    async uploadTake(take) {
+        if (!this.settings.uploadEndpoint) {
+            alert('Set an upload endpoint in Settings → Uploads first.');
+            return;
+        }
+
+        try {
+            await UploadQueue.enqueue(take, this.takeManagerComponent.getFilename(take), this.settings.uploadEndpoint);
+            console.log(`Take queued for upload: ${take.name}`);
+        } catch (error) {
+            console.error('Failed to queue upload:', error);
+            alert(`Failed to queue the upload: ${error.message}`);
+            return;
+        }
+
+        await this._refresh();
+        this.processQueue();
+    }
+
+    /**
+     * Upload everything waiting in the outbox, handing over to background sync when offline
+     */
+    async processQueue() {
+        if (this.isProcessing) {
+            this.processAgain = true;
+            return;
+        }
+
+        if (!navigator.onLine) {
+            await UploadQueue.requestSync();
+            return;
+        }
+
+        this.isProcessing = true;
+        try {
+            const result = await UploadQueue.processAll((record) => this._updateRecord(record));
+            if (result.pending > 0) {
+                // Temporary failures: let the service worker retry when connectivity returns
+                await UploadQueue.requestSync();
+            }
+        } catch (error) {
+            console.error('Failed to process uploads:', error);
+        } finally {
+            this.isProcessing = false;
+            await this._refresh();
+        }
+
+        if (this.processAgain) {
+            this.processAgain = false;
+            this.processQueue();
+        }
+    }
+
+    /**
+     * Cancel an upload, or remove a finished one from the list
+     * @param {string} id - Upload id
+     */
+    async cancel(id) {
+        try {
+            await UploadQueue.cancel(id);
+        } catch (error) {
+            console.error('Failed to cancel upload:', error);
+        }
+        await this._refresh();
+    }
+
+    /**
+     * Try a failed upload again
+     * @param {string} id - Upload id
+     */
+    async retry(id) {
+        await UploadQueue.retry(id);
+        await this._refresh();
+        this.processQueue();
+    }
+
+    /**
+     * Remove finished uploads from the list
+     */
+    async clearFinished() {
+        const finished = this.uploads.filter(upload => upload.status === UploadQueue.CONSTANTS.STATUS.DONE);
+        for (const upload of finished) {
+            await UploadQueue.cancel(upload.id);
+        }
+        await this._refresh();
+    }
+
+    // === UI ===
+
+    /**
+     * Reload the outbox and redraw it
+     * @private
+     */
+    async _refresh() {
+        try {
+            this.uploads = await UploadQueue.getAll();
+        } catch (error) {
+            console.error('Failed to load uploads:', error);
+            this.uploads = [];
+        }
+        this._render();
+    }
+
+    /**
+     * Show progress of a running upload without reloading the outbox
+     * @private
+     * @param {Object} record - Upload record
+     */
+    _updateRecord(record) {
+        const index = this.uploads.findIndex(upload => upload.id === record.id);
+        if (index === -1) {
+            this.uploads.push(record);
+        } else {
+            this.uploads[index] = record;
+        }
+        this._render();
+    }
+
+    /**
+     * Render the outbox list
+     * @private
+     */
+    _render() {
+        this.section.hidden = this.uploads.length === 0;
+        this.clearButton.disabled = !this.uploads.some(upload => upload.status === UploadQueue.CONSTANTS.STATUS.DONE);
+        this.list.innerHTML = '';
+
+        this.uploads.forEach(upload => this.list.appendChild(this._createListItem(upload)));
+    }
+
+    /**
+     * Create the list entry for an upload
+     * @private
+     * @param {Object} upload - Upload record
+     * @returns {HTMLElement} The list item
+     */
+    _createListItem(upload) {
+        const { STATUS } = UploadQueue.CONSTANTS;
+        const item = document.createElement('li');
+        item.className = `upload-item upload-${upload.status}`;
+
+        const details = document.createElement('div');
+        details.className = 'upload-details';
+
+        const name = document.createElement('div');
+        name.className = 'upload-name';
+        name.textContent = upload.name;
+
+        const progress = document.createElement('progress');
+        progress.className = 'upload-progress';
+        progress.max = upload.size || 1;
+        progress.value = upload.status === STATUS.DONE ? progress.max : upload.offset;
+
+        const status = document.createElement('div');
+        status.className = 'upload-status';
+        status.textContent = this._describeStatus(upload);
+
+        details.appendChild(name);
+        details.appendChild(progress);
+        details.appendChild(status);
+
+        const actions = document.createElement('div');
+        actions.className = 'take-actions';
+        if (upload.status === STATUS.FAILED) {
+            actions.appendChild(this._createActionButton('↻', 'Retry', () => this.retry(upload.id)));
+        }
+        actions.appendChild(this._createActionButton('✕', upload.status === STATUS.DONE ? 'Remove from list' : 'Cancel upload', () => {
+            this.cancel(upload.id);
+        }));
+
+        item.appendChild(details);
+        item.appendChild(actions);
+        return item;
+    }
+
+    /**
+     * Describe an upload's state for the list
+     * @private
+     * @param {Object} upload - Upload record
+     * @returns {string} Status text
+     */
+    _describeStatus(upload) {
+        const { STATUS } = UploadQueue.CONSTANTS;
+        const percent = upload.size > 0 ? Math.floor((upload.offset / upload.size) * 100) : 0;
+
+        switch (upload.status) {
+            case STATUS.UPLOADING:
+                return `Uploading ${percent}% of ${TakeManagerComponent.formatSize(upload.size)}`;
+            case STATUS.FAILED:
+                return upload.retryable
+                    ? `${upload.error} - will retry when online (${percent}% sent)`
+                    : `Failed: ${upload.error}`;
+            case STATUS.DONE:
+                return 'Uploaded';
+            default:
+                return percent > 0 ? `Waiting to resume (${percent}% sent)` : 'Waiting to upload';
+        }
+    }
+
+    /**
+     * Create a small icon button for a list entry
+     * @private
+     * @param {string} icon - Button label
+     * @param {string} label - Tooltip text
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} The button
+     */
+    _createActionButton(icon, label, onClick) {
+        const button = document.createElement('button');
+        button.className = 'take-action';
+        button.textContent = icon;
+        button.title = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
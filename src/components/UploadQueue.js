@@ -0,0 +1,374 @@
+/**
+ * UploadQueue - Outbox of takes waiting to be uploaded, kept in IndexedDB
+ * Uploads go to a user-configured endpoint in resumable chunks (see relay/upload-server.js
+ * for the protocol). Used by the page and by the service worker's background sync, so it
+ * must not touch the DOM.
+ */
+class UploadQueue {
+    static CONSTANTS = {
+        STORE_NAME: 'uploads',
+        BLOB_STORE_NAME: 'takeBlobs',
+        CHUNK_SIZE: 1024 * 1024, // 1 MB per request
+        SYNC_TAG: 'upload-outbox',
+        LOCK_NAME: 'upload-outbox', // Only one page or worker uploads at a time
+        STATUS: {
+            QUEUED: 'queued',
+            UPLOADING: 'uploading',
+            FAILED: 'failed',
+            DONE: 'done'
+        }
+    };
+
+    // AbortControllers for uploads running in this page or worker, by upload id
+    static _controllers = new Map();
+
+    /**
+     * Add a take to the outbox (or queue it again)
+     * @param {Object} take - Take metadata
+     * @param {string} filename - File name to upload as
+     * @param {string} endpoint - Upload endpoint URL
+     * @returns {Promise<Object>} The upload record
+     */
+    static async enqueue(take, filename, endpoint) {
+        const record = {
+            id: take.id,
+            takeId: take.id,
+            name: take.name,
+            filename: filename,
+            size: take.size,
+            mimeType: take.mimeType,
+            endpoint: endpoint,
+            uploadUrl: null,
+            offset: 0,
+            status: UploadQueue.CONSTANTS.STATUS.QUEUED,
+            error: null,
+            retryable: true,
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
+
+        await IndexedDBStore.put(UploadQueue.CONSTANTS.STORE_NAME, record);
+        return record;
+    }
+
+    /**
+     * Get every upload in the outbox
+     * @returns {Promise<Object[]>} Upload records, oldest first
+     */
+    static async getAll() {
+        const records = await IndexedDBStore.getAll(UploadQueue.CONSTANTS.STORE_NAME);
+        return records.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    /**
+     * Queue a failed upload again, continuing where it stopped
+     * @param {string} id - Upload id
+     */
+    static async retry(id) {
+        const record = await IndexedDBStore.get(UploadQueue.CONSTANTS.STORE_NAME, id);
+        if (!record || record.status !== UploadQueue.CONSTANTS.STATUS.FAILED) return;
+
+        await UploadQueue._save({ ...record, status: UploadQueue.CONSTANTS.STATUS.QUEUED, error: null, retryable: true });
+    }
+
+    /**
+     * Cancel an upload and remove it from the outbox
+     * The server is asked to discard the partial file; a running upload stops before its next chunk
+     * @param {string} id - Upload id
+     */
+    static async cancel(id) {
+        const record = await IndexedDBStore.get(UploadQueue.CONSTANTS.STORE_NAME, id);
+        if (!record) return;
+
+        const controller = UploadQueue._controllers.get(id);
+        if (controller) {
+            controller.abort();
+        }
+
+        await IndexedDBStore.delete(UploadQueue.CONSTANTS.STORE_NAME, id);
+
+        if (record.uploadUrl && record.status !== UploadQueue.CONSTANTS.STATUS.DONE) {
+            await UploadQueue._discardOnServer(record.uploadUrl);
+        }
+    }
+
+    /**
+     * Ask the server to drop a partial upload
+     * @private
+     * @param {string} uploadUrl - URL of the upload on the server
+     */
+    static async _discardOnServer(uploadUrl) {
+        try {
+            await fetch(uploadUrl, { method: 'DELETE' });
+        } catch (error) {
+            // The server drops abandoned uploads on its own terms; nothing else to do offline
+            console.warn('Could not tell the server to discard the upload:', error);
+        }
+    }
+
+    /**
+     * Upload everything that is queued, was interrupted, or failed with a temporary error
+     * @param {Function} [onChange] - Called with each record as it progresses
+     * @returns {Promise<Object>} { uploaded, failed, pending } where pending uploads should be retried later
+     */
+    static async processAll(onChange = () => {}) {
+        const run = () => UploadQueue._processAll(onChange);
+
+        if (typeof navigator !== 'undefined' && navigator.locks) {
+            // Another tab or the service worker is already uploading - leave it to them
+            return navigator.locks.request(UploadQueue.CONSTANTS.LOCK_NAME, { ifAvailable: true }, lock => {
+                return lock ? run() : { uploaded: 0, failed: 0, pending: 0 };
+            });
+        }
+        return run();
+    }
+
+    /**
+     * Upload pending records one after another
+     * @private
+     * @param {Function} onChange - Progress callback
+     * @returns {Promise<Object>} { uploaded, failed, pending }
+     */
+    static async _processAll(onChange) {
+        const { STATUS } = UploadQueue.CONSTANTS;
+        const result = { uploaded: 0, failed: 0, pending: 0 };
+        const records = (await UploadQueue.getAll()).filter(record =>
+            record.status === STATUS.QUEUED ||
+            record.status === STATUS.UPLOADING || // Interrupted by a crash or a closed tab
+            (record.status === STATUS.FAILED && record.retryable)
+        );
+
+        for (const record of records) {
+            const finished = await UploadQueue._upload(record, onChange);
+            if (!finished) {
+                continue; // Cancelled
+            }
+
+            if (finished.status === STATUS.DONE) {
+                result.uploaded++;
+            } else if (finished.retryable) {
+                result.pending++;
+            } else {
+                result.failed++;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Upload one record, saving progress after every chunk
+     * @private
+     * @param {Object} record - Upload record
+     * @param {Function} onChange - Progress callback
+     * @returns {Promise<Object|null>} The final record, or null if it was cancelled
+     */
+    static async _upload(record, onChange) {
+        const { STATUS, CHUNK_SIZE } = UploadQueue.CONSTANTS;
+        const controller = new AbortController();
+        UploadQueue._controllers.set(record.id, controller);
+
+        let current = { ...record, status: STATUS.UPLOADING, error: null };
+
+        try {
+            const blobRecord = await IndexedDBStore.get(UploadQueue.CONSTANTS.BLOB_STORE_NAME, record.takeId);
+            if (!blobRecord || !blobRecord.blob) {
+                throw UploadQueue._error('The take was deleted before it was uploaded', false);
+            }
+            const blob = blobRecord.blob;
+
+            if (!await UploadQueue._saveUnlessCancelled(current)) return null;
+            onChange(current);
+
+            current = await UploadQueue._resume(current, controller.signal);
+            if (!current) return null;
+
+            while (current.offset < current.size) {
+                const chunk = blob.slice(current.offset, current.offset + CHUNK_SIZE);
+                const response = await UploadQueue._fetch(current.uploadUrl, {
+                    method: 'PATCH',
+                    headers: {
+                        'Content-Type': 'application/offset+octet-stream',
+                        'Upload-Offset': String(current.offset)
+                    },
+                    body: chunk,
+                    signal: controller.signal
+                }, [409]);
+                const offset = UploadQueue._readOffset(await response.json(), current.size);
+
+                // On 409 the server says where it really is and we continue from there,
+                // but an offset that does not move would send the same chunk forever
+                if (offset === current.offset || (response.ok && offset < current.offset)) {
+                    throw UploadQueue._error(`The upload server did not accept the data at offset ${current.offset}`, false);
+                }
+
+                current = { ...current, offset: offset };
+                if (!await UploadQueue._saveUnlessCancelled(current)) return null;
+                onChange(current);
+            }
+
+            // Only the server's own offset marks the upload as finished
+            if (current.offset !== current.size) {
+                throw UploadQueue._error('The upload server did not confirm the whole file', false);
+            }
+            current = { ...current, status: STATUS.DONE };
+            if (!await UploadQueue._saveUnlessCancelled(current)) return null;
+            console.log(`Upload finished: ${current.filename}`);
+        } catch (error) {
+            if (controller.signal.aborted) {
+                // A progress save may have raced the cancel; make sure the record stays gone
+                await IndexedDBStore.delete(UploadQueue.CONSTANTS.STORE_NAME, record.id);
+                return null;
+            }
+
+            console.error(`Upload of ${current.filename} failed:`, error);
+            current = {
+                ...current,
+                status: STATUS.FAILED,
+                error: error.message,
+                retryable: error.retryable !== false
+            };
+            if (!await UploadQueue._saveUnlessCancelled(current)) return null;
+        } finally {
+            UploadQueue._controllers.delete(record.id);
+        }
+
+        onChange(current);
+        return current;
+    }
+
+    /**
+     * Start the upload on the server, or find out how much of it the server already has
+     * @private
+     * @param {Object} record - Upload record
+     * @param {AbortSignal} signal - Cancels the request
+     * @returns {Promise<Object|null>} The record with uploadUrl and offset set, or null if it was cancelled
+     */
+    static async _resume(record, signal) {
+        if (record.uploadUrl) {
+            const response = await UploadQueue._fetch(record.uploadUrl, { signal: signal }, [404]);
+            if (response.status !== 404) {
+                return { ...record, offset: UploadQueue._readOffset(await response.json(), record.size) };
+            }
+            console.log(`Server no longer has ${record.filename}, starting over`);
+        }
+
+        const response = await UploadQueue._fetch(record.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ filename: record.filename, size: record.size, mimeType: record.mimeType }),
+            signal: signal
+        });
+        const data = await response.json();
+        if (!data.id) {
+            throw UploadQueue._error('The server did not return an upload id', false);
+        }
+
+        const uploadUrl = `${record.endpoint.replace(/\/+$/, '')}/${encodeURIComponent(data.id)}`;
+        const started = { ...record, uploadUrl: uploadUrl, offset: data.offset === undefined ? 0 : UploadQueue._readOffset(data, record.size) };
+        if (!await UploadQueue._saveUnlessCancelled(started)) {
+            // Cancelled while the server was creating it - nothing else will ever delete it
+            await UploadQueue._discardOnServer(uploadUrl);
+            return null;
+        }
+        return started;
+    }
+
+    /**
+     * Read the offset from a server response, rejecting anything outside the file
+     * @private
+     * @param {Object} data - Parsed response body
+     * @param {number} size - File size
+     * @returns {number} Bytes the server has
+     * @throws {Error} If the offset is missing or out of range
+     */
+    static _readOffset(data, size) {
+        const offset = data ? data.offset : undefined;
+        if (!Number.isInteger(offset) || offset < 0 || offset > size) {
+            throw UploadQueue._error(`The upload server returned an invalid offset (${offset})`, false);
+        }
+        return offset;
+    }
+
+    /**
+     * Fetch, turning network failures and error statuses into errors that say whether to retry
+     * @private
+     * @param {string} url - Request URL
+     * @param {Object} options - fetch() options
+     * @param {number[]} [allowedStatuses] - Non-2xx statuses the caller handles itself
+     * @returns {Promise<Response>} The response
+     */
+    static async _fetch(url, options, allowedStatuses = []) {
+        let response;
+        try {
+            response = await fetch(url, options);
+        } catch (error) {
+            if (options.signal && options.signal.aborted) throw error;
+            throw UploadQueue._error('Could not reach the upload server', true);
+        }
+
+        if (response.ok || allowedStatuses.includes(response.status)) {
+            return response;
+        }
+
+        // Server trouble and rate limits pass; other client errors will not fix themselves
+        const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+        throw UploadQueue._error(`Upload server responded with ${response.status} ${response.statusText}`.trim(), retryable);
+    }
+
+    /**
+     * Create an error that records whether the upload may succeed later
+     * @private
+     * @param {string} message - Error message
+     * @param {boolean} retryable - True for temporary problems
+     * @returns {Error} The error
+     */
+    static _error(message, retryable) {
+        const error = new Error(message);
+        error.retryable = retryable;
+        return error;
+    }
+
+    /**
+     * Save a record
+     * @private
+     * @param {Object} record - Upload record
+     * @returns {Promise<void>}
+     */
+    static _save(record) {
+        return IndexedDBStore.put(UploadQueue.CONSTANTS.STORE_NAME, { ...record, updatedAt: Date.now() });
+    }
+
+    /**
+     * Save a record unless it was cancelled in the meantime (possibly from another tab)
+     * @private
+     * @param {Object} record - Upload record
+     * @returns {Promise<boolean>} False if the upload was cancelled
+     */
+    static async _saveUnlessCancelled(record) {
+        const stored = await IndexedDBStore.get(UploadQueue.CONSTANTS.STORE_NAME, record.id);
+        if (!stored) return false;
+
+        await UploadQueue._save(record);
+        return true;
+    }
+
+    /**
+     * Ask the browser to run the upload queue from the service worker when back online
+     * @returns {Promise<boolean>} True if background sync was registered
+     */
+    static async requestSync() {
+        if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return false;
+
+        try {
+            const registration = await navigator.serviceWorker.getRegistration();
+            if (!registration || !registration.sync) return false;
+
+            await registration.sync.register(UploadQueue.CONSTANTS.SYNC_TAG);
+            return true;
+        } catch (error) {
+            console.warn('Background sync is not available:', error);
+            return false;
+        }
+    }
+}
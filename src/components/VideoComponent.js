@@ -2,32 +2,181 @@
  * VideoComponent - Handles camera streaming and video recording
  */
 class VideoComponent {
+    static QUALITY = {
+        RESOLUTIONS: {
+            '720p': { width: 1280, height: 720 },
+            '1080p': { width: 1920, height: 1080 },
+            '4k': { width: 3840, height: 2160 }
+        },
+        FRAME_RATES: [24, 30, 60],
+        // Video bits per second for each bitrate level, by resolution
+        BITRATES: {
+            '720p': { low: 1000000, standard: 1500000, high: 3000000 },
+            '1080p': { low: 1500000, standard: 2500000, high: 5000000 },
+            '4k': { low: 6000000, standard: 10000000, high: 20000000 }
+        },
+        MIME_TYPES: [
+            'video/webm;codecs=vp9,opus',
+            'video/webm;codecs=vp8,opus',
+            'video/webm;codecs=av1,opus',
+            'video/webm;codecs=h264,opus',
+            'video/webm',
+            'video/mp4;codecs=h264,aac',
+            'video/mp4'
+        ],
+        DEFAULTS: {
+            resolution: '1080p',
+            frameRate: 30,
+            bitrate: 'standard',
+            mimeType: '' // Empty picks the first supported type
+        }
+    };
+
+    static TIMELINE = {
+        SAMPLE_INTERVAL: 250 // ms between reading position samples while recording
+    };
+
     constructor() {
         this.stream = null;
         this.mediaRecorder = null;
         this.recordedChunks = [];
         this.isRecording = false;
+        this.isPaused = false;
         this.currentCamera = 'user'; // 'user' for front, 'environment' for back
         
+        // Explicitly chosen devices (null uses facingMode / the default microphone)
+        this.videoDeviceId = null;
+        this.audioDeviceId = null;
+        
+        // Called with the new stream whenever the camera is (re)started
+        this.streamListeners = [];
+        
+        // Recording quality (resolution, frame rate, bitrate level, container/codec)
+        this.quality = { ...VideoComponent.QUALITY.DEFAULTS };
+        
+        // Recording duration tracking (excludes paused time)
+        this.recordingStartTime = 0;
+        this.pausedTime = 0;
+        this.pauseStartTime = 0;
+        this.recordingDuration = 0;
+        
+        // Called with (blob, info) when a recording finishes; downloads directly when not set
+        this.recordingHandler = null;
+        
+        // Optional source for the recorded stream (e.g. the overlay compositor); records the camera when not set
+        this.recordingStreamProvider = null;
+        this.releaseRecordingStream = null;
+        
+        // Optional source of the reading position, sampled against recording time for captions
+        this.timelineSource = null;
+        this.recordingTimeline = null;
+        this.timelineTimer = null;
+        
+        // Optional journal that backs up chunks as they arrive: { begin(info) => handle, append(handle, chunk, duration), end(handle) }
+        this.chunkJournal = null;
+        
         this.videoPreview = document.getElementById('videoPreview');
         this.init();
     }
 
     async init() {
         console.log('Initializing VideoComponent...');
+        this.loadDeviceSettings();
+        this.loadQualitySettings();
         await this.setupCamera();
     }
 
-    async setupCamera() {
-        const constraints = {
-            video: {
-                width: { ideal: 1920 },
-                height: { ideal: 1080 },
-                frameRate: { ideal: 30 },
-                facingMode: this.currentCamera
-            },
-            audio: true
+    loadDeviceSettings() {
+        const settings = SettingsStore.load();
+        this.videoDeviceId = settings.videoDeviceId || null;
+        this.audioDeviceId = settings.audioDeviceId || null;
+    }
+
+    loadQualitySettings() {
+        const saved = SettingsStore.load().recordingQuality || {};
+        const { RESOLUTIONS, FRAME_RATES, BITRATES, DEFAULTS } = VideoComponent.QUALITY;
+        
+        // Ignore values from older or hand-edited settings that are no longer offered
+        this.quality = {
+            resolution: RESOLUTIONS[saved.resolution] ? saved.resolution : DEFAULTS.resolution,
+            frameRate: FRAME_RATES.includes(saved.frameRate) ? saved.frameRate : DEFAULTS.frameRate,
+            bitrate: BITRATES[DEFAULTS.resolution][saved.bitrate] ? saved.bitrate : DEFAULTS.bitrate,
+            mimeType: typeof saved.mimeType === 'string' ? saved.mimeType : DEFAULTS.mimeType
+        };
+    }
+
+    getQuality() {
+        return { ...this.quality };
+    }
+
+    async setQuality(values) {
+        if (this.isRecording) {
+            console.warn('Cannot change recording quality while recording');
+            return false;
+        }
+        
+        const previous = this.quality;
+        this.quality = { ...this.quality, ...values };
+        SettingsStore.update({ recordingQuality: this.quality });
+        console.log('Recording quality set to:', this.quality);
+        
+        // Bitrate and format only apply to the next recording; the camera must be reopened for the rest
+        if (previous.resolution !== this.quality.resolution || previous.frameRate !== this.quality.frameRate) {
+            return await this.setupCamera();
+        }
+        return true;
+    }
+
+    getVideoBitrate() {
+        const levels = VideoComponent.QUALITY.BITRATES[this.quality.resolution];
+        return levels[this.quality.bitrate];
+    }
+
+    // What the camera actually granted, which may be lower than requested
+    getTrackSettings() {
+        const videoTrack = this.stream ? this.stream.getVideoTracks()[0] : null;
+        if (!videoTrack || !videoTrack.getSettings) {
+            return null;
+        }
+        
+        const settings = videoTrack.getSettings();
+        return {
+            width: settings.width || null,
+            height: settings.height || null,
+            frameRate: settings.frameRate || null
+        };
+    }
+
+    saveDeviceSettings() {
+        SettingsStore.update({
+            videoDeviceId: this.videoDeviceId,
+            audioDeviceId: this.audioDeviceId
+        });
+    }
+
+    buildConstraints() {
+        const resolution = VideoComponent.QUALITY.RESOLUTIONS[this.quality.resolution];
+        const video = {
+            width: { ideal: resolution.width },
+            height: { ideal: resolution.height },
+            frameRate: { ideal: this.quality.frameRate }
+        };
+        
+        // A chosen device wins over the front/back facing mode
+        if (this.videoDeviceId) {
+            video.deviceId = { exact: this.videoDeviceId };
+        } else {
+            video.facingMode = this.currentCamera;
+        }
+        
+        return {
+            video: video,
+            audio: this.audioDeviceId ? { deviceId: { exact: this.audioDeviceId } } : true
         };
+    }
+
+    async setupCamera() {
+        let constraints = this.buildConstraints();
 
         // Stop existing stream if any
         if (this.stream) {
@@ -36,13 +185,28 @@ class VideoComponent {
 
         try {
             console.log('Requesting camera access with constraints:', constraints);
-            this.stream = await navigator.mediaDevices.getUserMedia(constraints);
+            try {
+                this.stream = await navigator.mediaDevices.getUserMedia(constraints);
+            } catch (error) {
+                // A saved device may have been unplugged - fall back to the defaults
+                const isMissingDevice = error.name === 'OverconstrainedError' || error.name === 'NotFoundError';
+                if (!isMissingDevice || (!this.videoDeviceId && !this.audioDeviceId)) {
+                    throw error;
+                }
+                console.warn('Selected device unavailable, falling back to defaults:', error);
+                this.videoDeviceId = null;
+                this.audioDeviceId = null;
+                this.saveDeviceSettings();
+                constraints = this.buildConstraints();
+                this.stream = await navigator.mediaDevices.getUserMedia(constraints);
+            }
             this.videoPreview.srcObject = this.stream;
             
             console.log('Camera setup successful');
             console.log('Video tracks:', this.stream.getVideoTracks());
             console.log('Audio tracks:', this.stream.getAudioTracks());
             
+            this.notifyStreamListeners();
             return true;
         } catch (error) {
             console.error('Error setting up camera:', error);
@@ -51,9 +215,92 @@ class VideoComponent {
         }
     }
 
+    addStreamListener(listener) {
+        this.streamListeners.push(listener);
+    }
+
+    notifyStreamListeners() {
+        this.streamListeners.forEach(listener => {
+            try {
+                listener(this.stream);
+            } catch (error) {
+                console.error('Stream listener failed:', error);
+            }
+        });
+    }
+
+    async getDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            return { cameras: [], microphones: [] };
+        }
+        
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return {
+            cameras: devices.filter(device => device.kind === 'videoinput'),
+            microphones: devices.filter(device => device.kind === 'audioinput')
+        };
+    }
+
+    // Device ids in use by the live stream (may differ from the saved choice when defaults are used)
+    getActiveDeviceIds() {
+        const videoTrack = this.stream ? this.stream.getVideoTracks()[0] : null;
+        const audioTrack = this.stream ? this.stream.getAudioTracks()[0] : null;
+        return {
+            videoDeviceId: videoTrack && videoTrack.getSettings ? videoTrack.getSettings().deviceId || null : null,
+            audioDeviceId: audioTrack && audioTrack.getSettings ? audioTrack.getSettings().deviceId || null : null
+        };
+    }
+
+    async setVideoDevice(deviceId) {
+        if (this.isRecording) {
+            console.warn('Cannot change camera while recording');
+            return false;
+        }
+        
+        this.videoDeviceId = deviceId || null;
+        this.saveDeviceSettings();
+        return await this.setupCamera();
+    }
+
+    async setAudioDevice(deviceId) {
+        if (this.isRecording) {
+            console.warn('Cannot change microphone while recording');
+            return false;
+        }
+        
+        this.audioDeviceId = deviceId || null;
+        this.saveDeviceSettings();
+        return await this.setupCamera();
+    }
+
     async switchCamera() {
+        if (this.isRecording) {
+            console.warn('Cannot switch camera while recording');
+            return false;
+        }
+        
+        // Cycle through every available camera when more than one is known
+        const { cameras } = await this.getDevices();
+        const selectableCameras = cameras.filter(camera => camera.deviceId);
+        
+        if (selectableCameras.length > 1) {
+            const currentId = this.videoDeviceId || this.getActiveDeviceIds().videoDeviceId;
+            const currentIndex = selectableCameras.findIndex(camera => camera.deviceId === currentId);
+            const nextCamera = selectableCameras[(currentIndex + 1) % selectableCameras.length];
+            
+            console.log('Switching camera to:', nextCamera.label || nextCamera.deviceId);
+            const success = await this.setVideoDevice(nextCamera.deviceId);
+            if (success) {
+                console.log('Camera switched successfully');
+            }
+            return success;
+        }
+        
+        // Fall back to toggling the facing mode (e.g. before device ids are exposed)
         console.log('Switching camera from:', this.currentCamera);
         this.currentCamera = this.currentCamera === 'user' ? 'environment' : 'user';
+        this.videoDeviceId = null;
+        this.saveDeviceSettings();
         console.log('To:', this.currentCamera);
         
         const success = await this.setupCamera();
@@ -63,6 +310,13 @@ class VideoComponent {
         return success;
     }
 
+    getSupportedMimeTypes() {
+        if (!window.MediaRecorder) {
+            return [];
+        }
+        return VideoComponent.QUALITY.MIME_TYPES.filter(type => MediaRecorder.isTypeSupported(type));
+    }
+
     checkRecordingCompatibility() {
         console.log('Checking browser compatibility...');
         
@@ -74,18 +328,10 @@ class VideoComponent {
         }
         
         // Check supported MIME types
-        const supportedTypes = [];
-        const typesToCheck = [
-            'video/webm;codecs=vp9,opus',
-            'video/webm;codecs=vp8,opus',
-            'video/webm',
-            'video/mp4;codecs=h264,aac',
-            'video/mp4'
-        ];
+        const supportedTypes = this.getSupportedMimeTypes();
         
-        typesToCheck.forEach(type => {
-            if (MediaRecorder.isTypeSupported(type)) {
-                supportedTypes.push(type);
+        VideoComponent.QUALITY.MIME_TYPES.forEach(type => {
+            if (supportedTypes.includes(type)) {
                 console.log(`✅ Supported: ${type}`);
             } else {
                 console.log(`❌ Not supported: ${type}`);
@@ -114,39 +360,61 @@ class VideoComponent {
         }
 
         try {
-            // Use the first supported type
-            const mimeType = supportedTypes[0];
-            console.log('Starting recording with MIME type:', mimeType);
+            // Use the chosen type, or the first supported one if it is unavailable here
+            const mimeType = supportedTypes.includes(this.quality.mimeType) ? this.quality.mimeType : supportedTypes[0];
+            const videoBitsPerSecond = this.getVideoBitrate();
+            console.log('Starting recording with MIME type:', mimeType, 'at', videoBitsPerSecond, 'bps');
+            
+            const recordingStream = await this.acquireRecordingStream();
             
             this.recordedChunks = [];
-            this.mediaRecorder = new MediaRecorder(this.stream, {
+            // Backup session of this take; the previous take may still be in review with its own
+            let journalSession = null;
+            this.mediaRecorder = new MediaRecorder(recordingStream, {
                 mimeType: mimeType,
-                videoBitsPerSecond: 2500000 // 2.5 Mbps
+                videoBitsPerSecond: videoBitsPerSecond
             });
 
             this.mediaRecorder.ondataavailable = (event) => {
                 console.log('Data available:', event.data.size, 'bytes');
                 if (event.data.size > 0) {
                     this.recordedChunks.push(event.data);
+                    if (this.chunkJournal && journalSession) {
+                        this.chunkJournal.append(journalSession, event.data, this.isRecording ? this.getRecordingDuration() : this.recordingDuration);
+                    }
                 }
             };
 
             this.mediaRecorder.onstop = () => {
                 console.log('Recording stopped. Total chunks:', this.recordedChunks.length);
-                this.downloadRecording();
+                this.stopRecordingStream();
+                this.finishRecording(journalSession);
             };
 
             this.mediaRecorder.onerror = (event) => {
                 console.error('MediaRecorder error:', event.error);
             };
 
+            if (this.chunkJournal) {
+                journalSession = this.chunkJournal.begin({ mimeType: mimeType, createdAt: Date.now() });
+            }
+            
             this.mediaRecorder.start(1000); // Collect data every second
             this.isRecording = true;
+            this.isPaused = false;
+            this.recordingStartTime = Date.now();
+            this.pausedTime = 0;
+            this.pauseStartTime = 0;
+            this.startTimeline();
             console.log('Recording started successfully');
             return true;
 
         } catch (error) {
             console.error('Error starting recording:', error);
+            this.stopRecordingStream();
+            if (this.chunkJournal && journalSession) {
+                this.chunkJournal.end(journalSession);
+            }
             alert('Failed to start recording. Please try again.');
             return false;
         }
@@ -155,86 +423,225 @@ class VideoComponent {
     stopRecording() {
         if (this.mediaRecorder && this.isRecording) {
             console.log('Stopping recording...');
+            this.sampleTimeline(); // Capture the position the take ends on
+            this.stopTimeline();
+            if (this.isPaused) {
+                this.pausedTime += Date.now() - this.pauseStartTime;
+            }
+            this.recordingDuration = this.getRecordingDuration();
             this.mediaRecorder.stop();
             this.isRecording = false;
+            this.isPaused = false;
             return true;
         }
         return false;
     }
 
-    downloadRecording() {
-        if (this.recordedChunks.length === 0) {
-            console.error('No recorded data to download');
+    pauseRecording() {
+        if (!this.mediaRecorder || !this.isRecording || this.isPaused) {
+            return false;
+        }
+
+        if (typeof this.mediaRecorder.pause !== 'function') {
+            console.error('MediaRecorder pause is not supported in this browser');
+            return false;
+        }
+
+        try {
+            this.mediaRecorder.pause();
+            this.isPaused = true;
+            this.pauseStartTime = Date.now();
+            console.log('Recording paused');
+            return true;
+        } catch (error) {
+            console.error('Error pausing recording:', error);
+            return false;
+        }
+    }
+
+    resumeRecording() {
+        if (!this.mediaRecorder || !this.isRecording || !this.isPaused) {
+            return false;
+        }
+
+        try {
+            this.mediaRecorder.resume();
+            this.isPaused = false;
+            this.pausedTime += Date.now() - this.pauseStartTime;
+            this.pauseStartTime = 0;
+            console.log('Recording resumed');
+            return true;
+        } catch (error) {
+            console.error('Error resuming recording:', error);
+            return false;
+        }
+    }
+
+    getRecordingDuration() {
+        if (!this.recordingStartTime) return 0;
+        
+        const pausedTime = this.pausedTime + (this.isPaused ? Date.now() - this.pauseStartTime : 0);
+        return Math.max(0, Date.now() - this.recordingStartTime - pausedTime) / 1000;
+    }
+
+    setRecordingHandler(handler) {
+        this.recordingHandler = handler;
+    }
+
+    // provider(stream) resolves with { stream, release } to record instead of the camera, or null to record the camera
+    setRecordingStreamProvider(provider) {
+        this.recordingStreamProvider = provider;
+    }
+
+    setChunkJournal(journal) {
+        this.chunkJournal = journal;
+    }
+
+    // source is { getLines() => string[], getPosition() => { line, progress } | null }
+    setTimelineSource(source) {
+        this.timelineSource = source;
+    }
+
+    startTimeline() {
+        this.stopTimeline();
+        this.recordingTimeline = null;
+        if (!this.timelineSource) return;
+        
+        try {
+            this.recordingTimeline = { lines: this.timelineSource.getLines(), samples: [] };
+        } catch (error) {
+            console.error('Could not read the script for captions:', error);
             return;
         }
+        this.timelineTimer = setInterval(() => this.sampleTimeline(), VideoComponent.TIMELINE.SAMPLE_INTERVAL);
+    }
+
+    sampleTimeline() {
+        // Paused time is not in the video, so there is nothing to align
+        if (!this.recordingTimeline || !this.isRecording || this.isPaused) return;
+        
+        const position = this.timelineSource.getPosition();
+        if (!position) return; // Not scrolling yet (e.g. during the countdown)
+        
+        this.recordingTimeline.samples.push({
+            time: this.getRecordingDuration(),
+            line: position.line,
+            progress: position.progress
+        });
+    }
+
+    stopTimeline() {
+        if (this.timelineTimer) {
+            clearInterval(this.timelineTimer);
+            this.timelineTimer = null;
+        }
+    }
+
+    async acquireRecordingStream() {
+        if (!this.recordingStreamProvider) {
+            return this.stream;
+        }
+        
+        try {
+            const result = await this.recordingStreamProvider(this.stream);
+            if (result && result.stream) {
+                this.releaseRecordingStream = result.release || null;
+                return result.stream;
+            }
+        } catch (error) {
+            // Recording the plain camera beats not recording at all
+            console.error('Recording stream provider failed, recording the camera instead:', error);
+        }
+        return this.stream;
+    }
+
+    stopRecordingStream() {
+        if (this.releaseRecordingStream) {
+            this.releaseRecordingStream();
+            this.releaseRecordingStream = null;
+        }
+    }
 
-        console.log('Creating download from', this.recordedChunks.length, 'chunks');
+    createRecordingBlob() {
+        if (this.recordedChunks.length === 0) {
+            return null;
+        }
         
-        // Determine file extension based on the first chunk's type
+        // Use the first chunk's type for the whole recording
         const blob = new Blob(this.recordedChunks, { type: this.recordedChunks[0].type });
         console.log('Blob created:', blob.size, 'bytes, type:', blob.type);
-        
-        const url = URL.createObjectURL(blob);
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        
-        // Determine file extension
-        let extension = 'webm';
-        if (blob.type.includes('mp4')) {
-            extension = 'mp4';
-        }
-        
-        const filename = `teleprompter-recording-${timestamp}.${extension}`;
-        
-        // Check if we're on iOS Safari (which handles downloads differently)
-        const isIOSSafari = /iPad|iPhone|iPod/.test(navigator.userAgent) && !window.MSStream;
-        
-        if (isIOSSafari) {
-            // For iOS Safari, open in new tab so user can save manually
-            console.log('iOS Safari detected, opening video in new tab');
-            const newWindow = window.open();
-            newWindow.document.write(`
-                <html>
-                    <head><title>Teleprompter Recording</title></head>
-                    <body style="margin:0; display:flex; justify-content:center; align-items:center; min-height:100vh; background:#000;">
-                        <div style="text-align:center; color:white; font-family:Arial;">
-                            <h2>Your Recording</h2>
-                            <video controls autoplay style="max-width:100%; max-height:80vh;">
-                                <source src="${url}" type="${blob.type}">
-                            </video>
-                            <p>Long press the video and select "Save to Photos" to download</p>
-                        </div>
-                    </body>
-                </html>
-            `);
-        } else {
-            // Standard download for other browsers
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = filename;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            console.log('Download initiated:', filename);
+        return blob;
+    }
+
+    async finishRecording(journalSession) {
+        try {
+            await this.deliverRecording();
+        } finally {
+            // The take has been kept, discarded or downloaded, so its backup is no longer needed
+            if (this.chunkJournal && journalSession) {
+                this.chunkJournal.end(journalSession);
+            }
+        }
+    }
+
+    async deliverRecording() {
+        const blob = this.createRecordingBlob();
+        if (!blob) {
+            console.error('No recorded data to save');
+            return;
         }
         
-        // Clean up
-        setTimeout(() => {
-            URL.revokeObjectURL(url);
-        }, 5000);
+        const info = {
+            duration: this.recordingDuration || 0,
+            mimeType: blob.type,
+            createdAt: this.recordingStartTime || Date.now()
+        };
+        if (this.recordingTimeline && this.recordingTimeline.samples.length > 0) {
+            info.timeline = this.recordingTimeline;
+        }
         
         // Reset for next recording
         this.recordedChunks = [];
+        this.recordingStartTime = 0;
+        this.recordingTimeline = null;
+        
+        if (!this.recordingHandler) {
+            FileSaver.download(blob, this.getDefaultFilename(blob.type));
+            return;
+        }
+        
+        try {
+            await this.recordingHandler(blob, info);
+        } catch (error) {
+            // Never lose a take - fall back to a direct download
+            console.error('Recording handler failed, downloading instead:', error);
+            FileSaver.download(blob, this.getDefaultFilename(blob.type));
+        }
+    }
+
+    getFileExtension(mimeType) {
+        return mimeType && mimeType.includes('mp4') ? 'mp4' : 'webm';
+    }
+
+    getDefaultFilename(mimeType) {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        return `teleprompter-recording-${timestamp}.${this.getFileExtension(mimeType)}`;
     }
 
     getRecordingState() {
         return {
             isRecording: this.isRecording,
+            isPaused: this.isPaused,
             currentCamera: this.currentCamera,
+            videoDeviceId: this.videoDeviceId,
+            audioDeviceId: this.audioDeviceId,
+            quality: this.getQuality(),
             hasStream: !!this.stream
         };
     }
 
     destroy() {
+        this.stopTimeline();
         if (this.stream) {
             this.stream.getTracks().forEach(track => track.stop());
         }
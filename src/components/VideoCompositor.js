@@ -0,0 +1,321 @@
+/**
+ * VideoCompositor - Draws camera frames and overlays (logo, lower-third, watermark) onto a canvas
+ * The canvas stream, mixed with the original audio, is what gets recorded when overlays are on
+ */
+class VideoCompositor {
+    static CONSTANTS = {
+        DEFAULT_FRAME_RATE: 30,
+        MARGIN_RATIO: 0.04, // Distance from the frame edges, as a fraction of the height
+        LOWER_THIRD: {
+            NAME_SIZE_RATIO: 0.045,
+            TITLE_SIZE_RATIO: 0.03,
+            PADDING_RATIO: 0.018,
+            BACKGROUND: 'rgba(0, 0, 0, 0.65)',
+            ACCENT: '#f44336',
+            NAME_COLOR: '#ffffff',
+            TITLE_COLOR: '#dddddd'
+        },
+        WATERMARK_SIZE_RATIO: 0.035,
+        FONT_FAMILY: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif'
+    };
+
+    /**
+     * @constructor
+     * @param {MediaStream} sourceStream - Camera stream to composite
+     * @param {Object} layout - Overlay layout (see OverlayComponent.createDefaultLayout)
+     * @param {Object} [options] - Options
+     * @param {number} [options.frameRate] - Output frame rate
+     */
+    constructor(sourceStream, layout, { frameRate } = {}) {
+        this.sourceStream = sourceStream;
+        this.layout = layout;
+        this.frameRate = frameRate || VideoCompositor.CONSTANTS.DEFAULT_FRAME_RATE;
+
+        this.video = null;
+        this.canvas = null;
+        this.context = null;
+        this.outputStream = null;
+        this.logoImage = null;
+        this.isRunning = false;
+
+        // Pending draw: a video frame callback, or a timer when those are unavailable or the tab is hidden
+        this.frameCallback = null;
+        this.frameTimer = null;
+        this.handleVisibilityChange = () => this._scheduleFrame();
+    }
+
+    /**
+     * Check whether canvas compositing is possible in this browser
+     * @returns {boolean} True if supported
+     */
+    static isSupported() {
+        return !!HTMLCanvasElement.prototype.captureStream;
+    }
+
+    /**
+     * Start drawing and return the composited stream
+     * @returns {Promise<MediaStream>} Canvas video plus the source audio tracks
+     * @throws {Error} If compositing is not supported or the camera frames cannot be played
+     */
+    async start() {
+        if (!VideoCompositor.isSupported()) {
+            throw new Error('Canvas recording is not supported in this browser');
+        }
+
+        this.video = document.createElement('video');
+        this.video.muted = true;
+        this.video.playsInline = true;
+        this.video.srcObject = new MediaStream(this.sourceStream.getVideoTracks());
+        await this.video.play();
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.video.videoWidth;
+        this.canvas.height = this.video.videoHeight;
+        this.context = this.canvas.getContext('2d');
+        this.logoImage = await VideoCompositor.loadLogo(this.layout);
+
+        this.outputStream = this.canvas.captureStream(this.frameRate);
+        this.sourceStream.getAudioTracks().forEach(track => this.outputStream.addTrack(track));
+
+        this.isRunning = true;
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        this._drawNextFrame();
+
+        console.log(`Compositing at ${this.canvas.width}x${this.canvas.height}`);
+        return this.outputStream;
+    }
+
+    /**
+     * Stop drawing and release the canvas stream (the source tracks keep running)
+     */
+    stop() {
+        this.isRunning = false;
+        this._cancelFrame();
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+
+        if (this.outputStream) {
+            this.outputStream.getVideoTracks().forEach(track => track.stop());
+            this.outputStream = null;
+        }
+        if (this.video) {
+            this.video.pause();
+            this.video.srcObject = null;
+            this.video = null;
+        }
+        if (this.logoImage && this.logoImage.close) {
+            this.logoImage.close();
+        }
+        this.logoImage = null;
+    }
+
+    // === FRAME LOOP ===
+
+    /**
+     * Draw the current camera frame and schedule the next one
+     * @private
+     */
+    _drawNextFrame() {
+        if (!this.isRunning) return;
+
+        VideoCompositor.drawFrame(this.context, this.video, this.layout, this.logoImage);
+        this._scheduleFrame();
+    }
+
+    /**
+     * Schedule the next draw, replacing any pending one
+     * requestAnimationFrame would stop in a hidden tab and freeze the recording, so frames
+     * follow the camera while visible and a timer at the output frame rate while hidden
+     * (browsers may slow that timer down, but the recording keeps moving)
+     * @private
+     */
+    _scheduleFrame() {
+        if (!this.isRunning) return;
+        this._cancelFrame();
+
+        if (this.video.requestVideoFrameCallback && !document.hidden) {
+            this.frameCallback = this.video.requestVideoFrameCallback(() => {
+                this.frameCallback = null;
+                this._drawNextFrame();
+            });
+        } else {
+            this.frameTimer = setTimeout(() => {
+                this.frameTimer = null;
+                this._drawNextFrame();
+            }, 1000 / this.frameRate);
+        }
+    }
+
+    /**
+     * Cancel the pending draw
+     * @private
+     */
+    _cancelFrame() {
+        if (this.frameCallback !== null && this.video) {
+            this.video.cancelVideoFrameCallback(this.frameCallback);
+        }
+        this.frameCallback = null;
+
+        clearTimeout(this.frameTimer);
+        this.frameTimer = null;
+    }
+
+    // === DRAWING ===
+
+    /**
+     * Decode the logo of a layout
+     * @param {Object} layout - Overlay layout
+     * @returns {Promise<ImageBitmap|null>} The logo, or null when there is none
+     */
+    static async loadLogo(layout) {
+        if (!layout.logo.enabled || !layout.logo.blob) {
+            return null;
+        }
+
+        try {
+            return await createImageBitmap(layout.logo.blob);
+        } catch (error) {
+            console.error('Failed to decode overlay logo:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Draw one camera frame with its overlays, filling the context's canvas
+     * @param {CanvasRenderingContext2D} context - Target context
+     * @param {HTMLVideoElement|null} video - Camera frames, or null to draw the overlays on black
+     * @param {Object} layout - Overlay layout
+     * @param {ImageBitmap|null} logoImage - Decoded logo
+     */
+    static drawFrame(context, video, layout, logoImage) {
+        const { width, height } = context.canvas;
+
+        context.fillStyle = '#000000';
+        context.fillRect(0, 0, width, height);
+        if (video && video.readyState >= 2) {
+            context.drawImage(video, 0, 0, width, height);
+        }
+
+        if (layout.logo.enabled && logoImage) {
+            VideoCompositor._drawLogo(context, layout.logo, logoImage);
+        }
+        if (layout.lowerThird.enabled && (layout.lowerThird.name || layout.lowerThird.title)) {
+            VideoCompositor._drawLowerThird(context, layout.lowerThird);
+        }
+        if (layout.watermark.enabled && layout.watermark.text) {
+            VideoCompositor._drawWatermark(context, layout.watermark);
+        }
+    }
+
+    /**
+     * Get the top-left point for a box placed in a corner
+     * @private
+     * @param {string} position - 'top-left', 'top-right', 'bottom-left' or 'bottom-right'
+     * @param {number} boxWidth - Box width
+     * @param {number} boxHeight - Box height
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @returns {Object} { x, y }
+     */
+    static _cornerPosition(position, boxWidth, boxHeight, width, height) {
+        const margin = height * VideoCompositor.CONSTANTS.MARGIN_RATIO;
+        return {
+            x: position.endsWith('left') ? margin : width - margin - boxWidth,
+            y: position.startsWith('top') ? margin : height - margin - boxHeight
+        };
+    }
+
+    /**
+     * Draw the logo in its corner
+     * @private
+     * @param {CanvasRenderingContext2D} context - Target context
+     * @param {Object} logo - Logo layout: { position, size, opacity }
+     * @param {ImageBitmap} image - Decoded logo
+     */
+    static _drawLogo(context, logo, image) {
+        const { width, height } = context.canvas;
+        const logoWidth = width * logo.size / 100;
+        const logoHeight = logoWidth * image.height / image.width;
+        const { x, y } = VideoCompositor._cornerPosition(logo.position, logoWidth, logoHeight, width, height);
+
+        context.save();
+        context.globalAlpha = logo.opacity / 100;
+        context.drawImage(image, x, y, logoWidth, logoHeight);
+        context.restore();
+    }
+
+    /**
+     * Draw the name/title bar in the lower third
+     * @private
+     * @param {CanvasRenderingContext2D} context - Target context
+     * @param {Object} lowerThird - Lower-third layout: { name, title }
+     */
+    static _drawLowerThird(context, lowerThird) {
+        const { LOWER_THIRD, MARGIN_RATIO, FONT_FAMILY } = VideoCompositor.CONSTANTS;
+        const { width, height } = context.canvas;
+        const nameSize = Math.round(height * LOWER_THIRD.NAME_SIZE_RATIO);
+        const titleSize = Math.round(height * LOWER_THIRD.TITLE_SIZE_RATIO);
+        const padding = height * LOWER_THIRD.PADDING_RATIO;
+        const accentWidth = padding / 2;
+
+        context.save();
+        context.textBaseline = 'top';
+
+        context.font = `700 ${nameSize}px ${FONT_FAMILY}`;
+        const nameWidth = lowerThird.name ? context.measureText(lowerThird.name).width : 0;
+        context.font = `400 ${titleSize}px ${FONT_FAMILY}`;
+        const titleWidth = lowerThird.title ? context.measureText(lowerThird.title).width : 0;
+
+        const lineGap = lowerThird.name && lowerThird.title ? padding / 2 : 0;
+        const textHeight = (lowerThird.name ? nameSize : 0) + lineGap + (lowerThird.title ? titleSize : 0);
+        const boxWidth = Math.min(width * 0.8, Math.max(nameWidth, titleWidth) + padding * 2 + accentWidth);
+        const boxHeight = textHeight + padding * 2;
+        const x = height * MARGIN_RATIO;
+        const y = height * 0.78 - boxHeight / 2;
+
+        context.fillStyle = LOWER_THIRD.BACKGROUND;
+        context.fillRect(x, y, boxWidth, boxHeight);
+        context.fillStyle = LOWER_THIRD.ACCENT;
+        context.fillRect(x, y, accentWidth, boxHeight);
+
+        const textX = x + accentWidth + padding;
+        const maxTextWidth = boxWidth - accentWidth - padding * 2;
+        let textY = y + padding;
+        if (lowerThird.name) {
+            context.font = `700 ${nameSize}px ${FONT_FAMILY}`;
+            context.fillStyle = LOWER_THIRD.NAME_COLOR;
+            context.fillText(lowerThird.name, textX, textY, maxTextWidth);
+            textY += nameSize + lineGap;
+        }
+        if (lowerThird.title) {
+            context.font = `400 ${titleSize}px ${FONT_FAMILY}`;
+            context.fillStyle = LOWER_THIRD.TITLE_COLOR;
+            context.fillText(lowerThird.title, textX, textY, maxTextWidth);
+        }
+
+        context.restore();
+    }
+
+    /**
+     * Draw the watermark text in its corner
+     * @private
+     * @param {CanvasRenderingContext2D} context - Target context
+     * @param {Object} watermark - Watermark layout: { text, position, opacity }
+     */
+    static _drawWatermark(context, watermark) {
+        const { width, height } = context.canvas;
+        const fontSize = Math.round(height * VideoCompositor.CONSTANTS.WATERMARK_SIZE_RATIO);
+
+        context.save();
+        context.font = `600 ${fontSize}px ${VideoCompositor.CONSTANTS.FONT_FAMILY}`;
+        context.textBaseline = 'top';
+        const textWidth = context.measureText(watermark.text).width;
+        const { x, y } = VideoCompositor._cornerPosition(watermark.position, textWidth, fontSize, width, height);
+
+        context.globalAlpha = watermark.opacity / 100;
+        context.fillStyle = '#ffffff';
+        context.shadowColor = 'rgba(0, 0, 0, 0.6)';
+        context.shadowBlur = fontSize / 4;
+        context.fillText(watermark.text, x, y);
+        context.restore();
+    }
+}
@@ -0,0 +1,181 @@
+/**
+ * VideoTrimmer - Cuts a recording to an in/out range in the browser
+ * MediaRecorder output cannot be cut without a muxer, so the selected range is
+ * played back onto a canvas and re-recorded together with its audio
+ */
+class VideoTrimmer {
+    static CONSTANTS = {
+        FRAME_RATE: 30,
+        VIDEO_BITS_PER_SECOND: 2500000,
+        DURATION_PROBE_TIME: 1e101 // Seeking far past the end makes browsers compute the real duration
+    };
+
+    /**
+     * Check whether re-encoding is possible in this browser
+     * @returns {boolean} True if trimming is supported
+     */
+    static isSupported() {
+        return !!(window.MediaRecorder && HTMLCanvasElement.prototype.captureStream);
+    }
+
+    /**
+     * Wait for a media element event
+     * @param {HTMLMediaElement} element - Media element
+     * @param {string} eventName - Event to wait for
+     * @returns {Promise<void>}
+     */
+    static waitForEvent(element, eventName) {
+        return new Promise((resolve, reject) => {
+            const onEvent = () => {
+                element.removeEventListener('error', onError);
+                resolve();
+            };
+            const onError = () => {
+                element.removeEventListener(eventName, onEvent);
+                reject(element.error || new Error(`Media error while waiting for ${eventName}`));
+            };
+            element.addEventListener(eventName, onEvent, { once: true });
+            element.addEventListener('error', onError, { once: true });
+        });
+    }
+
+    /**
+     * Get the duration of a loaded video, working around recordings without duration metadata
+     * @param {HTMLVideoElement} video - Video with metadata loaded
+     * @param {number} [fallback=0] - Duration to use if none can be determined
+     * @returns {Promise<number>} Duration in seconds
+     */
+    static async resolveDuration(video, fallback = 0) {
+        if (isFinite(video.duration) && video.duration > 0) {
+            return video.duration;
+        }
+
+        // MediaRecorder WebM files often report Infinity until the end has been seen
+        const seeked = VideoTrimmer.waitForEvent(video, 'seeked');
+        video.currentTime = VideoTrimmer.CONSTANTS.DURATION_PROBE_TIME;
+        try {
+            await seeked;
+        } catch (error) {
+            return fallback;
+        }
+
+        const duration = isFinite(video.duration) && video.duration > 0 ? video.duration : fallback;
+        video.currentTime = 0;
+        return duration;
+    }
+
+    /**
+     * Re-encode the range between start and end
+     * @param {Blob} blob - Source recording
+     * @param {number} start - In point in seconds
+     * @param {number} end - Out point in seconds
+     * @param {Object} [options] - Options
+     * @param {string} [options.mimeType] - Output MIME type (defaults to the source type)
+     * @param {Function} [options.onProgress] - Called with progress from 0 to 1
+     * @returns {Promise<Blob>} The trimmed recording
+     * @throws {Error} If trimming is not supported or playback fails
+     */
+    static async trim(blob, start, end, { mimeType, onProgress } = {}) {
+        if (!VideoTrimmer.isSupported()) {
+            throw new Error('Trimming is not supported in this browser');
+        }
+
+        const url = URL.createObjectURL(blob);
+        const video = document.createElement('video');
+        video.playsInline = true;
+        video.preload = 'auto';
+        video.src = url;
+
+        let audioContext = null;
+        let animationFrame = null;
+
+        try {
+            await VideoTrimmer.waitForEvent(video, 'loadedmetadata');
+
+            const canvas = document.createElement('canvas');
+            canvas.width = video.videoWidth;
+            canvas.height = video.videoHeight;
+            const context = canvas.getContext('2d');
+            const stream = canvas.captureStream(VideoTrimmer.CONSTANTS.FRAME_RATE);
+
+            // Route the audio into the new stream instead of the speakers
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (AudioContextClass) {
+                audioContext = new AudioContextClass();
+                const source = audioContext.createMediaElementSource(video);
+                const destination = audioContext.createMediaStreamDestination();
+                source.connect(destination);
+                destination.stream.getAudioTracks().forEach(track => stream.addTrack(track));
+            }
+
+            const seeked = VideoTrimmer.waitForEvent(video, 'seeked');
+            video.currentTime = start;
+            await seeked;
+            context.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+            const outputType = mimeType || blob.type;
+            const recorderOptions = { videoBitsPerSecond: VideoTrimmer.CONSTANTS.VIDEO_BITS_PER_SECOND };
+            if (outputType && MediaRecorder.isTypeSupported(outputType)) {
+                recorderOptions.mimeType = outputType;
+            }
+
+            const recorder = new MediaRecorder(stream, recorderOptions);
+            const chunks = [];
+            recorder.ondataavailable = (event) => {
+                if (event.data.size > 0) {
+                    chunks.push(event.data);
+                }
+            };
+
+            const stopped = new Promise((resolve, reject) => {
+                recorder.onstop = resolve;
+                recorder.onerror = (event) => reject(event.error);
+            });
+
+            recorder.start(1000);
+            if (audioContext && audioContext.state === 'suspended') {
+                await audioContext.resume();
+            }
+            await video.play();
+
+            await new Promise((resolve, reject) => {
+                const drawFrame = () => {
+                    context.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+                    if (onProgress) {
+                        onProgress(Math.min(1, Math.max(0, (video.currentTime - start) / (end - start))));
+                    }
+
+                    if (video.currentTime >= end || video.ended) {
+                        resolve();
+                        return;
+                    }
+                    animationFrame = requestAnimationFrame(drawFrame);
+                };
+
+                video.addEventListener('error', () => reject(video.error), { once: true });
+                animationFrame = requestAnimationFrame(drawFrame);
+            });
+
+            video.pause();
+            recorder.stop();
+            await stopped;
+            stream.getTracks().forEach(track => track.stop());
+
+            if (chunks.length === 0) {
+                throw new Error('Trimming produced no data');
+            }
+
+            return new Blob(chunks, { type: chunks[0].type || outputType });
+        } finally {
+            cancelAnimationFrame(animationFrame);
+            video.pause();
+            video.removeAttribute('src');
+            video.load();
+            URL.revokeObjectURL(url);
+            if (audioContext) {
+                audioContext.close();
+            }
+        }
+    }
+}
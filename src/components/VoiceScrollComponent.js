@@ -0,0 +1,277 @@
+/**
+ * VoiceScrollComponent - Lets the speaker's voice drive the scroll
+ * Reads the microphone level from the audio meter (all on-device) and eases the
+ * script to a stop during silences, picking the pace back up when speech resumes
+ */
+class VoiceScrollComponent {
+    static CONSTANTS = {
+        DEFAULT_ENABLED: false,
+        DEFAULT_START_THRESHOLD: -40, // dBFS needed to detect speech
+        DEFAULT_STOP_THRESHOLD: -50, // dBFS below which speech is considered over
+        DEFAULT_HANG_TIME: 800, // Milliseconds of quiet before the scroll eases out
+        MIN_THRESHOLD: -80,
+        MAX_THRESHOLD: 0,
+        MAX_HANG_TIME: 5000,
+        EASE_IN_MS: 250, // Time constant for speeding back up
+        EASE_OUT_MS: 500, // Time constant for slowing to a stop
+        CSS_CLASSES: {
+            LISTENING: 'voice-listening',
+            SPEAKING: 'voice-speaking'
+        }
+    };
+
+    /**
+     * @constructor
+     * @param {AudioMeterComponent} audioMeterComponent - Source of the microphone level
+     * @param {ScriptComponent} scriptComponent - Script whose scroll speed is driven
+     */
+    constructor(audioMeterComponent, scriptComponent) {
+        this.audioMeterComponent = audioMeterComponent;
+        this.scriptComponent = scriptComponent;
+
+        // DOM elements
+        this.enabledInput = document.getElementById('voiceScrollEnabledInput');
+        this.startThresholdInput = document.getElementById('voiceStartThresholdInput');
+        this.stopThresholdInput = document.getElementById('voiceStopThresholdInput');
+        this.hangTimeInput = document.getElementById('voiceHangTimeInput');
+        this.scriptBox = document.getElementById('scriptBox');
+
+        this.settings = {
+            voiceScrollEnabled: VoiceScrollComponent.CONSTANTS.DEFAULT_ENABLED,
+            voiceStartThreshold: VoiceScrollComponent.CONSTANTS.DEFAULT_START_THRESHOLD,
+            voiceStopThreshold: VoiceScrollComponent.CONSTANTS.DEFAULT_STOP_THRESHOLD,
+            voiceHangTime: VoiceScrollComponent.CONSTANTS.DEFAULT_HANG_TIME
+        };
+
+        // Detection state
+        this.isSpeaking = false;
+        this.lastVoiceTime = 0;
+        this.factor = 0;
+        this.lastFrameTime = 0;
+        this.animationFrame = null;
+
+        this.init();
+    }
+
+    init() {
+        console.log('Initializing VoiceScrollComponent...');
+        this._loadSettings();
+        this._setupEventListeners();
+        this._updateInputs();
+        this._applyEnabled();
+    }
+
+    // === SETTINGS MANAGEMENT ===
+
+    /**
+     * Load voice scrolling settings
+     * @private
+     */
+    _loadSettings() {
+        const settings = SettingsStore.load();
+
+        if (settings.voiceScrollEnabled !== undefined) {
+            this.settings.voiceScrollEnabled = !!settings.voiceScrollEnabled;
+        }
+        if (settings.voiceStartThreshold !== undefined) {
+            this.settings.voiceStartThreshold = this._clampThreshold(settings.voiceStartThreshold);
+        }
+        if (settings.voiceStopThreshold !== undefined) {
+            this.settings.voiceStopThreshold = this._clampThreshold(settings.voiceStopThreshold);
+        }
+        if (settings.voiceHangTime !== undefined) {
+            this.settings.voiceHangTime = this._clampHangTime(settings.voiceHangTime);
+        }
+    }
+
+    /**
+     * Save voice scrolling settings
+     * @private
+     */
+    _saveSettings() {
+        SettingsStore.update(this.settings);
+    }
+
+    /**
+     * Clamp a threshold to the allowed range
+     * @private
+     * @param {*} value - Raw value
+     * @returns {number} Whole dBFS between MIN_THRESHOLD and MAX_THRESHOLD
+     */
+    _clampThreshold(value) {
+        const db = parseInt(value, 10);
+        if (isNaN(db)) return VoiceScrollComponent.CONSTANTS.DEFAULT_START_THRESHOLD;
+        return Math.max(VoiceScrollComponent.CONSTANTS.MIN_THRESHOLD, Math.min(VoiceScrollComponent.CONSTANTS.MAX_THRESHOLD, db));
+    }
+
+    /**
+     * Clamp a hang time to the allowed range
+     * @private
+     * @param {*} value - Raw value
+     * @returns {number} Milliseconds between 0 and MAX_HANG_TIME
+     */
+    _clampHangTime(value) {
+        const ms = parseInt(value, 10);
+        if (isNaN(ms)) return VoiceScrollComponent.CONSTANTS.DEFAULT_HANG_TIME;
+        return Math.max(0, Math.min(VoiceScrollComponent.CONSTANTS.MAX_HANG_TIME, ms));
+    }
+
+    /**
+     * Bind the settings panel inputs
+     * @private
+     */
+    _setupEventListeners() {
+        this.enabledInput.addEventListener('change', () => this.setEnabled(this.enabledInput.checked));
+        this.startThresholdInput.addEventListener('change', () => {
+            this.setThresholds(this.startThresholdInput.value, this.settings.voiceStopThreshold);
+        });
+        this.stopThresholdInput.addEventListener('change', () => {
+            this.setThresholds(this.settings.voiceStartThreshold, this.stopThresholdInput.value);
+        });
+        this.hangTimeInput.addEventListener('change', () => this.setHangTime(this.hangTimeInput.value));
+    }
+
+    /**
+     * Reflect settings in the settings panel inputs
+     * @private
+     */
+    _updateInputs() {
+        this.enabledInput.checked = this.settings.voiceScrollEnabled;
+        this.startThresholdInput.value = this.settings.voiceStartThreshold;
+        this.stopThresholdInput.value = this.settings.voiceStopThreshold;
+        this.hangTimeInput.value = this.settings.voiceHangTime;
+    }
+
+    // === PUBLIC API METHODS ===
+
+    /**
+     * Turn voice-driven scrolling on or off
+     * @param {boolean} enabled - Whether the voice drives the scroll
+     */
+    setEnabled(enabled) {
+        this.settings.voiceScrollEnabled = !!enabled;
+        this._saveSettings();
+        this._updateInputs();
+        this._applyEnabled();
+    }
+
+    /**
+     * Set the speech detection thresholds
+     * @param {number} startThreshold - dBFS needed to detect speech
+     * @param {number} stopThreshold - dBFS below which speech ends, kept at or below the start threshold
+     */
+    setThresholds(startThreshold, stopThreshold) {
+        const start = this._clampThreshold(startThreshold);
+        this.settings.voiceStartThreshold = start;
+        this.settings.voiceStopThreshold = Math.min(start, this._clampThreshold(stopThreshold));
+        this._saveSettings();
+        this._updateInputs();
+    }
+
+    /**
+     * Set how long quiet must last before the scroll eases out
+     * @param {number} milliseconds - Hang time
+     */
+    setHangTime(milliseconds) {
+        this.settings.voiceHangTime = this._clampHangTime(milliseconds);
+        this._saveSettings();
+        this._updateInputs();
+    }
+
+    /**
+     * Check whether voice-driven scrolling is on
+     * @returns {boolean} True if enabled
+     */
+    isEnabled() {
+        return this.settings.voiceScrollEnabled;
+    }
+
+    /**
+     * Get voice scrolling settings
+     * @returns {Object} Copy of the settings
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    // === DETECTION ===
+
+    /**
+     * Start or stop the detection loop to match the setting
+     * @private
+     */
+    _applyEnabled() {
+        cancelAnimationFrame(this.animationFrame);
+        this.animationFrame = null;
+        this.isSpeaking = false;
+        this.factor = 0;
+
+        const { LISTENING, SPEAKING } = VoiceScrollComponent.CONSTANTS.CSS_CLASSES;
+        this.scriptBox.classList.toggle(LISTENING, this.settings.voiceScrollEnabled);
+        this.scriptBox.classList.remove(SPEAKING);
+
+        if (!this.settings.voiceScrollEnabled) {
+            this.scriptComponent.setSpeedFactor(1);
+            return;
+        }
+
+        console.log('Voice-driven scrolling enabled');
+        this.lastFrameTime = performance.now();
+        const detect = (now) => {
+            this._update(now);
+            this.animationFrame = requestAnimationFrame(detect);
+        };
+        this.animationFrame = requestAnimationFrame(detect);
+    }
+
+    /**
+     * Detect speech and ease the scroll speed towards it
+     * @private
+     * @param {number} now - Frame timestamp
+     */
+    _update(now) {
+        const { EASE_IN_MS, EASE_OUT_MS, CSS_CLASSES } = VoiceScrollComponent.CONSTANTS;
+        const elapsed = Math.min(now - this.lastFrameTime, 1000);
+        this.lastFrameTime = now;
+
+        // Without a microphone the voice can never start the scroll - run at full speed instead
+        if (!this.audioMeterComponent.isAvailable()) {
+            this.scriptComponent.setSpeedFactor(1);
+            return;
+        }
+
+        // Each new scroll waits for the speaker to start talking
+        if (!this.scriptComponent.isScrolling()) {
+            this.factor = 0;
+            this.isSpeaking = false;
+            this.scriptComponent.setSpeedFactor(0);
+            this.scriptBox.classList.remove(CSS_CLASSES.SPEAKING);
+            return;
+        }
+
+        // Hysteresis: a louder level starts speech, a quieter one keeps it going
+        const level = this.audioMeterComponent.getLevel();
+        const threshold = this.isSpeaking ? this.settings.voiceStopThreshold : this.settings.voiceStartThreshold;
+        if (level > threshold) {
+            this.lastVoiceTime = now;
+            this.isSpeaking = true;
+        } else if (now - this.lastVoiceTime > this.settings.voiceHangTime) {
+            this.isSpeaking = false;
+        }
+
+        const target = this.isSpeaking ? 1 : 0;
+        const timeConstant = target > this.factor ? EASE_IN_MS : EASE_OUT_MS;
+        this.factor += (target - this.factor) * (1 - Math.exp(-elapsed / timeConstant));
+        if (Math.abs(target - this.factor) < 0.01) {
+            this.factor = target;
+        }
+
+        this.scriptComponent.setSpeedFactor(this.factor);
+        this.scriptBox.classList.toggle(CSS_CLASSES.SPEAKING, this.isSpeaking);
+    }
+
+    destroy() {
+        cancelAnimationFrame(this.animationFrame);
+        this.animationFrame = null;
+    }
+}
@@ -0,0 +1,158 @@
+/**
+ * ZipReader - Reads entries from zip archives in the browser
+ * Supports stored and deflated entries (inflated with DecompressionStream),
+ * which covers Office documents such as .docx
+ */
+class ZipReader {
+    static CONSTANTS = {
+        LOCAL_FILE_HEADER_SIGNATURE: 0x04034b50,
+        CENTRAL_DIRECTORY_SIGNATURE: 0x02014b50,
+        END_OF_CENTRAL_DIRECTORY_SIGNATURE: 0x06054b50,
+        END_OF_CENTRAL_DIRECTORY_SIZE: 22,
+        MAX_COMMENT_SIZE: 0xFFFF,
+        ENCRYPTED_FLAG: 0x0001,
+        UTF8_FLAG: 0x0800,
+        METHOD_STORED: 0,
+        METHOD_DEFLATE: 8
+    };
+
+    /**
+     * Check if deflated entries can be read in this browser
+     * @returns {boolean} True if DecompressionStream supports raw deflate
+     */
+    static isSupported() {
+        if (typeof DecompressionStream === 'undefined') return false;
+        try {
+            new DecompressionStream('deflate-raw');
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * List the entries of an archive
+     * @param {Uint8Array} bytes - Whole archive
+     * @returns {Object[]} Entries: { name, method, flags, crc, compressedSize, size, offset }
+     * @throws {Error} If the data is not a readable zip archive
+     */
+    static readEntries(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const endOffset = ZipReader._findEndOfCentralDirectory(view);
+        if (endOffset === -1) {
+            throw new Error('Not a zip archive');
+        }
+
+        const count = view.getUint16(endOffset + 10, true);
+        let offset = view.getUint32(endOffset + 16, true);
+        const entries = [];
+
+        for (let i = 0; i < count; i++) {
+            if (offset + 46 > view.byteLength ||
+                view.getUint32(offset, true) !== ZipReader.CONSTANTS.CENTRAL_DIRECTORY_SIGNATURE) {
+                throw new Error('Zip archive is damaged (central directory)');
+            }
+
+            const flags = view.getUint16(offset + 8, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const nameBytes = bytes.subarray(offset + 46, offset + 46 + nameLength);
+            const decoder = new TextDecoder(flags & ZipReader.CONSTANTS.UTF8_FLAG ? 'utf-8' : 'windows-1252');
+
+            entries.push({
+                name: decoder.decode(nameBytes),
+                method: view.getUint16(offset + 10, true),
+                flags: flags,
+                crc: view.getUint32(offset + 16, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                size: view.getUint32(offset + 24, true),
+                offset: view.getUint32(offset + 42, true)
+            });
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Extract one entry
+     * @param {Uint8Array} bytes - Whole archive
+     * @param {Object} entry - Entry from readEntries()
+     * @returns {Promise<Uint8Array>} The uncompressed data
+     * @throws {Error} If the entry is encrypted, uses another method or fails its checksum
+     */
+    static async extract(bytes, entry) {
+        if (entry.flags & ZipReader.CONSTANTS.ENCRYPTED_FLAG) {
+            throw new Error(`"${entry.name}" is encrypted`);
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (entry.offset + 30 > view.byteLength ||
+            view.getUint32(entry.offset, true) !== ZipReader.CONSTANTS.LOCAL_FILE_HEADER_SIGNATURE) {
+            throw new Error(`Zip archive is damaged ("${entry.name}")`);
+        }
+
+        // The local header has its own name and extra field lengths
+        const dataOffset = entry.offset + 30 +
+            view.getUint16(entry.offset + 26, true) +
+            view.getUint16(entry.offset + 28, true);
+        if (dataOffset + entry.compressedSize > bytes.length) {
+            throw new Error(`Zip archive is truncated ("${entry.name}")`);
+        }
+        const compressed = bytes.subarray(dataOffset, dataOffset + entry.compressedSize);
+
+        let data;
+        if (entry.method === ZipReader.CONSTANTS.METHOD_STORED) {
+            data = compressed;
+        } else if (entry.method === ZipReader.CONSTANTS.METHOD_DEFLATE) {
+            data = await ZipReader._inflate(compressed, entry.name);
+        } else {
+            throw new Error(`"${entry.name}" uses an unsupported compression method (${entry.method})`);
+        }
+
+        if (data.length !== entry.size || ZipWriter.crc32(data) !== entry.crc) {
+            throw new Error(`Zip archive is damaged ("${entry.name}" failed its checksum)`);
+        }
+        return data;
+    }
+
+    /**
+     * Find the end of central directory record, which may be followed by a comment
+     * @private
+     * @param {DataView} view - Whole archive
+     * @returns {number} Offset of the record, or -1 if missing
+     */
+    static _findEndOfCentralDirectory(view) {
+        const recordSize = ZipReader.CONSTANTS.END_OF_CENTRAL_DIRECTORY_SIZE;
+        const lowest = Math.max(0, view.byteLength - recordSize - ZipReader.CONSTANTS.MAX_COMMENT_SIZE);
+
+        for (let offset = view.byteLength - recordSize; offset >= lowest; offset--) {
+            if (view.getUint32(offset, true) === ZipReader.CONSTANTS.END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+                return offset;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Inflate raw deflate data
+     * @private
+     * @param {Uint8Array} compressed - Deflated bytes
+     * @param {string} name - Entry name for error messages
+     * @returns {Promise<Uint8Array>} Inflated bytes
+     */
+    static async _inflate(compressed, name) {
+        if (!ZipReader.isSupported()) {
+            throw new Error('This browser cannot decompress zip archives');
+        }
+
+        try {
+            const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        } catch (error) {
+            throw new Error(`Zip archive is damaged ("${name}" could not be decompressed)`);
+        }
+    }
+}
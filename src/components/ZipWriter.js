@@ -0,0 +1,159 @@
+/**
+ * ZipWriter - Builds uncompressed (stored) zip archives in the browser
+ * Recordings are already compressed, so entries are stored as-is
+ */
+class ZipWriter {
+    static CONSTANTS = {
+        LOCAL_FILE_HEADER_SIGNATURE: 0x04034b50,
+        CENTRAL_DIRECTORY_SIGNATURE: 0x02014b50,
+        END_OF_CENTRAL_DIRECTORY_SIGNATURE: 0x06054b50,
+        VERSION: 20,
+        UTF8_FLAG: 0x0800,
+        MAX_SIZE: 0xFFFFFFFF // Archives above 4 GB would need Zip64
+    };
+
+    // Lazily built CRC-32 lookup table
+    static _crcTable = null;
+
+    /**
+     * Create a zip archive
+     * @param {Object[]} files - Entries: { name, blob, lastModified }
+     * @returns {Promise<Blob>} The zip archive
+     * @throws {Error} If the archive would exceed 4 GB
+     */
+    static async createZip(files) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const centralDirectory = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const nameBytes = encoder.encode(file.name);
+            const data = new Uint8Array(await file.blob.arrayBuffer());
+            const crc = ZipWriter.crc32(data);
+            const { time, date } = ZipWriter._toDosDateTime(new Date(file.lastModified || Date.now()));
+
+            if (offset + data.length > ZipWriter.CONSTANTS.MAX_SIZE) {
+                throw new Error('Archive is too large to export as a single zip file');
+            }
+
+            const localHeader = ZipWriter._createLocalHeader(nameBytes, crc, data.length, time, date);
+            centralDirectory.push(
+                ZipWriter._createCentralDirectoryEntry(nameBytes, crc, data.length, time, date, offset)
+            );
+
+            parts.push(localHeader, file.blob);
+            offset += localHeader.length + data.length;
+        }
+
+        const centralDirectorySize = centralDirectory.reduce((total, entry) => total + entry.length, 0);
+        parts.push(...centralDirectory);
+        parts.push(ZipWriter._createEndOfCentralDirectory(files.length, centralDirectorySize, offset));
+
+        return new Blob(parts, { type: 'application/zip' });
+    }
+
+    /**
+     * Compute the CRC-32 checksum of some bytes
+     * @param {Uint8Array} data - Input bytes
+     * @returns {number} Unsigned CRC-32
+     */
+    static crc32(data) {
+        if (!ZipWriter._crcTable) {
+            ZipWriter._crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipWriter._crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc = ZipWriter._crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Convert a date to MS-DOS time and date fields
+     * @private
+     * @param {Date} value - Date to convert
+     * @returns {Object} { time, date }
+     */
+    static _toDosDateTime(value) {
+        return {
+            time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+            date: ((Math.max(1980, value.getFullYear()) - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+        };
+    }
+
+    /**
+     * Build a local file header
+     * @private
+     */
+    static _createLocalHeader(nameBytes, crc, size, time, date) {
+        const header = new Uint8Array(30 + nameBytes.length);
+        const view = new DataView(header.buffer);
+
+        view.setUint32(0, ZipWriter.CONSTANTS.LOCAL_FILE_HEADER_SIGNATURE, true);
+        view.setUint16(4, ZipWriter.CONSTANTS.VERSION, true);
+        view.setUint16(6, ZipWriter.CONSTANTS.UTF8_FLAG, true);
+        view.setUint16(8, 0, true); // Stored, no compression
+        view.setUint16(10, time, true);
+        view.setUint16(12, date, true);
+        view.setUint32(14, crc, true);
+        view.setUint32(18, size, true); // Compressed size
+        view.setUint32(22, size, true); // Uncompressed size
+        view.setUint16(26, nameBytes.length, true);
+        view.setUint16(28, 0, true); // Extra field length
+        header.set(nameBytes, 30);
+
+        return header;
+    }
+
+    /**
+     * Build a central directory entry
+     * @private
+     */
+    static _createCentralDirectoryEntry(nameBytes, crc, size, time, date, offset) {
+        const entry = new Uint8Array(46 + nameBytes.length);
+        const view = new DataView(entry.buffer);
+
+        view.setUint32(0, ZipWriter.CONSTANTS.CENTRAL_DIRECTORY_SIGNATURE, true);
+        view.setUint16(4, ZipWriter.CONSTANTS.VERSION, true); // Version made by
+        view.setUint16(6, ZipWriter.CONSTANTS.VERSION, true); // Version needed
+        view.setUint16(8, ZipWriter.CONSTANTS.UTF8_FLAG, true);
+        view.setUint16(10, 0, true);
+        view.setUint16(12, time, true);
+        view.setUint16(14, date, true);
+        view.setUint32(16, crc, true);
+        view.setUint32(20, size, true);
+        view.setUint32(24, size, true);
+        view.setUint16(28, nameBytes.length, true);
+        // Extra field, comment, disk number and attributes stay zero
+        view.setUint32(42, offset, true);
+        entry.set(nameBytes, 46);
+
+        return entry;
+    }
+
+    /**
+     * Build the end of central directory record
+     * @private
+     */
+    static _createEndOfCentralDirectory(count, size, offset) {
+        const record = new Uint8Array(22);
+        const view = new DataView(record.buffer);
+
+        view.setUint32(0, ZipWriter.CONSTANTS.END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+        view.setUint16(8, count, true);
+        view.setUint16(10, count, true);
+        view.setUint32(12, size, true);
+        view.setUint32(16, offset, true);
+
+        return record;
+    }
+}
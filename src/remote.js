@@ -0,0 +1,207 @@
+/**
+ * TeleprompterRemote - Controller page that drives the prompter through a RemoteChannel
+ */
+class TeleprompterRemote {
+    static CONSTANTS = {
+        STORAGE_KEY: 'teleprompterRemote',
+        STALE_STATE_MS: 3000, // Show the prompter as unreachable after this long without a reply
+        ERROR_DISPLAY_MS: 6000 // How long a failed command stays on screen
+    };
+
+    constructor() {
+        // Pairing elements
+        this.pairingSection = document.getElementById('remotePairing');
+        this.codeInput = document.getElementById('remoteCodeInput');
+        this.relayInput = document.getElementById('remoteRelayInput');
+        this.connectButton = document.getElementById('remoteConnect');
+
+        // Controller elements
+        this.controllerSection = document.getElementById('remoteController');
+        this.connectionLabel = document.getElementById('remoteConnection');
+        this.disconnectButton = document.getElementById('remoteDisconnect');
+        this.recordingState = document.getElementById('remoteRecordingState');
+        this.speedState = document.getElementById('remoteSpeedState');
+        this.sizeState = document.getElementById('remoteSizeState');
+        this.rotationState = document.getElementById('remoteRotationState');
+        this.errorLabel = document.getElementById('remoteError');
+        this.actionButtons = document.querySelectorAll('[data-action]');
+
+        this.channel = null;
+        this.lastStateTime = 0;
+        this.helloTimer = null;
+        this.errorTimer = null;
+
+        this.init();
+    }
+
+    init() {
+        console.log('Initializing Teleprompter Remote...');
+
+        // A link from the prompter carries the code and relay; otherwise use the last pairing
+        const params = new URLSearchParams(window.location.search);
+        const saved = this.loadPairing();
+        this.codeInput.value = params.get('code') || saved.code || '';
+        this.relayInput.value = params.get('relay') || saved.relayUrl || '';
+
+        this.setupEventListeners();
+
+        if (this.codeInput.value) {
+            this.connect();
+        }
+    }
+
+    setupEventListeners() {
+        this.connectButton.addEventListener('click', () => this.connect());
+        this.codeInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.connect();
+        });
+        this.disconnectButton.addEventListener('click', () => this.disconnect());
+
+        this.actionButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.sendCommand(button.dataset.action, button.dataset.value);
+            });
+        });
+    }
+
+    loadPairing() {
+        try {
+            return JSON.parse(localStorage.getItem(TeleprompterRemote.CONSTANTS.STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    savePairing(code, relayUrl) {
+        localStorage.setItem(TeleprompterRemote.CONSTANTS.STORAGE_KEY, JSON.stringify({ code, relayUrl }));
+    }
+
+    connect() {
+        const code = RemoteChannel.normalizeCode(this.codeInput.value);
+        const relayUrl = this.relayInput.value.trim();
+
+        if (code.length !== RemoteChannel.CONSTANTS.CODE_LENGTH) {
+            alert(`Please enter the ${RemoteChannel.CONSTANTS.CODE_LENGTH}-character session code.`);
+            return;
+        }
+        if (relayUrl && !/^wss?:\/\//i.test(relayUrl)) {
+            alert('The relay address must start with ws:// or wss://');
+            return;
+        }
+
+        this.disconnect();
+        this.savePairing(code, relayUrl);
+
+        this.channel = new RemoteChannel({
+            code: code,
+            relayUrl: relayUrl,
+            onMessage: (message) => this.handleMessage(message),
+            onStatus: (status) => {
+                // Ask for the current state as soon as the relay is up
+                if (status.relay === 'connected') {
+                    this.channel.send({ type: 'hello' });
+                }
+            }
+        });
+        this.channel.open();
+
+        this.pairingSection.hidden = true;
+        this.controllerSection.hidden = false;
+        this.connectionLabel.textContent = `Session ${code} · waiting for prompter…`;
+
+        // Keep asking until the prompter answers, and notice when it goes away
+        this.channel.send({ type: 'hello' });
+        this.helloTimer = setInterval(() => {
+            if (Date.now() - this.lastStateTime > TeleprompterRemote.CONSTANTS.STALE_STATE_MS) {
+                this.connectionLabel.textContent = `Session ${code} · waiting for prompter…`;
+                this.setButtonsEnabled(false);
+                this.channel.send({ type: 'hello' });
+            }
+        }, TeleprompterRemote.CONSTANTS.STALE_STATE_MS);
+        this.setButtonsEnabled(false);
+    }
+
+    disconnect() {
+        clearInterval(this.helloTimer);
+        this.helloTimer = null;
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+
+        this.lastStateTime = 0;
+        this.pairingSection.hidden = false;
+        this.controllerSection.hidden = true;
+    }
+
+    sendCommand(action, value) {
+        if (!this.channel) return;
+
+        const numericValue = value !== undefined && value !== '' && !isNaN(Number(value)) ? Number(value) : value;
+        this.channel.send({ type: 'command', action: action, value: numericValue });
+
+        if (navigator.vibrate) {
+            navigator.vibrate(15);
+        }
+    }
+
+    handleMessage(message) {
+        if (message.type === 'error') {
+            this.showError(message);
+            return;
+        }
+        if (message.type !== 'state' || !message.state) return;
+
+        this.lastStateTime = Date.now();
+        this.connectionLabel.textContent = `Session ${this.channel ? this.channel.code : ''} · connected`;
+        this.setButtonsEnabled(true);
+        this.renderState(message.state);
+    }
+
+    showError(error) {
+        this.errorLabel.textContent = `The prompter could not run ${error.action}: ${error.message}`;
+        this.errorLabel.hidden = false;
+
+        clearTimeout(this.errorTimer);
+        this.errorTimer = setTimeout(() => {
+            this.errorLabel.hidden = true;
+        }, TeleprompterRemote.CONSTANTS.ERROR_DISPLAY_MS);
+    }
+
+    renderState(state) {
+        let recordingLabel = 'Idle';
+        if (state.isCountingDown) {
+            recordingLabel = 'Countdown';
+        } else if (state.isRecording) {
+            recordingLabel = state.isPaused ? 'Paused' : '● Recording';
+        }
+        this.recordingState.textContent = recordingLabel;
+        this.recordingState.classList.toggle('recording', state.isRecording && !state.isPaused);
+
+        this.speedState.textContent = state.targetDuration
+            ? `Finish in ${Math.floor(state.targetDuration / 60)}:${String(state.targetDuration % 60).padStart(2, '0')}`
+            : `${state.currentSpeed} px/s`;
+        this.sizeState.textContent = `${state.currentTextSize} px`;
+        this.rotationState.textContent = `${state.rotation}°${state.isMirrored ? ' · mirrored' : ''}${state.isFlipped ? ' · flipped' : ''}`;
+
+        this.actionButtons.forEach(button => {
+            if (button.dataset.action === 'togglePause') {
+                button.disabled = !state.isRecording;
+                button.textContent = state.isPaused ? '▶ Resume' : '⏸ Pause';
+            }
+            if (button.dataset.action === 'toggleRecording') {
+                button.textContent = state.isRecording || state.isCountingDown ? '■ Stop' : '● Record';
+            }
+        });
+    }
+
+    setButtonsEnabled(enabled) {
+        this.actionButtons.forEach(button => {
+            button.disabled = !enabled;
+        });
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.teleprompterRemote = new TeleprompterRemote();
+});
@@ -1,36 +1,77 @@
-const CACHE_NAME = 'teleprompter-v1.0.0';
-// Support both local development and GitHub Pages deployment
-const BASE_PATH = location.hostname === 'localhost' || location.hostname === '127.0.0.1' ? '' : '/video-prompter';
+// Replaced with the commit hash when deploying (see .github/workflows/deploy.yml and the Dockerfile),
+// so every deploy installs a new worker with a fresh cache
+const APP_VERSION = 'dev';
+const CACHE_PREFIX = 'teleprompter-';
+const CACHE_NAME = CACHE_PREFIX + APP_VERSION;
+// The worker's scope is the app folder, whether served at / (local, Docker) or /video-prompter/ (GitHub Pages)
+const BASE_PATH = new URL(self.registration.scope).pathname.replace(/\/$/, '');
+// IndexedDB access for the upload outbox and shared content, and the chunked upload protocol
+importScripts('components/IndexedDBStore.js', 'components/UploadQueue.js');
+
+// Every file the app needs offline; install fails (keeping the previous version) if any is missing
 const STATIC_ASSETS = [
     BASE_PATH + '/',
     BASE_PATH + '/index.html',
     BASE_PATH + '/styles.css',
     BASE_PATH + '/app.js',
+    BASE_PATH + '/remote.html',
+    BASE_PATH + '/remote.css',
+    BASE_PATH + '/remote.js',
+    BASE_PATH + '/components/SettingsStore.js',
+    BASE_PATH + '/components/IndexedDBStore.js',
+    BASE_PATH + '/components/ScriptMarkupParser.js',
+    BASE_PATH + '/components/ZipWriter.js',
+    BASE_PATH + '/components/FileSaver.js',
+    BASE_PATH + '/components/ZipReader.js',
+    BASE_PATH + '/components/ScriptImporter.js',
+    BASE_PATH + '/components/CaptionBuilder.js',
+    BASE_PATH + '/components/VideoTrimmer.js',
+    BASE_PATH + '/components/VideoCompositor.js',
     BASE_PATH + '/components/DragHandler.js',
     BASE_PATH + '/components/ResizeHandler.js',
     BASE_PATH + '/components/TouchHandler.js',
     BASE_PATH + '/components/VideoComponent.js',
+    BASE_PATH + '/components/DevicePickerComponent.js',
+    BASE_PATH + '/components/RecordingQualityComponent.js',
+    BASE_PATH + '/components/AudioMeterComponent.js',
+    BASE_PATH + '/components/OverlayComponent.js',
     BASE_PATH + '/components/ScriptComponent.js',
+    BASE_PATH + '/components/VoiceScrollComponent.js',
+    BASE_PATH + '/components/CountdownComponent.js',
     BASE_PATH + '/components/ControlsComponent.js',
-    BASE_PATH + '/manifest.json'
+    BASE_PATH + '/components/KeybindingsComponent.js',
+    BASE_PATH + '/components/RemoteChannel.js',
+    BASE_PATH + '/components/RemoteControlComponent.js',
+    BASE_PATH + '/components/ScriptLibraryComponent.js',
+    BASE_PATH + '/components/ReviewComponent.js',
+    BASE_PATH + '/components/TakeManagerComponent.js',
+    BASE_PATH + '/components/RecordingRecoveryComponent.js',
+    BASE_PATH + '/components/UploadQueue.js',
+    BASE_PATH + '/components/UploadComponent.js',
+    BASE_PATH + '/components/SaveFolderComponent.js',
+    BASE_PATH + '/components/UpdateComponent.js',
+    BASE_PATH + '/components/ShareTargetComponent.js',
+    BASE_PATH + '/manifest.json',
+    BASE_PATH + '/icons/icon-192.png',
+    BASE_PATH + '/icons/icon-512.png',
+    BASE_PATH + '/icons/icon-maskable-512.png'
 ];
+const STATIC_PATHS = new Set(STATIC_ASSETS);
 
 // Install event - cache static assets
 self.addEventListener('install', (event) => {
-    console.log('Service Worker: Installing...');
+    console.log('Service Worker: Installing', APP_VERSION);
     
+    // Waiting starts once installed; the page offers a reload and sends SKIP_WAITING
     event.waitUntil(
         caches.open(CACHE_NAME)
             .then((cache) => {
                 console.log('Service Worker: Caching static assets');
-                return cache.addAll(STATIC_ASSETS);
+                // Bypass the HTTP cache so a new version never precaches stale files
+                return cache.addAll(STATIC_ASSETS.map((url) => new Request(url, { cache: 'reload' })));
             })
             .then(() => {
                 console.log('Service Worker: Installed and cached assets');
-                return self.skipWaiting(); // Activate immediately
-            })
-            .catch((error) => {
-                console.error('Service Worker: Failed to cache assets', error);
             })
     );
 });
@@ -43,7 +84,7 @@ self.addEventListener('activate', (event) => {
         caches.keys().then((cacheNames) => {
             return Promise.all(
                 cacheNames.map((cacheName) => {
-                    if (cacheName !== CACHE_NAME) {
+                    if (cacheName.startsWith(CACHE_PREFIX) && cacheName !== CACHE_NAME) {
                         console.log('Service Worker: Deleting old cache', cacheName);
                         return caches.delete(cacheName);
                     }
@@ -56,71 +97,127 @@ self.addEventListener('activate', (event) => {
     );
 });
 
-// Fetch event - serve from cache first, then network
+// Fetch event - stale-while-revalidate for the app's own files
 self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    
+    // Content shared from another app (manifest share_target)
+    if (event.request.method === 'POST' && url.pathname === BASE_PATH + '/share-target') {
+        event.respondWith(receiveShare(event.request));
+        return;
+    }
+    
     // Skip non-GET requests
     if (event.request.method !== 'GET') {
         return;
     }
     
-    // Skip requests with schemes other than http/https
-    if (!event.request.url.startsWith('http')) {
+    // Leave other origins (remote relay, upload endpoint) and non-http schemes to the browser
+    if (url.origin !== self.location.origin) {
         return;
     }
     
-    event.respondWith(
-        caches.match(event.request)
-            .then((cachedResponse) => {
-                if (cachedResponse) {
-                    console.log('Service Worker: Serving from cache', event.request.url);
-                    return cachedResponse;
-                }
-                
-                console.log('Service Worker: Fetching from network', event.request.url);
-                return fetch(event.request)
-                    .then((response) => {
-                        // Don't cache non-successful responses
-                        if (!response || response.status !== 200 || response.type !== 'basic') {
-                            return response;
-                        }
-                        
-                        // Clone the response before caching
-                        const responseToCache = response.clone();
-                        
-                        caches.open(CACHE_NAME)
-                            .then((cache) => {
-                                cache.put(event.request, responseToCache);
-                            });
-                        
-                        return response;
-                    })
-                    .catch((error) => {
-                        console.error('Service Worker: Fetch failed', error);
-                        
-                        // Return a custom offline page or response if needed
-                        if (event.request.destination === 'document') {
-                            return caches.match('/index.html');
-                        }
-                        
-                        throw error;
-                    });
-            })
-    );
+    // Only the app's own files and pages; anything else on this origin (e.g. a proxied
+    // upload endpoint answering offset queries) must always come from the network
+    if (event.request.mode !== 'navigate' && !STATIC_PATHS.has(url.pathname)) {
+        return;
+    }
+    
+    event.respondWith(staleWhileRevalidate(event, url));
 });
 
-// Background sync for potential future features
+// Answer from the cache at once and refresh the cached copy in the background
+async function staleWhileRevalidate(event, url) {
+    const cache = await caches.open(CACHE_NAME);
+    const isNavigation = event.request.mode === 'navigate';
+    
+    // Pages are cached without their query (remote.html?code=..., share target parameters)
+    const cacheKey = isNavigation ? url.origin + url.pathname : event.request;
+    const networkRequest = isNavigation
+        ? new Request(cacheKey, { cache: 'no-cache', credentials: 'same-origin' })
+        : new Request(event.request, { cache: 'no-cache' });
+    
+    const cachedResponse = await cache.match(cacheKey);
+    const networkResponse = fetch(networkRequest).then((response) => {
+        // Don't cache non-successful responses
+        if (response && response.status === 200 && response.type === 'basic') {
+            cache.put(cacheKey, response.clone());
+        }
+        return response;
+    });
+    
+    if (cachedResponse) {
+        event.waitUntil(networkResponse.catch((error) => {
+            console.log('Service Worker: Revalidation failed, keeping cached copy', url.pathname, error);
+        }));
+        return cachedResponse;
+    }
+    
+    try {
+        return await networkResponse;
+    } catch (error) {
+        console.error('Service Worker: Fetch failed', error);
+        
+        // Offline navigation to a page that is not cached: fall back to the app
+        if (isNavigation) {
+            const fallback = await cache.match(BASE_PATH + '/index.html');
+            if (fallback) {
+                return fallback;
+            }
+        }
+        
+        throw error;
+    }
+}
+
+// Keep a share in IndexedDB and open the app, which turns it into a script (see ShareTargetComponent)
+async function receiveShare(request) {
+    try {
+        const formData = await request.formData();
+        const share = {
+            id: IndexedDBStore.generateId(),
+            title: formData.get('title') || '',
+            text: formData.get('text') || '',
+            url: formData.get('url') || '',
+            // Some apps send an empty file field along with text
+            files: formData.getAll('files').filter((file) => file instanceof File && file.size > 0),
+            createdAt: Date.now()
+        };
+        
+        await IndexedDBStore.put('sharedItems', share);
+        console.log('Service Worker: Received share', share.id);
+        return Response.redirect(BASE_PATH + '/?shared=' + encodeURIComponent(share.id), 303);
+    } catch (error) {
+        console.error('Service Worker: Failed to receive share', error);
+        return Response.redirect(BASE_PATH + '/?shareFailed=1', 303);
+    }
+}
+
+// Background sync - upload queued takes once the connection is back
 self.addEventListener('sync', (event) => {
     console.log('Service Worker: Background sync', event.tag);
     
-    if (event.tag === 'background-sync') {
+    if (event.tag === UploadQueue.CONSTANTS.SYNC_TAG) {
         event.waitUntil(doBackgroundSync());
     }
 });
 
-function doBackgroundSync() {
-    // Placeholder for background sync functionality
-    // Could be used for uploading recordings when connection is restored
-    return Promise.resolve();
+async function doBackgroundSync() {
+    const result = await UploadQueue.processAll(() => notifyUploadsChanged());
+    console.log('Service Worker: Upload sync finished', result);
+    await notifyUploadsChanged();
+    
+    // Rejecting makes the browser schedule another attempt later
+    if (result.pending > 0) {
+        throw new Error(`${result.pending} upload(s) still waiting for the server`);
+    }
+}
+
+// Let open pages redraw their upload list
+function notifyUploadsChanged() {
+    return self.clients.matchAll({ includeUncontrolled: true }).then((clientList) => {
+        clientList.forEach((client) => client.postMessage({ type: 'UPLOADS_CHANGED' }));
+    });
 }
 
 // Handle messages from the main thread
@@ -132,7 +229,12 @@ self.addEventListener('message', (event) => {
     }
     
     if (event.data && event.data.type === 'GET_VERSION') {
-        event.ports[0].postMessage({ version: CACHE_NAME });
+        const reply = { version: APP_VERSION, cacheName: CACHE_NAME };
+        if (event.ports[0]) {
+            event.ports[0].postMessage(reply);
+        } else if (event.source) {
+            event.source.postMessage({ type: 'VERSION', ...reply });
+        }
     }
 });
 
@@ -143,7 +245,7 @@ self.addEventListener('notificationclick', (event) => {
     event.notification.close();
     
     event.waitUntil(
-        clients.openWindow('/')
+        clients.openWindow(BASE_PATH + '/')
     );
 });
 